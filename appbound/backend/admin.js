@@ -0,0 +1,537 @@
+/**
+ * backend/admin.js
+ * Admin API mounted at /api/admin, guarded by the `x-admin-key` header.
+ * Contract writes (mint, batch mint, open minting, Merkle root, base URI, royalties,
+ * renewal plans, withdrawals, pause, revocation, seats, app registry and suspension) are sent from a server-held key that must hold
+ * MINTER_ROLE, DEFAULT_ADMIN_ROLE and TREASURER_ROLE. Keep that key in a KMS/HSM in production.
+ * Publisher webhooks, their delivery log and redelivery are managed here too (webhooks.js),
+ * as are the licenses' dedicated app instances (instances.js).
+ * index.js builds one router per deployment and picks it by ?chainId= / ?contract=.
+ */
+import crypto from "crypto";
+import express from "express";
+import { ethers } from "ethers";
+import { MINT_VOUCHER_TYPES, typedDataDomain, vouchersContract } from "./eip712.js";
+import { WebhookError } from "./webhooks.js";
+import { InstanceError } from "./instances.js";
+
+/** True when the request carries the admin key (constant-time compare). */
+export function isAdminRequest(apiKey, req) {
+  if (!apiKey) return false;
+  const key = Buffer.from(String(req.headers["x-admin-key"] || ""));
+  const expected = Buffer.from(apiKey);
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+export function requireAdmin(apiKey) {
+  return function (req, res, next) {
+    if (!apiKey) return res.status(503).json({ error: "Admin API disabled (ADMIN_API_KEY not set)" });
+    if (!isAdminRequest(apiKey, req)) return res.status(401).json({ error: "Invalid admin key" });
+    return next();
+  };
+}
+
+// Reverts carry the contract's reason string; surface it as a 400.
+function sendError(res, e) {
+  const reason = e.reason || e.shortMessage;
+  if (e.code === "CALL_EXCEPTION" || e.code === "INVALID_ARGUMENT") return res.status(400).json({ error: reason || e.message });
+  if (e instanceof SyntaxError || e instanceof RangeError) return res.status(400).json({ error: e.message });
+  console.error(e);
+  return res.status(500).json({ error: "server error" });
+}
+
+function mintArgs(item) {
+  if (!ethers.isAddress(item.to)) throw Object.assign(new Error(`invalid recipient: ${item.to}`), { code: "INVALID_ARGUMENT" });
+  return [
+    item.to,
+    item.tokenURI || "",
+    item.appId || "",
+    BigInt(item.expiry || 0),
+    Boolean(item.soulbound),
+    Boolean(item.ephemeral),
+    item.royaltyReceiver || ethers.ZeroAddress,
+    BigInt(item.royaltyBps || 0)
+  ];
+}
+
+async function readLicense(contract, tokenId) {
+  const [owner, lic, uri, redeemed, revoked] = await Promise.all([
+    contract.ownerOf(tokenId),
+    contract.licenses(tokenId),
+    contract.tokenURI(tokenId),
+    contract.redeemed(tokenId),
+    contract.revoked(tokenId)
+  ]);
+  return {
+    tokenId: tokenId.toString(),
+    owner,
+    appId: lic.appId,
+    expiry: Number(lic.expiry),
+    soulbound: lic.soulbound,
+    ephemeral: lic.ephemeral,
+    seats: Number(lic.seats),
+    redeemed,
+    revoked,
+    tokenURI: uri
+  };
+}
+
+function sendWebhookError(res, e) {
+  if (e instanceof WebhookError) return res.status(e.code.startsWith("UNKNOWN_") ? 404 : 400).json({ error: e.message, code: e.code });
+  console.error(e);
+  return res.status(500).json({ error: "server error" });
+}
+
+const INSTANCE_STATUS = { UNKNOWN_INSTANCE: 404, NOT_DEDICATED: 400, INSTANCE_UNAVAILABLE: 409 };
+
+export function createAdminRouter({ apiKey, contract, signer, sessions, certificates, keys, meter, webhooks, instances }) {
+  const router = express.Router();
+  router.use(requireAdmin(apiKey));
+  const writer = signer && contract.connect(signer);
+  let vouchers; // the license's LicenseVouchers, resolved on first use
+
+  async function voucherWriter() {
+    return (vouchers ??= await vouchersContract(contract, signer));
+  }
+
+  function requireSigner(req, res, next) {
+    if (!writer) return res.status(503).json({ error: "Contract writes disabled (ADMIN_PRIVATE_KEY not set)" });
+    return next();
+  }
+
+  // A failed send (e.g. a revert during gas estimation) still bumps the
+  // NonceManager's counter, so resync it from the chain before rethrowing.
+  async function send(target, method, ...args) {
+    try {
+      return await (await target[method](...args)).wait();
+    } catch (e) {
+      signer.reset?.();
+      throw e;
+    }
+  }
+
+  const transact = (method, ...args) => send(writer, method, ...args);
+
+  router.post("/keys/rotate", async (req, res) => {
+    try {
+      return res.json({ success: true, kid: await keys.rotate() });
+    } catch (e) {
+      console.error(e); return res.status(500).json({ error: e.message });
+    }
+  });
+
+  router.post("/sessions/:id/revoke", async (req, res) => {
+    try {
+      const found = await sessions.revoke(req.params.id, req.body.reason || "admin");
+      if (!found) return res.status(404).json({ error: "Session not found" });
+      return res.json({ success: true });
+    } catch (e) {
+      console.error(e); return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  // Lists the certificate on the CRL; offline machines drop it on their next sync.
+  router.post("/certificates/:id/revoke", async (req, res) => {
+    try {
+      const found = await certificates.revoke(req.params.id, req.body.reason || "admin");
+      if (!found) return res.status(404).json({ error: "Certificate not found" });
+      return res.json({ success: true });
+    } catch (e) {
+      console.error(e); return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  // Publisher webhooks (webhooks.js). The secret is only returned on create and rotate.
+  router.get("/webhooks", async (req, res) => {
+    try {
+      return res.json({ webhooks: await webhooks.list(req.query.appId ? { appId: req.query.appId } : {}) });
+    } catch (e) {
+      return sendWebhookError(res, e);
+    }
+  });
+
+  router.post("/webhooks", async (req, res) => {
+    try {
+      const { appId, url, events } = req.body;
+      return res.status(201).json({ success: true, webhook: await webhooks.register({ appId, url, events }) });
+    } catch (e) {
+      return sendWebhookError(res, e);
+    }
+  });
+
+  // Delivery log, newest first; ?status=dead lists the dead-letter queue.
+  router.get("/webhooks/deliveries", async (req, res) => {
+    try {
+      const { webhookId, appId, status } = req.query;
+      const limit = Math.min(Number(req.query.limit) || 100, 1000);
+      return res.json({ deliveries: await webhooks.deliveries({ webhookId, appId, status }, limit) });
+    } catch (e) {
+      return sendWebhookError(res, e);
+    }
+  });
+
+  router.get("/webhooks/deliveries/:id", async (req, res) => {
+    try {
+      return res.json({ delivery: await webhooks.delivery(req.params.id) });
+    } catch (e) {
+      return sendWebhookError(res, e);
+    }
+  });
+
+  router.post("/webhooks/deliveries/:id/redeliver", async (req, res) => {
+    try {
+      return res.json({ success: true, delivery: await webhooks.redeliver(req.params.id) });
+    } catch (e) {
+      return sendWebhookError(res, e);
+    }
+  });
+
+  router.get("/webhooks/:id", async (req, res) => {
+    try {
+      return res.json({ webhook: await webhooks.get(req.params.id) });
+    } catch (e) {
+      return sendWebhookError(res, e);
+    }
+  });
+
+  router.put("/webhooks/:id", async (req, res) => {
+    try {
+      const { url, events, active } = req.body;
+      return res.json({ success: true, webhook: await webhooks.update(req.params.id, { url, events, active }) });
+    } catch (e) {
+      return sendWebhookError(res, e);
+    }
+  });
+
+  router.post("/webhooks/:id/rotate-secret", async (req, res) => {
+    try {
+      return res.json({ success: true, webhook: await webhooks.rotateSecret(req.params.id) });
+    } catch (e) {
+      return sendWebhookError(res, e);
+    }
+  });
+
+  router.delete("/webhooks/:id", async (req, res) => {
+    try {
+      await webhooks.remove(req.params.id);
+      return res.json({ success: true });
+    } catch (e) {
+      return sendWebhookError(res, e);
+    }
+  });
+
+  // Dedicated app instances of this deployment's licenses (instances.js).
+  router.get("/instances", async (req, res) => {
+    try {
+      const { appId, status } = req.query;
+      return res.json({ instances: await instances.list({ appId, status }) });
+    } catch (e) {
+      console.error(e); return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  router.get("/instances/:tokenId", async (req, res) => {
+    try {
+      return res.json({ instance: await instances.get(req.params.tokenId) });
+    } catch (e) {
+      if (e instanceof InstanceError) return res.status(INSTANCE_STATUS[e.code] ?? 400).json({ error: e.message, code: e.code });
+      console.error(e); return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  // Stops the license's instance and starts a fresh one; resolves once it is running or failed.
+  router.post("/instances/:tokenId/reprovision", async (req, res) => {
+    try {
+      return res.json({ success: true, instance: await instances.reprovision(req.params.tokenId) });
+    } catch (e) {
+      if (e instanceof InstanceError) return res.status(INSTANCE_STATUS[e.code] ?? 400).json({ error: e.message, code: e.code });
+      console.error(e); return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  router.get("/quotas", async (req, res) => {
+    try {
+      return res.json({ quotas: await meter.listQuotas() });
+    } catch (e) {
+      console.error(e); return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  // Body: { tokenRpm, tokenMonthlyUnits, appRpm, appMonthlyUnits }; omitted/null = backend default, 0 = unlimited.
+  router.put("/quotas/:appId", async (req, res) => {
+    const limits = {};
+    for (const name of ["tokenRpm", "tokenMonthlyUnits", "appRpm", "appMonthlyUnits"]) {
+      const value = req.body[name];
+      if (value !== undefined && value !== null && !(Number.isSafeInteger(value) && value >= 0)) {
+        return res.status(400).json({ error: `${name} must be a non-negative integer or null` });
+      }
+      limits[name] = value;
+    }
+    try {
+      return res.json({ success: true, quota: await meter.setQuota(req.params.appId, limits) });
+    } catch (e) {
+      console.error(e); return res.status(500).json({ error: "server error" });
+    }
+  });
+
+  router.get("/contract", async (req, res) => {
+    try {
+      const [name, symbol, totalSupply, maxSupply, openMinting, merkleRoot, baseURI, balance, paused, network] = await Promise.all([
+        contract.name(),
+        contract.symbol(),
+        contract.totalSupply(),
+        contract.MAX_SUPPLY(),
+        contract.openMinting(),
+        contract.merkleRoot(),
+        contract.baseURI(),
+        contract.runner.provider.getBalance(contract.getAddress()),
+        contract.paused(),
+        contract.runner.provider.getNetwork()
+      ]);
+      return res.json({
+        address: await contract.getAddress(),
+        chainId: Number(network.chainId),
+        name,
+        symbol,
+        totalSupply: Number(totalSupply),
+        maxSupply: Number(maxSupply),
+        openMinting,
+        merkleRoot,
+        baseURI,
+        balance: balance.toString(),
+        paused,
+        signer: signer ? await signer.getAddress() : null
+      });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  // One page of ERC721Enumerable (?offset=, ?limit= up to 200); ?appId= filters the page, grouped by app.
+  // nextOffset is null on the last page.
+  router.get("/licenses", async (req, res) => {
+    try {
+      const total = Number(await contract.totalSupply());
+      const offset = Math.max(Number(req.query.offset) || 0, 0);
+      const limit = Math.min(Number(req.query.limit) || 100, 200);
+      const end = Math.min(offset + limit, total);
+      const licenses = [];
+      for (let i = offset; i < end; i++) licenses.push(await readLicense(contract, await contract.tokenByIndex(i)));
+      const apps = {};
+      for (const lic of licenses) {
+        if (req.query.appId && lic.appId !== req.query.appId) continue;
+        (apps[lic.appId] ||= []).push(lic);
+      }
+      const suspended = await Promise.all(Object.keys(apps).map((appId) => contract.appSuspended(ethers.id(appId))));
+      return res.json({ total, offset, limit, nextOffset: end < total ? end : null, apps, suspendedApps: Object.keys(apps).filter((_, i) => suspended[i]) });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  router.post("/licenses/mint", requireSigner, async (req, res) => {
+    try {
+      const receipt = await transact("mintCollectible", ...mintArgs(req.body));
+      const minted = receipt.logs.map((l) => contract.interface.parseLog(l)).find((l) => l?.name === "Transfer");
+      return res.json({ success: true, txHash: receipt.hash, tokenId: minted?.args.tokenId.toString() });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  // Body: { licenses: [{ to, appId, tokenURI, expiry, soulbound, ephemeral, royaltyReceiver, royaltyBps }] }
+  router.post("/licenses/batch", requireSigner, async (req, res) => {
+    const items = req.body.licenses;
+    if (!Array.isArray(items) || !items.length) return res.status(400).json({ error: "licenses must be a non-empty array" });
+    try {
+      const rows = items.map(mintArgs);
+      const columns = rows[0].map((_, i) => rows.map((row) => row[i]));
+      const receipt = await transact("batchMint", ...columns);
+      const tokenIds = receipt.logs
+        .map((l) => contract.interface.parseLog(l))
+        .filter((l) => l?.name === "Transfer")
+        .map((l) => l.args.tokenId.toString());
+      return res.json({ success: true, txHash: receipt.hash, tokenIds });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  // The token stays with its owner but stops granting access; the indexer revokes its sessions.
+  router.post("/licenses/:tokenId/revoke", requireSigner, async (req, res) => {
+    try {
+      const receipt = await transact("revokeLicense", BigInt(req.params.tokenId), String(req.body.reason || "admin"));
+      return res.json({ success: true, txHash: receipt.hash });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  // Body: { appId, publisher, metadataURI?, royaltyBps?, maxSupply? (0 = no per-app cap) }
+  router.post("/apps", requireSigner, async (req, res) => {
+    const { appId, publisher, metadataURI = "", royaltyBps = 0, maxSupply = 0 } = req.body;
+    if (!appId || !ethers.isAddress(publisher)) return res.status(400).json({ error: "appId and publisher required" });
+    try {
+      const receipt = await transact("registerApp", appId, publisher, metadataURI, BigInt(royaltyBps), BigInt(maxSupply));
+      return res.json({ success: true, txHash: receipt.hash, appId });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  // Body: { metadataURI, royaltyBps, maxSupply }; replaces all three.
+  router.put("/apps/:appId", requireSigner, async (req, res) => {
+    const { metadataURI = "", royaltyBps = 0, maxSupply = 0 } = req.body;
+    try {
+      const receipt = await transact("updateApp", req.params.appId, metadataURI, BigInt(royaltyBps), BigInt(maxSupply));
+      return res.json({ success: true, txHash: receipt.hash, appId: req.params.appId });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  // Seat cap of a team license; the owner assigns the seats (setDelegate).
+  router.post("/licenses/:tokenId/seats", requireSigner, async (req, res) => {
+    const { seats } = req.body;
+    if (!Number.isSafeInteger(seats) || seats < 0) return res.status(400).json({ error: "seats must be a non-negative integer" });
+    try {
+      const receipt = await transact("setSeats", BigInt(req.params.tokenId), seats);
+      return res.json({ success: true, txHash: receipt.hash, seats });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  router.post("/apps/:appId/suspend", requireSigner, async (req, res) => {
+    try {
+      const suspended = req.body.suspended !== false;
+      const receipt = await transact("setAppSuspended", req.params.appId, suspended);
+      return res.json({ success: true, txHash: receipt.hash, appId: req.params.appId, suspended });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  router.post("/pause", requireSigner, async (req, res) => {
+    try {
+      const paused = req.body.paused !== false;
+      const receipt = await transact(paused ? "pause" : "unpause");
+      return res.json({ success: true, txHash: receipt.hash, paused });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  // Signs a gasless mint voucher (EIP-712) with the admin key; the user or /api/relay submits it.
+  // Body: { to, appId, tokenURI?, expiry?, soulbound?, ephemeral?, ttlSeconds? (default 7 days) }
+  router.post("/vouchers", requireSigner, async (req, res) => {
+    const { to, appId, tokenURI = "", expiry = 0, soulbound = false, ephemeral = false, ttlSeconds = 7 * 24 * 3600 } = req.body;
+    if (!ethers.isAddress(to) || !appId) return res.status(400).json({ error: "to and appId required" });
+    try {
+      const voucher = {
+        to: ethers.getAddress(to),
+        appId,
+        tokenURI,
+        expiry: Number(expiry),
+        soulbound: Boolean(soulbound),
+        ephemeral: Boolean(ephemeral),
+        nonce: BigInt(ethers.hexlify(ethers.randomBytes(32))).toString(),
+        deadline: Math.floor(Date.now() / 1000) + Number(ttlSeconds)
+      };
+      const signature = await signer.signTypedData(await typedDataDomain(await voucherWriter()), MINT_VOUCHER_TYPES, voucher);
+      return res.json({ voucher, signature });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  // Voids an unused voucher signed by the admin key (LicenseVouchers tracks nonces per signer).
+  router.post("/vouchers/:nonce/cancel", requireSigner, async (req, res) => {
+    try {
+      const receipt = await send(await voucherWriter(), "cancelVoucher", BigInt(req.params.nonce));
+      return res.json({ success: true, txHash: receipt.hash });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  router.post("/open-minting", requireSigner, async (req, res) => {
+    try {
+      const receipt = await transact("setOpenMinting", Boolean(req.body.enabled));
+      return res.json({ success: true, txHash: receipt.hash, openMinting: Boolean(req.body.enabled) });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  router.post("/merkle-root", requireSigner, async (req, res) => {
+    const { root } = req.body;
+    if (!ethers.isHexString(root, 32)) return res.status(400).json({ error: "root must be a 32-byte hex string" });
+    try {
+      const receipt = await transact("setMerkleRoot", root);
+      return res.json({ success: true, txHash: receipt.hash, merkleRoot: root });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  // Tokens minted without a URI resolve to baseURI + tokenId, e.g. "https://api.example.com/metadata/"; "" turns that off.
+  router.post("/base-uri", requireSigner, async (req, res) => {
+    const { baseURI } = req.body;
+    if (typeof baseURI !== "string") return res.status(400).json({ error: "baseURI must be a string" });
+    try {
+      const receipt = await transact("setBaseURI", baseURI);
+      return res.json({ success: true, txHash: receipt.hash, baseURI });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  router.post("/royalty", requireSigner, async (req, res) => {
+    const { receiver, feeNumerator } = req.body;
+    if (!ethers.isAddress(receiver) || feeNumerator === undefined) return res.status(400).json({ error: "receiver and feeNumerator required" });
+    try {
+      const receipt = await transact("setDefaultRoyalty", receiver, BigInt(feeNumerator));
+      return res.json({ success: true, txHash: receipt.hash });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  router.get("/plans/:appId", async (req, res) => {
+    try {
+      const [price, period] = await contract.renewalPlan(req.params.appId);
+      return res.json({ appId: req.params.appId, price: price.toString(), period: Number(period) });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  // Body: { appId, price (wei), period (seconds; 0 disables renewals) }
+  router.post("/plans", requireSigner, async (req, res) => {
+    const { appId, price, period } = req.body;
+    if (!appId || price === undefined || period === undefined) return res.status(400).json({ error: "appId, price and period required" });
+    try {
+      const receipt = await transact("setRenewalPlan", appId, BigInt(price), BigInt(period));
+      return res.json({ success: true, txHash: receipt.hash });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  // Sends all renewal proceeds to `to` (defaults to the signer).
+  router.post("/withdraw", requireSigner, async (req, res) => {
+    const to = req.body.to || (await signer.getAddress());
+    if (!ethers.isAddress(to)) return res.status(400).json({ error: "Invalid recipient" });
+    try {
+      if ((await contract.runner.provider.getBalance(contract.getAddress())) === 0n) return res.status(400).json({ error: "Nothing to withdraw" });
+      const receipt = await transact("withdraw", to);
+      const withdrawn = receipt.logs.map((l) => contract.interface.parseLog(l)).find((l) => l?.name === "Withdrawn");
+      return res.json({ success: true, txHash: receipt.hash, to, amount: withdrawn?.args.amount.toString() });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,36 @@
+/**
+ * backend/allowlist.js
+ * Serves openMint Merkle proofs from the JSON written by scripts/allowlist.js.
+ * The file is re-read when it changes, so a new allowlist only needs the
+ * script run and the root published; no restart.
+ */
+import fs from "fs";
+import { ethers } from "ethers";
+
+export function createAllowlist({ file }) {
+  let cached = null;
+  let cachedMtime = 0;
+
+  function load() {
+    if (!fs.existsSync(file)) return null;
+    const { mtimeMs } = fs.statSync(file);
+    if (mtimeMs !== cachedMtime) {
+      const { root, proofs } = JSON.parse(fs.readFileSync(file, "utf8"));
+      cached = { root, proofs };
+      cachedMtime = mtimeMs;
+    }
+    return cached;
+  }
+
+  return {
+    /** { root, proof } for a listed address, null when unlisted or no allowlist is loaded. */
+    proof(address) {
+      const list = load();
+      const proof = list?.proofs[ethers.getAddress(address)];
+      return proof ? { root: list.root, proof } : null;
+    },
+    root() {
+      return load()?.root ?? null;
+    }
+  };
+}
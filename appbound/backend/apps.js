@@ -0,0 +1,40 @@
+/**
+ * backend/apps.js
+ * Read-only view of the contract's app registry (registerApp / updateApp):
+ * publisher, metadata URI, royalty default and supply cap per app, plus the
+ * app's suspension flag and renewal plan. Apps are enumerated from
+ * registeredAppIds, so every publisher sharing the deployment is listed.
+ */
+import { ethers } from "ethers";
+
+export function createAppRegistry({ contract }) {
+  async function read(appId) {
+    const [app, suspended, [price, period]] = await Promise.all([
+      contract.apps(ethers.id(appId)),
+      contract.appSuspended(ethers.id(appId)),
+      contract.renewalPlan(appId)
+    ]);
+    if (app.publisher === ethers.ZeroAddress) return null;
+    return {
+      appId,
+      publisher: app.publisher,
+      metadataURI: app.metadataURI,
+      royaltyBps: Number(app.royaltyBps),
+      maxSupply: Number(app.maxSupply) || null,
+      supply: Number(app.supply),
+      suspended,
+      renewal: period > 0n ? { price: price.toString(), period: Number(period) } : null
+    };
+  }
+
+  return {
+    /** Registered app, or null when appId is not in the registry. */
+    get: read,
+
+    async list() {
+      const count = Number(await contract.appCount());
+      const ids = await Promise.all(Array.from({ length: count }, (_, i) => contract.registeredAppIds(i)));
+      return Promise.all(ids.map(read));
+    }
+  };
+}
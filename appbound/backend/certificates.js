@@ -0,0 +1,124 @@
+/**
+ * backend/certificates.js
+ * Offline license certificates for desktop and CLI apps that cannot call
+ * /api/auth every few minutes. A signed-in holder asks for a certificate
+ * bound to a machine fingerprint; the certificate is a compact JWS
+ * (typ "license-cert+jwt") carrying the wallet, appId, tokenId, chainId,
+ * contract, license expiry and fingerprint. Apps verify it offline with
+ * @appbound/sdk's verifyLicenseCertificate.
+ *
+ * Certificates are valid for `ttlSeconds`, never past the license expiry, and
+ * verifiers keep accepting them for `graceSeconds` after that while the
+ * machine cannot fetch a new one (again never past the license expiry).
+ *
+ * They are signed with a dedicated Ed25519 key that does not rotate with the
+ * access-token keys (keys.js): apps pin its public key. It is persisted to a
+ * local file; use a KMS/HSM in production.
+ *
+ * Revoked certificates (the license was transferred, burned or revoked, or an
+ * admin revoked the certificate) are listed in a signed revocation list
+ * (CRL) until their grace period ends; clients sync it whenever they are online.
+ */
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { SignJWT, exportJWK, exportSPKI, importJWK } from "jose";
+
+export const CERTIFICATE_TYPE = "license-cert+jwt";
+export const CRL_TYPE = "license-crl+jwt";
+const ISSUER = "appbound";
+
+export class CertificateError extends Error {
+  /** code: INVALID_FINGERPRINT */
+  constructor(message, code) {
+    super(message);
+    this.name = "CertificateError";
+    this.code = code;
+  }
+}
+
+async function loadSigningKey(file) {
+  if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, "utf8"));
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519");
+  const key = { kid: crypto.randomUUID(), privateJwk: await exportJWK(privateKey), publicJwk: await exportJWK(publicKey), createdAt: Date.now() };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(key, null, 2), { mode: 0o600 });
+  fs.renameSync(`${file}.tmp`, file);
+  return key;
+}
+
+export async function createCertificateService({ store, keyFile, ttlSeconds = 30 * 24 * 3600, graceSeconds = 7 * 24 * 3600, crlTtlSeconds = 24 * 3600 }) {
+  const { kid, privateJwk, publicJwk } = await loadSigningKey(keyFile);
+  const privateKey = await importJWK(privateJwk, "EdDSA");
+  const publicPem = await exportSPKI(await importJWK(publicJwk, "EdDSA"));
+
+  function sign(payload, typ, expiresAt) {
+    const jwt = new SignJWT(payload).setProtectedHeader({ alg: "EdDSA", kid, typ }).setIssuer(ISSUER).setIssuedAt();
+    return (expiresAt ? jwt.setExpirationTime(expiresAt) : jwt).sign(privateKey);
+  }
+
+  return {
+    /** The key apps pin to verify certificates and the CRL offline. */
+    publicKey() {
+      return { kid, alg: "EdDSA", jwk: { ...publicJwk, kid, alg: "EdDSA", use: "sig" }, pem: publicPem };
+    },
+
+    /**
+     * Signs a certificate for a holder whose license was just checked on chain.
+     * licenseExpiry is unix seconds (0 = perpetual). Times returned are unix seconds.
+     */
+    async issue({ wallet, appId, tokenId, chainId, contract, licenseExpiry, fingerprint }) {
+      if (typeof fingerprint !== "string" || !/^[A-Za-z0-9_-]{16,128}$/.test(fingerprint)) {
+        throw new CertificateError("fingerprint must be 16-128 characters of [A-Za-z0-9_-]", "INVALID_FINGERPRINT");
+      }
+      const now = Math.floor(Date.now() / 1000);
+      const cap = (t) => (licenseExpiry ? Math.min(t, licenseExpiry) : t);
+      const expiresAt = cap(now + ttlSeconds);
+      const graceUntil = cap(expiresAt + graceSeconds);
+      const id = crypto.randomUUID();
+      await store.insertCertificate({
+        id,
+        tokenId: String(tokenId),
+        address: wallet,
+        appId,
+        chainId,
+        contract,
+        fingerprint,
+        issuedAt: now * 1000,
+        expiresAt: expiresAt * 1000,
+        graceUntil: graceUntil * 1000,
+        revokedAt: null,
+        revokedReason: null
+      });
+      const certificate = await sign(
+        { sub: wallet, jti: id, appId, tokenId: String(tokenId), chainId, contract, fp: fingerprint, licenseExpiry, grace: graceUntil - expiresAt },
+        CERTIFICATE_TYPE,
+        expiresAt
+      );
+      return { certificate, certificateId: id, expiresAt, graceUntil, licenseExpiry };
+    },
+
+    /** Revokes the certificates of a holder who lost the license (same filter as store.revokeSessions). */
+    revokeHolder(wallet, tokenId, reason, { chainId, contract } = {}) {
+      return store.revokeCertificates({ address: wallet, tokenId: String(tokenId), chainId, contract }, reason);
+    },
+
+    /** False when no certificate has that id; revoking twice keeps the first reason. */
+    revoke(id, reason) {
+      return store.revokeCertificate(id, reason, Date.now());
+    },
+
+    /** Signed list of revoked certificates that verifiers could still accept. */
+    async crl() {
+      const now = Date.now();
+      const revoked = (await store.listRevokedCertificates(now)).map((c) => ({
+        jti: c.id,
+        revokedAt: Math.floor(c.revokedAt / 1000),
+        reason: c.revokedReason
+      }));
+      // No exp: an old list still beats none for a machine that stays offline; nextUpdate says when to sync.
+      const nextUpdate = Math.floor(now / 1000) + crlTtlSeconds;
+      return { crl: await sign({ revoked, nextUpdate }, CRL_TYPE), issuedAt: Math.floor(now / 1000), nextUpdate, count: revoked.length };
+    }
+  };
+}
@@ -0,0 +1,180 @@
+/**
+ * backend/chains.js
+ * License contract deployments served by the backend. A deployments file
+ * (DEPLOYMENTS_FILE, default backend/deployments.json) lists one entry per
+ * chain and contract version:
+ *
+ *   { "deployments": [
+ *     { "name": "base", "chainId": 8453, "contractAddress": "0x…",
+ *       "rpcUrl": "https://primary.example", "fallbackRpcUrls": ["https://backup.example"],
+ *       "abi": "./abi/v2.json", "publicRpcUrl": "https://mainnet.base.org",
+ *       "startBlock": 0, "confirmations": 2 }
+ *   ] }
+ *
+ * Without the file, one deployment is built from PROVIDER_URL (plus
+ * FALLBACK_PROVIDER_URLS), CONTRACT_ADDRESS, CHAIN_ID and ABI_PATH. The first
+ * deployment is the primary one: requests that name no chain use it.
+ *
+ * Each deployment's provider sends JSON-RPC to the first healthy URL and
+ * fails over to the next on transport errors (timeouts, refused connections,
+ * HTTP errors); JSON-RPC errors such as reverts are returned as they are.
+ * checkHealth() probes every URL for its chain id and head block.
+ */
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { ethers } from "ethers";
+
+const BACKEND_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+function readAbi(abi, baseDir) {
+  if (Array.isArray(abi)) return abi;
+  const file = path.resolve(baseDir, abi || path.join(BACKEND_DIR, "AppBoundLicenseABI.json"));
+  if (!fs.existsSync(file)) throw new Error(`ABI not found at ${file}. Run the deploy script.`);
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function normalize(entry, baseDir, where) {
+  const chainId = Number(entry.chainId);
+  if (!Number.isSafeInteger(chainId) || chainId <= 0) throw new Error(`${where}: invalid chainId`);
+  if (!ethers.isAddress(entry.contractAddress)) throw new Error(`${where}: invalid contractAddress`);
+  const rpcUrls = [entry.rpcUrl, ...(entry.fallbackRpcUrls || [])].filter(Boolean);
+  if (!rpcUrls.length) throw new Error(`${where}: rpcUrl required`);
+  const address = ethers.getAddress(entry.contractAddress);
+  return {
+    id: `${chainId}:${address}`,
+    name: entry.name || `chain-${chainId}`,
+    chainId,
+    address,
+    rpcUrls,
+    publicRpcUrl: entry.publicRpcUrl || null,
+    abi: readAbi(entry.abi, baseDir),
+    startBlock: Number(entry.startBlock || 0),
+    confirmations: Number(entry.confirmations || 0),
+    stateFile: entry.stateFile
+      ? path.resolve(baseDir, entry.stateFile)
+      : path.join(BACKEND_DIR, "data", `indexer-state-${chainId}-${address.toLowerCase()}.json`)
+  };
+}
+
+/** Normalized deployments from the deployments file, or the single one described by env. */
+export function loadDeployments({ file, env = process.env }) {
+  if (file && fs.existsSync(file)) {
+    const { deployments } = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!deployments?.length) throw new Error(`${file} lists no deployments`);
+    const list = deployments.map((entry, i) => normalize(entry, path.dirname(file), `${path.basename(file)} deployments[${i}]`));
+    if (new Set(list.map((d) => d.id)).size !== list.length) throw new Error(`${file} lists a contract twice`);
+    return list;
+  }
+  if (!env.CONTRACT_ADDRESS) throw new Error("CONTRACT_ADDRESS not set in backend/.env (or list deployments in backend/deployments.json)");
+  const entry = {
+    chainId: env.CHAIN_ID || 31337,
+    contractAddress: env.CONTRACT_ADDRESS,
+    rpcUrl: env.PROVIDER_URL || "http://127.0.0.1:8545",
+    fallbackRpcUrls: (env.FALLBACK_PROVIDER_URLS || "").split(",").map((url) => url.trim()),
+    abi: env.ABI_PATH,
+    startBlock: env.INDEXER_START_BLOCK,
+    confirmations: env.INDEXER_CONFIRMATIONS,
+    // Single-chain setups keep the state file they had before deployments existed.
+    stateFile: env.INDEXER_STATE_FILE || path.join(BACKEND_DIR, "data", "indexer-state.json")
+  };
+  return [normalize(entry, BACKEND_DIR, "env")];
+}
+
+/**
+ * Deployments matching chainId and/or contract address, in configured order;
+ * every deployment when neither is given.
+ */
+export function selectDeployments(deployments, { chainId, contract } = {}) {
+  return deployments.filter(
+    (d) =>
+      (chainId === undefined || chainId === null || d.chainId === Number(chainId)) &&
+      (!contract || d.address.toLowerCase() === String(contract).toLowerCase())
+  );
+}
+
+// POSTs a JSON-RPC payload (single or batch); throws only on transport failures.
+async function post(endpoint, payload) {
+  const request = endpoint.request.clone();
+  request.body = JSON.stringify(payload);
+  request.setHeader("content-type", "application/json");
+  const response = await request.send();
+  response.assertOk();
+  return response.bodyJson;
+}
+
+async function call(endpoint, method) {
+  const { result, error } = await post(endpoint, { jsonrpc: "2.0", id: 1, method, params: [] });
+  if (error) throw new Error(error.message);
+  return result;
+}
+
+/**
+ * JsonRpcProvider over several URLs of one chain. health() reports the last
+ * probe of each URL, labelled by origin so API keys in paths stay private.
+ */
+class FailoverProvider extends ethers.JsonRpcProvider {
+  #chainId;
+  #endpoints;
+
+  constructor(endpoints, chainId) {
+    const network = ethers.Network.from(chainId);
+    super(endpoints[0].request, network, { staticNetwork: network });
+    this.#chainId = chainId;
+    this.#endpoints = endpoints;
+  }
+
+  // Healthy URLs first, in configured order; the rest are a last resort.
+  // URLs serving another chain are never used.
+  async _send(payload) {
+    const usable = this.#endpoints.filter((e) => !e.wrongChain);
+    let lastError = new Error("No RPC URL serves this chain");
+    for (const endpoint of [...usable.filter((e) => e.healthy), ...usable.filter((e) => !e.healthy)]) {
+      try {
+        const body = await post(endpoint, payload);
+        return Array.isArray(body) ? body : [body];
+      } catch (e) {
+        endpoint.healthy = false;
+        endpoint.error = e.shortMessage || e.message;
+        lastError = e;
+      }
+    }
+    throw lastError;
+  }
+
+  async #probe(endpoint) {
+    const started = Date.now();
+    try {
+      const [chainId, blockNumber] = await Promise.all([call(endpoint, "eth_chainId"), call(endpoint, "eth_blockNumber")]);
+      endpoint.wrongChain = Number(chainId) !== this.#chainId;
+      if (endpoint.wrongChain) throw new Error(`serves chain ${Number(chainId)}, expected ${this.#chainId}`);
+      Object.assign(endpoint, { healthy: true, blockNumber: Number(blockNumber), latencyMs: Date.now() - started, error: null });
+    } catch (e) {
+      Object.assign(endpoint, { healthy: false, latencyMs: null, error: e.shortMessage || e.message });
+    }
+    endpoint.checkedAt = Date.now();
+  }
+
+  /** Probes every URL for its chain id and head block. */
+  async checkHealth() {
+    await Promise.all(this.#endpoints.map((e) => this.#probe(e)));
+    return this.health();
+  }
+
+  health() {
+    return {
+      ok: this.#endpoints.some((e) => e.healthy && !e.wrongChain),
+      rpcs: this.#endpoints.map(({ label, healthy, blockNumber, latencyMs, error, checkedAt }) => ({ url: label, healthy, blockNumber, latencyMs, error, checkedAt }))
+    };
+  }
+}
+
+/** Failover provider for a deployment's RPC URLs; each request times out after timeoutMs. */
+export function createChainProvider({ chainId, rpcUrls }, { timeoutMs = 10000 } = {}) {
+  const endpoints = rpcUrls.map((url) => {
+    const request = new ethers.FetchRequest(url);
+    request.timeout = timeoutMs;
+    return { label: new URL(url).origin, request, healthy: true, wrongChain: false, blockNumber: null, latencyMs: null, error: null, checkedAt: null };
+  });
+  return new FailoverProvider(endpoints, chainId);
+}
@@ -0,0 +1,76 @@
+/**
+ * backend/eip712.js
+ * EIP-712 types for the license's meta-transactions, which live in the
+ * LicenseVouchers contract the license deploys (license.vouchers()). The
+ * domain is read from that contract (ERC-5267 eip712Domain) so it always
+ * matches the deployed name, version, chain and address.
+ */
+import { ethers } from "ethers";
+
+const VOUCHER_TUPLE = {
+  name: "v",
+  type: "tuple",
+  components: [
+    { name: "to", type: "address" },
+    { name: "appId", type: "string" },
+    { name: "tokenURI", type: "string" },
+    { name: "expiry", type: "uint64" },
+    { name: "soulbound", type: "bool" },
+    { name: "ephemeral", type: "bool" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+// The part of LicenseVouchers the backend calls.
+export const VOUCHERS_ABI = [
+  { type: "function", name: "mintWithVoucher", stateMutability: "nonpayable", inputs: [VOUCHER_TUPLE, { name: "signature", type: "bytes" }], outputs: [{ name: "tokenId", type: "uint256" }] },
+  { type: "function", name: "cancelVoucher", stateMutability: "nonpayable", inputs: [{ name: "nonce", type: "uint256" }], outputs: [] },
+  { type: "function", name: "redeemWithSig", stateMutability: "nonpayable", inputs: [{ name: "tokenId", type: "uint256" }, { name: "deadline", type: "uint256" }, { name: "signature", type: "bytes" }], outputs: [] },
+  {
+    type: "function",
+    name: "eip712Domain",
+    stateMutability: "view",
+    inputs: [],
+    outputs: [
+      { name: "fields", type: "bytes1" },
+      { name: "name", type: "string" },
+      { name: "version", type: "string" },
+      { name: "chainId", type: "uint256" },
+      { name: "verifyingContract", type: "address" },
+      { name: "salt", type: "bytes32" },
+      { name: "extensions", type: "uint256[]" }
+    ]
+  }
+];
+export const MINT_VOUCHER_TYPES = {
+  MintVoucher: [
+    { name: "to", type: "address" },
+    { name: "appId", type: "string" },
+    { name: "tokenURI", type: "string" },
+    { name: "expiry", type: "uint64" },
+    { name: "soulbound", type: "bool" },
+    { name: "ephemeral", type: "bool" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+export const REDEEM_TYPES = {
+  Redeem: [
+    { name: "tokenId", type: "uint256" },
+    { name: "owner", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+/** The license's LicenseVouchers contract, connected to `runner` (default: the license's). */
+export async function vouchersContract(license, runner = license.runner) {
+  return new ethers.Contract(await license.vouchers(), VOUCHERS_ABI, runner);
+}
+
+export async function typedDataDomain(vouchers) {
+  const { name, version, chainId, verifyingContract } = await vouchers.eip712Domain();
+  return { name, version, chainId, verifyingContract };
+}
@@ -0,0 +1,106 @@
+/**
+ * backend/gateway.js
+ * Reverse proxy behind /app/:appId (index.js authenticates the caller and
+ * picks the instance via instances.js). Streams the request to the instance
+ * and its response back, without buffering either. The AppBound access token
+ * is not forwarded: the instance learns who is calling from X-AppBound-*
+ * headers set here, and any the client sent are dropped so they cannot be
+ * forged. WebSocket upgrades are not proxied.
+ */
+import http from "http";
+import https from "https";
+
+// Hop-by-hop headers (RFC 9110 §7.6.1) apply to one connection and are never forwarded.
+const HOP_BY_HOP = new Set(["connection", "keep-alive", "proxy-authenticate", "proxy-authorization", "proxy-connection", "te", "trailer", "transfer-encoding", "upgrade"]);
+
+export class GatewayError extends Error {
+  /** code: INVALID_PATH | INSTANCE_UNREACHABLE | INSTANCE_TIMEOUT */
+  constructor(message, code) {
+    super(message);
+    this.name = "GatewayError";
+    this.code = code;
+  }
+}
+
+/** X-AppBound-* headers describing the caller's license, from a verified access token. */
+export function identityHeaders({ wallet, appId, tokenId, chainId, contract, sid }, licenseExpiry) {
+  return {
+    "x-appbound-wallet": wallet,
+    "x-appbound-app-id": appId,
+    "x-appbound-token-id": String(tokenId),
+    "x-appbound-chain-id": String(chainId),
+    "x-appbound-contract": contract,
+    "x-appbound-session-id": sid,
+    "x-appbound-license-expiry": String(licenseExpiry)
+  };
+}
+
+// `path` resolved below the endpoint's path. Dot segments, plain or
+// percent-encoded, are refused: URL resolution would climb out of the base path.
+function targetUrl(endpoint, path) {
+  const base = new URL(endpoint);
+  const basePath = base.pathname.replace(/\/$/, "");
+  const segments = path.split("?")[0].split(/[\\/]/);
+  if (segments.some((segment) => /^(\.|%2e){1,2}$/i.test(segment))) throw new GatewayError("Path must not contain dot segments", "INVALID_PATH");
+  const target = new URL(basePath + path, base);
+  if (target.origin !== base.origin || (target.pathname !== basePath && !target.pathname.startsWith(`${basePath}/`))) {
+    throw new GatewayError("Path leaves the instance's base path", "INVALID_PATH");
+  }
+  return target;
+}
+
+function requestHeaders(req, prefix, identity) {
+  const headers = {};
+  for (const [name, value] of Object.entries(req.headers)) {
+    if (HOP_BY_HOP.has(name) || name === "host" || name === "authorization" || name.startsWith("x-appbound-")) continue;
+    headers[name] = value;
+  }
+  const forwardedFor = req.headers["x-forwarded-for"];
+  return {
+    ...headers,
+    ...identity,
+    "x-forwarded-for": forwardedFor ? `${forwardedFor}, ${req.socket.remoteAddress}` : req.socket.remoteAddress,
+    "x-forwarded-host": req.headers.host,
+    "x-forwarded-proto": req.protocol,
+    "x-forwarded-prefix": prefix
+  };
+}
+
+/**
+ * Forwards `req` to `endpoint` (an instance's base URL, optionally with a
+ * path) and pipes the answer into `res`. `req.url` is the path below
+ * `prefix` and must stay below the endpoint's path (GatewayError INVALID_PATH
+ * otherwise). Rejects with GatewayError when the instance cannot be reached or
+ * does not answer within `timeoutMs`, if no response has started yet;
+ * otherwise the client connection is cut.
+ */
+export function forward(req, res, { endpoint, prefix, identity, timeoutMs = 30_000 }) {
+  let target;
+  try {
+    target = targetUrl(endpoint, req.url);
+  } catch (e) {
+    return Promise.reject(e);
+  }
+  const client = target.protocol === "https:" ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const upstream = client.request(target, { method: req.method, headers: requestHeaders(req, prefix, identity) }, (answer) => {
+      const headers = Object.fromEntries(Object.entries(answer.headers).filter(([name]) => !HOP_BY_HOP.has(name)));
+      res.writeHead(answer.statusCode, answer.statusMessage, headers);
+      answer.pipe(res);
+      answer.once("end", resolve);
+      answer.once("error", () => res.destroy());
+    });
+    upstream.setTimeout(timeoutMs, () => upstream.destroy(new GatewayError(`Instance did not answer within ${timeoutMs} ms`, "INSTANCE_TIMEOUT")));
+    upstream.once("error", (e) => {
+      if (res.headersSent) {
+        res.destroy();
+        return resolve();
+      }
+      reject(e instanceof GatewayError ? e : new GatewayError(`Instance unreachable: ${e.code || e.message}`, "INSTANCE_UNREACHABLE"));
+    });
+    // A client that goes away takes the upstream request with it.
+    res.once("close", () => !res.writableFinished && upstream.destroy());
+    req.pipe(upstream);
+  });
+}
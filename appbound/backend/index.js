@@ -1,52 +1,731 @@
 
 /**
  * backend/index.js
- * Minimal Express server: loads ABI, CONTRACT_ADDRESS from env.
- * Exposes /api/auth that issues ephemeral JWT on valid license.
- * Add DB, nonce-signature flows, rate limits, logging for production.
+ * Express server over one or more license deployments (chains.js): SIWE
+ * sign-in (/api/nonce, /api/auth) issuing sessions for valid licenses, plus
+ * the routes built on them. Each feature lives in its own module; the
+ * indexer's events tie them together below. See README.md for the endpoints.
+ * Running this file starts the server; importing it (as the tests do) only
+ * builds the app, so call start() to listen.
  */
 import express from "express";
 import dotenv from "dotenv";
-import fs from "fs";
+import { fileURLToPath } from "url";
 import cors from "cors";
-import jwt from "jsonwebtoken";
 import { ethers } from "ethers";
+import { createNonceStore, verifySiweMessage, SiweError } from "./siwe.js";
+import { createIndexer } from "./indexer.js";
+import { createStore } from "./store/index.js";
+import { createSessionService, SessionError } from "./sessions.js";
+import { createKeyStore } from "./keys.js";
+import { createAdminRouter, isAdminRequest, requireAdmin } from "./admin.js";
+import { checkHolder, findHolder, isExpired, LicenseError } from "./license.js";
+import { loadDeployments, createChainProvider, selectDeployments } from "./chains.js";
+import { createAllowlist } from "./allowlist.js";
+import { createAppRegistry } from "./apps.js";
+import { createMeter, rateLimit, QuotaError } from "./metering.js";
+import { createMetadataService, MetadataError } from "./metadata.js";
+import { createRedemptionService, RedemptionError } from "./redemptions.js";
+import { createRelayer, RelayError } from "./relayer.js";
+import { createCertificateService, CertificateError } from "./certificates.js";
+import { createWebhookService } from "./webhooks.js";
+import { createInstanceService, InstanceError } from "./instances.js";
+import { createProvisioner } from "./provisioners/index.js";
+import { forward, identityHeaders, GatewayError } from "./gateway.js";
 dotenv.config();
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+// Only the API parses JSON; /app/:appId streams bodies to the instance untouched.
+app.use("/api", express.json());
 
-const PROVIDER_URL = process.env.PROVIDER_URL || "http://127.0.0.1:8545";
-const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS;
-const JWT_SECRET = process.env.JWT_SECRET || "supersecret";
-if (!CONTRACT_ADDRESS) {
-  console.error("❌ CONTRACT_ADDRESS not set in backend/.env");
+const DEV_MODE = process.env.NODE_ENV === "development";
+const JWT_ALG = process.env.JWT_ALG || "ES256";
+const JWT_SECRET = process.env.JWT_SECRET || (DEV_MODE ? "supersecret" : undefined);
+const SIWE_DOMAIN = process.env.SIWE_DOMAIN || "localhost:3000";
+const SIWE_URI = process.env.SIWE_URI || "http://localhost:3000";
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+if (JWT_SECRET === "supersecret" && !DEV_MODE) {
+  console.error("❌ Refusing to start with the default JWT_SECRET outside NODE_ENV=development");
   process.exit(1);
 }
-const abiPath = "./AppBoundLicenseABI.json";
-if (!fs.existsSync(abiPath)) {
-  console.error("❌ ABI not found. Run the deploy script.");
+if (JWT_ALG === "HS256" && !JWT_SECRET) {
+  console.error("❌ JWT_ALG=HS256 requires JWT_SECRET");
   process.exit(1);
 }
-const abi = JSON.parse(fs.readFileSync(abiPath));
-const provider = new ethers.JsonRpcProvider(PROVIDER_URL);
-const contract = new ethers.Contract(CONTRACT_ADDRESS, abi, provider);
+let configs;
+try {
+  configs = loadDeployments({ file: process.env.DEPLOYMENTS_FILE || fileURLToPath(new URL("./deployments.json", import.meta.url)) });
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
+
+const store = await createStore({
+  driver: process.env.STORE || "memory",
+  sqlitePath: process.env.SQLITE_PATH || fileURLToPath(new URL("./data/appbound.db", import.meta.url))
+});
+const keys = await createKeyStore({
+  file: process.env.KEYS_FILE || fileURLToPath(new URL("./data/signing-keys.json", import.meta.url)),
+  alg: JWT_ALG,
+  secret: JWT_SECRET,
+  rotationSeconds: Number(process.env.KEY_ROTATION_SECONDS || 7 * 24 * 3600),
+  graceSeconds: Number(process.env.KEY_GRACE_SECONDS || 24 * 3600)
+});
+keys.startRotation();
+const sessions = createSessionService({
+  store,
+  keys,
+  accessTtl: process.env.ACCESS_TOKEN_TTL || "15m",
+  refreshTtlSeconds: Number(process.env.REFRESH_TOKEN_TTL_SECONDS || 7 * 24 * 3600)
+});
+const certificates = await createCertificateService({
+  store,
+  keyFile: process.env.CERT_KEY_FILE || fileURLToPath(new URL("./data/certificate-key.json", import.meta.url)),
+  ttlSeconds: Number(process.env.CERT_TTL_SECONDS || 30 * 24 * 3600),
+  graceSeconds: Number(process.env.CERT_GRACE_SECONDS || 7 * 24 * 3600),
+  crlTtlSeconds: Number(process.env.CRL_TTL_SECONDS || 24 * 3600)
+});
+const webhooks = createWebhookService({
+  store,
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8),
+  retryBaseSeconds: Number(process.env.WEBHOOK_RETRY_BASE_SECONDS || 30),
+  retryMaxSeconds: Number(process.env.WEBHOOK_RETRY_MAX_SECONDS || 6 * 3600),
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS || 10000),
+  pollSeconds: Number(process.env.WEBHOOK_POLL_SECONDS || 5)
+});
+let instances;
+try {
+  instances = createInstanceService({
+    store,
+    provisioner: createProvisioner({
+      driver: process.env.PROVISIONER || "local",
+      startTimeoutMs: Number(process.env.PROVISION_TIMEOUT_MS || 10000)
+    }),
+    apps: JSON.parse(process.env.APP_INSTANCES || "{}"),
+    pollSeconds: Number(process.env.PROVISIONING_POLL_SECONDS || 30)
+  });
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
+
+const meter = createMeter({
+  store,
+  defaults: {
+    tokenRpm: Number(process.env.QUOTA_TOKEN_RPM || 0),
+    tokenMonthlyUnits: Number(process.env.QUOTA_TOKEN_MONTHLY_UNITS || 0),
+    appRpm: Number(process.env.QUOTA_APP_RPM || 0),
+    appMonthlyUnits: Number(process.env.QUOTA_APP_MONTHLY_UNITS || 0)
+  }
+});
+const relayLimit = rateLimit({ perMinute: Number(process.env.RELAY_RATE_LIMIT_PER_MINUTE ?? 10) });
+const authLimit = rateLimit({ perMinute: Number(process.env.AUTH_RATE_LIMIT_PER_MINUTE ?? 30) });
+
+// Per-deployment services. Sessions, keys, quotas and the store are shared;
+// usage counters and redemption claims key token ids by licenseKey() so the
+// primary deployment keeps its plain ids and the others cannot collide.
+const deployments = configs.map((config, i) => {
+  const provider = createChainProvider(config, { timeoutMs: Number(process.env.RPC_TIMEOUT_MS || 10000) });
+  const contract = new ethers.Contract(config.address, config.abi, provider);
+  // Server-held MINTER/ADMIN key for the admin API; contract writes are disabled without it.
+  const adminSigner = process.env.ADMIN_PRIVATE_KEY
+    ? new ethers.NonceManager(new ethers.Wallet(process.env.ADMIN_PRIVATE_KEY, provider))
+    : null;
+  // Funded key that pays gas for /api/relay; relaying is disabled without it.
+  const relayerSigner = process.env.RELAYER_PRIVATE_KEY
+    ? new ethers.NonceManager(new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, provider))
+    : null;
+  const indexer = createIndexer({
+    provider,
+    contract,
+    stateFile: config.stateFile,
+    startBlock: config.startBlock,
+    confirmations: config.confirmations
+  });
+  const licenseKey = (tokenId) => (i === 0 ? String(tokenId) : `${config.id}:${tokenId}`);
+  const appInstances = instances.watchDeployment({ indexer, chainId: config.chainId, address: config.address });
+  return {
+    ...config,
+    provider,
+    contract,
+    indexer,
+    licenseKey,
+    relayerSigner,
+    instances: appInstances,
+    appRegistry: createAppRegistry({ contract }),
+    metadata: createMetadataService({ contract }),
+    redemptions: createRedemptionService({
+      store,
+      indexer,
+      contract,
+      keys,
+      contentUrls: JSON.parse(process.env.REDEMPTION_CONTENT_URLS || "{}"),
+      grantTtl: process.env.REDEMPTION_GRANT_TTL || "10m",
+      licenseKey
+    }),
+    relayer: relayerSigner && createRelayer({
+      contract,
+      signer: relayerSigner,
+      store,
+      budgetGwei: Number(process.env.RELAY_BUDGET_GWEI_PER_DAY || 5_000_000)
+    }),
+    admin: createAdminRouter({ apiKey: ADMIN_API_KEY, contract, signer: adminSigner, sessions, certificates, keys, meter, webhooks, instances: appInstances })
+  };
+});
+const chainIds = [...new Set(deployments.map((d) => d.chainId))];
+const expiryScans = deployments.map((d) => webhooks.watchDeployment(d));
+
+for (const d of deployments) {
+  const tag = deployments.length > 1 ? `[${d.name}] ` : "";
+  const scope = { chainId: d.chainId, contract: d.address };
+  d.indexer.on("revoke", async ({ wallet, appId, tokenId, reason }) => {
+    try {
+      const count = await sessions.revokeHolder(wallet, tokenId, reason, scope);
+      const certs = await certificates.revokeHolder(wallet, tokenId, reason, scope);
+      console.log(`🔒 ${tag}Revoked ${count} session(s) and ${certs} certificate(s) of ${wallet} for ${appId} #${tokenId} (${reason})`);
+    } catch (e) {
+      console.error("Session revocation failed:", e);
+    }
+  });
+  d.indexer.on("rent", ({ wallet, appId, tokenId, expires }) => {
+    console.log(`🤝 ${tag}${wallet} rents ${appId} #${tokenId} until ${new Date(expires * 1000).toISOString()}`);
+  });
+  d.indexer.on("delegate", ({ wallet, appId, tokenId, seat }) => console.log(`💺 ${tag}${wallet} took seat ${seat} of ${appId} #${tokenId}`));
+  d.indexer.on("redeem", ({ wallet, appId, tokenId }) => console.log(`🎟️  ${tag}${wallet} redeemed ${appId} #${tokenId}; grant claimable`));
+  d.indexer.on("renew", ({ owner, appId, tokenId, expiry }) => {
+    console.log(`🔁 ${tag}Renewed ${appId} #${tokenId} of ${owner} until ${new Date(expiry * 1000).toISOString()}`);
+  });
+  d.indexer.on("suspend", ({ appId, suspended }) => console.log(`${suspended ? "⛔ Suspended" : "✅ Reinstated"} ${tag}${appId}`));
+  d.indexer.on("pause", ({ paused }) => console.warn(`${paused ? "⛔" : "✅"} ${tag}License contract ${paused ? "paused" : "unpaused"}`));
+  d.indexer.on("reorg", ({ fromBlock, toBlock }) => console.warn(`⚠️  ${tag}Reorg: rolled back blocks ${fromBlock}-${toBlock}`));
+  d.indexer.on("error", (e) => console.error(`${tag}Indexer error:`, e));
+}
+
+// The deployment a request names with ?chainId= and/or ?contract=; the primary one by default.
+function withDeployment(req, res, next) {
+  const { chainId, contract } = req.query;
+  const [deployment] = chainId || contract ? selectDeployments(deployments, { chainId, contract }) : deployments;
+  if (!deployment) return res.status(404).json({ error: "No deployment for that chainId/contract", code: "UNKNOWN_DEPLOYMENT" });
+  req.deployment = deployment;
+  return next();
+}
+
+// The deployment that granted a session; sessions from before multi-chain support belong to the primary one.
+function sessionDeployment({ chainId, contract }) {
+  const deployment = chainId == null ? deployments[0] : selectDeployments(deployments, { chainId, contract })[0];
+  if (!deployment) throw new SessionError("Token was issued for a deployment this backend no longer serves");
+  return deployment;
+}
+
+function bearerToken(req) {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  return scheme === "Bearer" && token ? token : null;
+}
 
-app.post("/api/auth", async (req, res) => {
-  const { wallet, appId } = req.body;
-  if (!wallet || !appId) return res.status(400).json({ error: "wallet and appId required" });
+function sendQuotaError(res, e) {
+  res.set("Retry-After", String(e.retryAfter));
+  return res.status(429).json({ error: e.message, code: e.code, retryAfter: e.retryAfter });
+}
+
+const allowlist = createAllowlist({
+  file: process.env.ALLOWLIST_FILE || fileURLToPath(new URL("./data/allowlist.json", import.meta.url))
+});
+const nonces = createNonceStore({ store, ttlSeconds: Number(process.env.NONCE_TTL_SECONDS || 300) });
+
+app.get("/api/nonce", authLimit, async (req, res) => {
+  res.set("Cache-Control", "no-store");
+  try {
+    return res.json(await nonces.issue());
+  } catch (e) {
+    console.error(e); return res.status(500).json({ error: "server error" });
+  }
+});
+
+// Body: { message, signature, appId, chainId?, contract? }. Without chainId/contract every
+// deployment is searched in configured order; with chainId the SIWE message must be for that chain.
+app.post("/api/auth", authLimit, async (req, res) => {
+  const { message, signature, appId, chainId, contract } = req.body;
+  if (!message || !signature || !appId) return res.status(400).json({ error: "message, signature and appId required" });
+  const candidates = selectDeployments(deployments, { chainId, contract });
+  if (!candidates.length) return res.status(404).json({ error: "No deployment for that chainId/contract", code: "UNKNOWN_DEPLOYMENT" });
+  let wallet;
+  try {
+    ({ address: wallet } = await verifySiweMessage({ message, signature, nonces, domain: SIWE_DOMAIN, chainId: chainId ?? chainIds, uri: SIWE_URI }));
+  } catch (e) {
+    if (e instanceof SiweError) return res.status(401).json({ error: e.message });
+    console.error(e); return res.status(500).json({ error: "server error" });
+  }
   try {
-    const tokenId = await contract.userAppToken(wallet, ethers.keccak256(ethers.toUtf8Bytes(appId)));
-    if (tokenId == 0n) return res.status(403).json({ error: "No license for this wallet & appId" });
-    const meta = await contract.checkLicense(wallet, appId);
-    const expiry = meta.expiry ? Number(meta.expiry) : 0;
-    if (expiry !== 0 && Math.floor(Date.now() / 1000) > expiry) return res.status(403).json({ error: "License expired" });
-    const token = jwt.sign({ wallet, appId, tokenId: tokenId.toString() }, JWT_SECRET, { expiresIn: "15m" });
-    return res.json({ success: true, accessToken: token, tokenId: tokenId.toString() });
+    const { deployment, tokenId, seat, rentedUntil } = await findHolder(candidates, wallet, appId);
+    await meter.assertWithinQuota({ tokenId: deployment.licenseKey(tokenId), appId });
+    const grantedBy = { chainId: deployment.chainId, contract: deployment.address };
+    const { accessToken, refreshToken, sessionId } = await sessions.issue({ wallet, appId, tokenId, ...grantedBy });
+    return res.json({ success: true, accessToken, refreshToken, sessionId, tokenId, wallet, seat, ...(rentedUntil && { rentedUntil }), ...grantedBy });
   } catch (e) {
+    if (e instanceof LicenseError) return res.status(e.code === "CHAIN_UNAVAILABLE" ? 503 : 403).json({ error: e.message, code: e.code });
+    if (e instanceof QuotaError) return sendQuotaError(res, e);
     console.error(e); return res.status(500).json({ error: "server error" });
   }
 });
-const port = process.env.PORT || 5000;
-app.listen(port, () => console.log(`Backend listening on http://localhost:${port}`));
+
+// Rotates the refresh token after re-checking the license on the chain that granted it.
+app.post("/api/refresh", authLimit, async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) return res.status(400).json({ error: "refreshToken required" });
+  try {
+    const result = await sessions.refresh(refreshToken, async (session) => {
+      const { contract, indexer, licenseKey } = sessionDeployment(session);
+      const { tokenId } = await checkHolder(contract, session.address, session.appId, { indexer });
+      if (tokenId !== session.tokenId) throw new LicenseError("License changed");
+      await meter.assertWithinQuota({ tokenId: licenseKey(tokenId), appId: session.appId });
+    });
+    return res.json({ success: true, ...result });
+  } catch (e) {
+    if (e instanceof SessionError) return res.status(401).json({ error: e.message, code: e.code });
+    if (e instanceof LicenseError) return res.status(403).json({ error: e.message, code: e.code });
+    if (e instanceof QuotaError) return sendQuotaError(res, e);
+    console.error(e); return res.status(500).json({ error: "server error" });
+  }
+});
+
+// Offline certificate for the signed-in holder, after re-checking the license on chain.
+// Body: { fingerprint } (the machine binding, e.g. @appbound/sdk's machineFingerprint()).
+app.post("/api/certificates", authLimit, async (req, res) => {
+  const token = bearerToken(req);
+  if (!token) return res.status(401).json({ error: "Bearer token required" });
+  try {
+    const payload = await sessions.verifyAccess(token);
+    const { contract, indexer, chainId, address } = sessionDeployment(payload);
+    const { tokenId, expiry } = await checkHolder(contract, payload.wallet, payload.appId, { indexer });
+    if (tokenId !== payload.tokenId) throw new LicenseError("License changed");
+    const issued = await certificates.issue({
+      wallet: payload.wallet,
+      appId: payload.appId,
+      tokenId,
+      chainId,
+      contract: address,
+      licenseExpiry: expiry,
+      fingerprint: req.body.fingerprint
+    });
+    return res.json({ success: true, ...issued });
+  } catch (e) {
+    if (e instanceof CertificateError) return res.status(400).json({ error: e.message, code: e.code });
+    if (e instanceof SessionError) return res.status(401).json({ error: e.message, code: e.code });
+    if (e instanceof LicenseError) return res.status(e.code === "CHAIN_UNAVAILABLE" ? 503 : 403).json({ error: e.message, code: e.code });
+    console.error(e); return res.status(500).json({ error: "server error" });
+  }
+});
+
+// The key apps pin to verify certificates and the CRL; it does not rotate.
+app.get("/api/certificates/public-key", (req, res) => res.json(certificates.publicKey()));
+
+// Signed revocation list; clients sync it whenever they are online.
+app.get("/api/certificates/crl", async (req, res) => {
+  try {
+    res.set("Cache-Control", "public, max-age=60");
+    return res.json(await certificates.crl());
+  } catch (e) {
+    console.error(e); return res.status(500).json({ error: "server error" });
+  }
+});
+
+app.post("/api/logout", async (req, res) => {
+  try {
+    const token = bearerToken(req);
+    if (token) {
+      const { sid } = await sessions.verifyAccess(token);
+      await sessions.revoke(sid, "logout");
+    } else if (req.body.refreshToken) {
+      await sessions.revokeByRefreshToken(req.body.refreshToken, "logout");
+    } else {
+      return res.status(400).json({ error: "Bearer token or refreshToken required" });
+    }
+    return res.json({ success: true });
+  } catch (e) {
+    if (e instanceof SessionError) return res.status(401).json({ error: e.message });
+    console.error(e); return res.status(500).json({ error: "server error" });
+  }
+});
+
+// What a valid session's license allows right now: { licenseExpiry, denied }, where
+// denied is the 403 body when the license expired, the rental ended, the contract is
+// paused or the app suspended.
+async function checkSessionLicense(payload) {
+  const { wallet, appId, tokenId } = payload;
+  const { indexer, contract } = sessionDeployment(payload);
+  // Tokens minted after the last indexed block fall back to a chain read.
+  const licenseExpiry = indexer.getToken(tokenId)?.expiry ?? Number((await contract.licenses(tokenId)).expiry);
+  if (isExpired(licenseExpiry)) return { licenseExpiry, denied: { error: "License expired", code: "LICENSE_EXPIRED", licenseExpiry } };
+  const rental = indexer.getToken(tokenId)?.rental;
+  if (rental?.user === wallet && isExpired(rental.expires)) {
+    return { licenseExpiry, denied: { error: "Rental ended", code: "RENTAL_ENDED", rentedUntil: rental.expires } };
+  }
+  if (indexer.paused) return { licenseExpiry, denied: { error: "License contract is paused", code: "CONTRACT_PAUSED" } };
+  if (indexer.isSuspended(appId)) return { licenseExpiry, denied: { error: `App ${appId} is suspended`, code: "APP_SUSPENDED" } };
+  return { licenseExpiry, denied: null };
+}
+
+// Token introspection for protected apps: signature, expiry and session validity.
+app.get("/api/session", async (req, res) => {
+  const token = bearerToken(req);
+  if (!token) return res.status(401).json({ error: "Bearer token required" });
+  try {
+    const payload = await sessions.verifyAccess(token);
+    const { wallet, appId, tokenId, sid, exp } = payload;
+    const { chainId, address } = sessionDeployment(payload);
+    const { licenseExpiry, denied } = await checkSessionLicense(payload);
+    if (denied) return res.status(403).json(denied);
+    return res.json({ active: true, wallet, appId, tokenId, chainId, contract: address, sessionId: sid, exp, licenseExpiry });
+  } catch (e) {
+    if (e instanceof SessionError) return res.status(401).json({ error: e.message, code: e.code });
+    console.error(e); return res.status(500).json({ error: "server error" });
+  }
+});
+
+// Protected apps report consumption here with the user's access token.
+// Body: { units } (positive integer, default 1). Each report also counts as one
+// request against the per-minute limits.
+app.post("/api/usage", async (req, res) => {
+  const token = bearerToken(req);
+  if (!token) return res.status(401).json({ error: "Bearer token required" });
+  const units = req.body.units ?? 1;
+  if (!Number.isSafeInteger(units) || units < 1) return res.status(400).json({ error: "units must be a positive integer" });
+  try {
+    const payload = await sessions.verifyAccess(token);
+    const { licenseKey } = sessionDeployment(payload);
+    return res.json({ success: true, usage: await meter.record({ tokenId: licenseKey(payload.tokenId), appId: payload.appId, units }) });
+  } catch (e) {
+    if (e instanceof SessionError) return res.status(401).json({ error: e.message, code: e.code });
+    if (e instanceof QuotaError) return sendQuotaError(res, e);
+    console.error(e); return res.status(500).json({ error: "server error" });
+  }
+});
+
+// Usage for dashboards: the license's own access token or the admin key
+// (with ?chainId= / ?contract= for licenses outside the primary deployment).
+app.get("/api/usage/:tokenId", withDeployment, async (req, res) => {
+  const { tokenId } = req.params;
+  try {
+    const token = bearerToken(req);
+    let deployment = req.deployment;
+    if (token) {
+      const payload = await sessions.verifyAccess(token);
+      deployment = sessionDeployment(payload);
+      if (payload.tokenId !== tokenId) return res.status(403).json({ error: "Token belongs to another license" });
+    } else if (!isAdminRequest(ADMIN_API_KEY, req)) {
+      return res.status(401).json({ error: "Bearer token or admin key required" });
+    }
+    const { indexer, contract, licenseKey } = deployment;
+    const appId = indexer.getToken(tokenId)?.appId ?? (await contract.licenses(tokenId)).appId;
+    if (!appId) return res.status(404).json({ error: "Unknown license" });
+    return res.json({ ...(await meter.status({ tokenId: licenseKey(tokenId), appId })), tokenId, chainId: deployment.chainId, contract: deployment.address });
+  } catch (e) {
+    if (e instanceof SessionError) return res.status(401).json({ error: e.message, code: e.code });
+    console.error(e); return res.status(500).json({ error: "server error" });
+  }
+});
+
+const REDEMPTION_STATUS = { UNKNOWN_TOKEN: 404, NOT_EPHEMERAL: 400, NOT_REDEEMED: 409, NOT_REDEEMER: 403, ALREADY_CLAIMED: 410, NO_CONTENT: 404 };
+
+app.get("/api/redemptions/:tokenId", withDeployment, async (req, res) => {
+  try {
+    return res.json(await req.deployment.redemptions.status(req.params.tokenId));
+  } catch (e) {
+    if (e instanceof RedemptionError) return res.status(REDEMPTION_STATUS[e.code]).json({ error: e.message, code: e.code });
+    console.error(e); return res.status(500).json({ error: "server error" });
+  }
+});
+
+// The redeemer proves the wallet with a SIWE message (same flow as /api/auth) and
+// receives the one-time grant; every later claim gets 410 ALREADY_CLAIMED.
+app.post("/api/redemptions/:tokenId/claim", authLimit, withDeployment, async (req, res) => {
+  const { message, signature } = req.body;
+  if (!message || !signature) return res.status(400).json({ error: "message and signature required" });
+  const { chainId, redemptions } = req.deployment;
+  try {
+    const { address } = await verifySiweMessage({ message, signature, nonces, domain: SIWE_DOMAIN, chainId, uri: SIWE_URI });
+    return res.json({ success: true, ...(await redemptions.claim(req.params.tokenId, address)) });
+  } catch (e) {
+    if (e instanceof SiweError) return res.status(401).json({ error: e.message });
+    if (e instanceof RedemptionError) return res.status(REDEMPTION_STATUS[e.code]).json({ error: e.message, code: e.code });
+    console.error(e); return res.status(500).json({ error: "server error" });
+  }
+});
+
+// Body: { type: "mint", voucher, signature } or { type: "redeem", tokenId, deadline, signature }.
+// Relay budgets are per wallet across all deployments.
+app.post("/api/relay", relayLimit, withDeployment, async (req, res) => {
+  const { relayer } = req.deployment;
+  if (!relayer) return res.status(503).json({ error: "Relaying disabled (RELAYER_PRIVATE_KEY not set)" });
+  try {
+    return res.json({ success: true, ...(await relayer.relay(req.body)) });
+  } catch (e) {
+    if (e instanceof RelayError) return res.status(e.code === "BUDGET_EXCEEDED" ? 429 : 400).json({ error: e.message, code: e.code });
+    // Simulation reverts (bad signature, used voucher, expired deadline...) cost nothing.
+    if (e.code === "CALL_EXCEPTION" || e.code === "INVALID_ARGUMENT") return res.status(400).json({ error: e.reason || e.shortMessage, code: "INVALID_REQUEST" });
+    console.error(e); return res.status(500).json({ error: "server error" });
+  }
+});
+
+app.get("/api/relay/budget/:address", withDeployment, async (req, res) => {
+  const { relayer, relayerSigner } = req.deployment;
+  if (!relayer) return res.status(503).json({ error: "Relaying disabled (RELAYER_PRIVATE_KEY not set)" });
+  if (!ethers.isAddress(req.params.address)) return res.status(400).json({ error: "Invalid address" });
+  try {
+    return res.json({ ...(await relayer.budget(req.params.address)), relayer: await relayerSigner.getAddress() });
+  } catch (e) {
+    console.error(e); return res.status(500).json({ error: "server error" });
+  }
+});
+
+// License status and renewal terms for a wallet, used by the frontend's Renew button.
+app.get("/api/license/:appId/:address", withDeployment, async (req, res) => {
+  const { appId, address } = req.params;
+  if (!ethers.isAddress(address)) return res.status(400).json({ error: "Invalid address" });
+  const { contract, chainId } = req.deployment;
+  try {
+    const [meta, [price, period], suspended] = await Promise.all([
+      contract.checkLicense(address, appId),
+      contract.renewalPlan(appId),
+      contract.appSuspended(ethers.id(appId))
+    ]);
+    if (meta.tokenId == 0n) return res.status(404).json({ error: "No license for this wallet & appId", code: "LICENSE_MISSING" });
+    const expiry = Number(meta.expiry);
+    return res.json({
+      chainId,
+      contract: req.deployment.address,
+      tokenId: meta.tokenId.toString(),
+      appId,
+      expiry,
+      expired: isExpired(expiry),
+      ephemeral: meta.ephemeral,
+      redeemed: meta.isRedeemed,
+      suspended,
+      secondsRemaining: expiry === 0 ? null : Math.max(0, expiry - Math.floor(Date.now() / 1000)),
+      renewal: period > 0n && expiry !== 0 ? { price: price.toString(), period: Number(period) } : null
+    });
+  } catch (e) {
+    console.error(e); return res.status(500).json({ error: "server error" });
+  }
+});
+
+// Seats of a team license, for the owner's seat management page.
+app.get("/api/seats/:tokenId", withDeployment, async (req, res) => {
+  const { tokenId } = req.params;
+  if (!/^\d+$/.test(tokenId)) return res.status(404).json({ error: "Unknown license" });
+  const { contract, chainId, address } = req.deployment;
+  try {
+    const [owner, lic, delegates] = await Promise.all([contract.ownerOf(tokenId), contract.licenses(tokenId), contract.delegatesOf(tokenId)]);
+    if (!lic.appId) return res.status(404).json({ error: "Unknown license" });
+    return res.json({
+      chainId,
+      contract: address,
+      tokenId,
+      appId: lic.appId,
+      owner,
+      seats: Number(lic.seats),
+      delegates: delegates.map((wallet, i) => ({ seat: i + 1, wallet })).filter((d) => d.wallet !== ethers.ZeroAddress)
+    });
+  } catch (e) {
+    if (e.code === "CALL_EXCEPTION") return res.status(404).json({ error: "Unknown license" });
+    console.error(e); return res.status(500).json({ error: "server error" });
+  }
+});
+
+// Current rental of a license, for the owner's lend page.
+app.get("/api/rentals/:tokenId", withDeployment, async (req, res) => {
+  const { tokenId } = req.params;
+  if (!/^\d+$/.test(tokenId)) return res.status(404).json({ error: "Unknown license" });
+  const { contract, chainId, address } = req.deployment;
+  try {
+    const [owner, lic, user, expires] = await Promise.all([
+      contract.ownerOf(tokenId),
+      contract.licenses(tokenId),
+      contract.userOf(tokenId),
+      contract.userExpires(tokenId)
+    ]);
+    if (!lic.appId) return res.status(404).json({ error: "Unknown license" });
+    const rented = user !== ethers.ZeroAddress;
+    return res.json({
+      chainId,
+      contract: address,
+      tokenId,
+      appId: lic.appId,
+      owner,
+      soulbound: lic.soulbound,
+      user: rented ? user : null,
+      expires: rented ? Number(expires) : null
+    });
+  } catch (e) {
+    if (e.code === "CALL_EXCEPTION") return res.status(404).json({ error: "Unknown license" });
+    console.error(e); return res.status(500).json({ error: "server error" });
+  }
+});
+
+app.get("/api/apps", withDeployment, async (req, res) => {
+  const { appRegistry, chainId, address } = req.deployment;
+  try {
+    return res.json({ chainId, contract: address, apps: await appRegistry.list() });
+  } catch (e) {
+    console.error(e); return res.status(500).json({ error: "server error" });
+  }
+});
+
+app.get("/api/apps/:appId", withDeployment, async (req, res) => {
+  const { appRegistry, chainId, address } = req.deployment;
+  try {
+    const entry = await appRegistry.get(req.params.appId);
+    if (!entry) return res.status(404).json({ error: `Unknown app ${req.params.appId}`, code: "UNKNOWN_APP" });
+    return res.json({ chainId, contract: address, ...entry });
+  } catch (e) {
+    console.error(e); return res.status(500).json({ error: "server error" });
+  }
+});
+
+// Public keys for verifying access tokens (empty with JWT_ALG=HS256).
+app.get("/.well-known/jwks.json", (req, res) => {
+  res.set("Cache-Control", "public, max-age=300");
+  return res.json(keys.jwks());
+});
+
+// Proof for openMint. `required: false` means no allowlist is set on chain (empty proof works).
+app.get("/api/allowlist/:address/proof", withDeployment, async (req, res) => {
+  const { address } = req.params;
+  if (!ethers.isAddress(address)) return res.status(400).json({ error: "Invalid address" });
+  const { contract, chainId } = req.deployment;
+  try {
+    const [merkleRoot, openMinting] = await Promise.all([contract.merkleRoot(), contract.openMinting()]);
+    const base = { address: ethers.getAddress(address), chainId, contract: req.deployment.address, openMinting, root: merkleRoot };
+    if (merkleRoot === ethers.ZeroHash) return res.json({ ...base, required: false, proof: [] });
+    if (allowlist.root() !== merkleRoot) {
+      return res.status(503).json({ error: "Published allowlist does not match the on-chain root", code: "ALLOWLIST_STALE" });
+    }
+    const entry = allowlist.proof(address);
+    if (!entry) return res.status(404).json({ error: "Address not allowlisted", code: "NOT_ALLOWLISTED" });
+    return res.json({ ...base, required: true, proof: entry.proof });
+  } catch (e) {
+    console.error(e); return res.status(500).json({ error: "server error" });
+  }
+});
+
+// Deployments a client can pick from; RPC URLs stay private except the optional publicRpcUrl for wallets.
+app.get("/api/deployments", (req, res) => {
+  return res.json({
+    deployments: deployments.map(({ id, name, chainId, address, publicRpcUrl }, i) => ({ id, name, chainId, contract: address, publicRpcUrl, primary: i === 0 }))
+  });
+});
+
+// Per-deployment RPC and indexer health from the last probe; 503 when a deployment has no healthy RPC URL.
+app.get("/api/health", (req, res) => {
+  const report = deployments.map(({ id, name, chainId, address, provider, indexer }) => {
+    const { ok, rpcs } = provider.health();
+    const head = Math.max(-1, ...rpcs.map((r) => r.blockNumber ?? -1));
+    return { id, name, chainId, contract: address, ok, indexedBlock: indexer.lastBlock, headBlock: head < 0 ? null : head, rpcs };
+  });
+  const ok = report.every((d) => d.ok);
+  return res.status(ok ? 200 : 503).json({ ok, deployments: report });
+});
+
+// Token metadata for the contract's base URI, e.g. setBaseURI("https://api.example.com/metadata/").
+// Base URIs cannot carry ?chainId=, so other deployments use /metadata/<chainId>/<contract>/<tokenId>.
+const metadataRoutes = express.Router();
+metadataRoutes.get("/:tokenId", async (req, res) => {
+  const [path, query] = req.originalUrl.split("?");
+  const imageUrl = `${process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`}${path}/image.svg${query ? `?${query}` : ""}`;
+  try {
+    const metadata = await req.deployment.metadata.metadata(req.params.tokenId, { imageUrl });
+    res.set("Cache-Control", "public, max-age=60");
+    return res.json(metadata);
+  } catch (e) {
+    if (e instanceof MetadataError) return res.status(404).json({ error: e.message, code: e.code });
+    console.error(e); return res.status(500).json({ error: "server error" });
+  }
+});
+metadataRoutes.get("/:tokenId/image.svg", async (req, res) => {
+  try {
+    const svg = await req.deployment.metadata.image(req.params.tokenId);
+    res.set("Cache-Control", "public, max-age=60");
+    return res.type("image/svg+xml").send(svg);
+  } catch (e) {
+    if (e instanceof MetadataError) return res.status(404).json({ error: e.message, code: e.code });
+    console.error(e); return res.status(500).json({ error: "server error" });
+  }
+});
+app.use("/metadata", withDeployment, metadataRoutes);
+app.use(
+  "/metadata/:chainId/:contract",
+  (req, res, next) => {
+    const [deployment] = selectDeployments(deployments, req.params);
+    if (!deployment) return res.status(404).json({ error: "No deployment for that chainId/contract", code: "UNKNOWN_DEPLOYMENT" });
+    req.deployment = deployment;
+    return next();
+  },
+  metadataRoutes
+);
+
+app.use("/api/admin", requireAdmin(ADMIN_API_KEY), withDeployment, (req, res, next) => req.deployment.admin(req, res, next));
+
+const INSTANCE_STATUS = { APP_NOT_ROUTED: 404, INSTANCE_PENDING: 503, INSTANCE_UNAVAILABLE: 503 };
+const GATEWAY_STATUS = { INVALID_PATH: 400, INSTANCE_TIMEOUT: 504 };
+
+// Gateway to the licensed app: the caller's access token must be for :appId and
+// pass the /api/session checks; the request then goes to the license's dedicated
+// instance, or to the app's shared one, with X-AppBound-* identity headers (gateway.js).
+app.use("/app/:appId", async (req, res) => {
+  const token = bearerToken(req);
+  if (!token) return res.status(401).json({ error: "Bearer token required" });
+  try {
+    const payload = await sessions.verifyAccess(token);
+    if (payload.appId !== req.params.appId) return res.status(403).json({ error: `Token was issued for ${payload.appId}`, code: "WRONG_APP" });
+    const { chainId, address } = sessionDeployment(payload);
+    const { licenseExpiry, denied } = await checkSessionLicense(payload);
+    if (denied) return res.status(403).json(denied);
+    const { endpoint } = await instances.route({ ...payload, chainId, contract: address });
+    await forward(req, res, {
+      endpoint,
+      prefix: req.baseUrl,
+      identity: identityHeaders({ ...payload, chainId, contract: address }, licenseExpiry),
+      timeoutMs: Number(process.env.GATEWAY_TIMEOUT_MS || 30000)
+    });
+  } catch (e) {
+    if (e instanceof SessionError) return res.status(401).json({ error: e.message, code: e.code });
+    if (e instanceof InstanceError) {
+      if (e.code === "INSTANCE_PENDING") res.set("Retry-After", "2");
+      return res.status(INSTANCE_STATUS[e.code] ?? 500).json({ error: e.message, code: e.code });
+    }
+    if (e instanceof GatewayError) return res.status(GATEWAY_STATUS[e.code] ?? 502).json({ error: e.message, code: e.code });
+    console.error(e); return res.status(500).json({ error: "server error" });
+  }
+});
+
+// Logs only changes, so a URL that stays down is reported once.
+const unhealthyRpcs = new Map();
+async function checkHealth() {
+  for (const d of deployments) {
+    const { ok, rpcs } = await d.provider.checkHealth();
+    const down = rpcs.filter((r) => !r.healthy).map((r) => `${r.url} (${r.error})`).join(", ");
+    if (down === (unhealthyRpcs.get(d.id) ?? "")) continue;
+    unhealthyRpcs.set(d.id, down);
+    if (down) console.warn(`⚠️  ${d.name}: ${ok ? "" : "no healthy RPC URL; "}down: ${down}`);
+    else console.log(`✅ ${d.name}: every RPC URL is healthy again`);
+  }
+}
+
+/** Probes the RPC URLs, starts every indexer, then listens on `port`. */
+export async function start(port = process.env.PORT || 5000) {
+  await checkHealth();
+  setInterval(() => checkHealth().catch((e) => console.error("Health check failed:", e)), Number(process.env.HEALTH_CHECK_INTERVAL_SECONDS || 30) * 1000).unref();
+  await Promise.all(deployments.map((d) => d.indexer.start()));
+  webhooks.start(expiryScans);
+  instances.start(deployments.map((d) => d.instances.reconcile));
+  const indexed = deployments.map((d) => `${d.name} block ${d.indexer.lastBlock}`).join(", ");
+  return app.listen(port, () => console.log(`Backend listening on http://localhost:${port} (indexed to ${indexed})`));
+}
+
+// Tests import app and deployments (configured from env) without starting the server.
+export { app, deployments };
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  start().catch((e) => { console.error("❌ Backend failed to start:", e); process.exit(1); });
+}
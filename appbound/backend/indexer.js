@@ -0,0 +1,368 @@
+/**
+ * backend/indexer.js
+ * Chain event indexer: follows Transfer / LicenseMinted / Redeemed /
+ * ExpiryExtended / LicenseRevoked on the license contract and keeps the current
+ * holder of every (wallet, appId). It also tracks the contract's paused flag
+ * (Paused / Unpaused), suspended apps (AppSuspensionSet) and delegated seats
+ * (DelegateSet / DelegateRemoved; seats are dropped when the token moves) and
+ * ERC-4907 rentals (UpdateUser; the contract ends a rental when the token moves).
+ * State is persisted to a JSON file so restarts resume from the last processed
+ * block. Each recent block keeps an undo journal; when a stored block hash no
+ * longer matches the chain, the affected blocks are rolled back and replayed.
+ *
+ * Emits:
+ *   "revoke"  { wallet, appId, tokenId, reason }  previous holder lost the license,
+ *             a delegate lost its seat, a renter's rental was ended or replaced,
+ *             or the owner rented the license out
+ *             (reason: transfer | burn | revoked | undelegated | rental-ended | rented | reorg)
+ *   "license" { tokenId, owner, from, appId, expiry }  a license was minted (from null) or moved
+ *   "burn"    { tokenId, owner, appId, expiry }   a license was burned
+ *   "renew"   { tokenId, owner, appId, previousExpiry, expiry }  expiry was extended
+ *   "redeem"  { tokenId, wallet, appId }          an ephemeral license was redeemed
+ *   "delegate" { tokenId, wallet, appId, seat }   a seat was assigned
+ *   "rent"    { tokenId, wallet, owner, appId, expires }  the license was rented to wallet
+ *   "suspend" { appId, suspended }               an app was suspended or reinstated
+ *   "pause"   { paused }                         the contract was paused or unpaused
+ *   "synced"  { lastBlock }
+ * license, burn, renew and redeem also carry the log's { txHash, blockNumber, logIndex }.
+ *   "reorg"   { fromBlock, toBlock }
+ *   "error"   Error
+ */
+import { EventEmitter } from "events";
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+
+const INDEXED_EVENTS = [
+  "Transfer",
+  "LicenseMinted",
+  "Redeemed",
+  "ExpiryExtended",
+  "LicenseRevoked",
+  "DelegateSet",
+  "DelegateRemoved",
+  "UpdateUser",
+  "AppSuspensionSet",
+  "Paused",
+  "Unpaused"
+];
+const EMPTY_STATE = { lastBlock: -1, blockHashes: {}, journal: {}, tokens: {}, holders: {}, delegates: {}, rentals: {}, apps: {}, contract: {} };
+
+export function holderKey(wallet, appId) {
+  return `${ethers.getAddress(wallet)}:${appId}`;
+}
+
+function splitHolderKey(key) {
+  const sep = key.indexOf(":");
+  return { wallet: key.slice(0, sep), appId: key.slice(sep + 1) };
+}
+
+function loadState(file, startBlock) {
+  if (fs.existsSync(file)) return { ...structuredClone(EMPTY_STATE), ...JSON.parse(fs.readFileSync(file, "utf8")) };
+  return { ...structuredClone(EMPTY_STATE), lastBlock: startBlock - 1 };
+}
+
+function saveState(file, state) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state));
+  fs.renameSync(tmp, file);
+}
+
+export function createIndexer({
+  provider,
+  contract,
+  stateFile,
+  startBlock = 0,
+  confirmations = 0,
+  reorgDepth = 64,
+  chunkSize = 2000
+}) {
+  const events = new EventEmitter();
+  let state = loadState(stateFile, startBlock);
+  let syncing = null;
+  let pending = false;
+  let listener = null;
+
+  // Every mutation goes through set() so the block's journal can undo it.
+  // Absent values are journaled as null so they survive the JSON round trip.
+  function set(journal, map, key, value) {
+    journal.push([map, key, state[map][key] ?? null]);
+    if (value === undefined) delete state[map][key];
+    else state[map][key] = value;
+  }
+
+  function moveHolder(journal, from, appId, tokenId, reason) {
+    const key = holderKey(from, appId);
+    if (state.holders[key] !== tokenId) return;
+    set(journal, "holders", key, undefined);
+    events.emit("revoke", { wallet: ethers.getAddress(from), appId, tokenId, reason });
+  }
+
+  // Drops every seat of a token (transfer, burn, revoke); delegates[key] maps wallet:appId to tokenId.
+  function clearDelegates(journal, token, tokenId, reason) {
+    for (const wallet of Object.values(token.seats || {})) {
+      const key = holderKey(wallet, token.appId);
+      if (state.delegates[key] !== tokenId) continue;
+      set(journal, "delegates", key, undefined);
+      events.emit("revoke", { wallet, appId: token.appId, tokenId, reason });
+    }
+  }
+
+  // Ends a token's rental; rentals[key] maps the renter's wallet:appId to tokenId.
+  function clearRental(journal, token, tokenId, reason) {
+    if (!token.rental) return;
+    const key = holderKey(token.rental.user, token.appId);
+    if (state.rentals[key] !== tokenId) return;
+    set(journal, "rentals", key, undefined);
+    events.emit("revoke", { wallet: token.rental.user, appId: token.appId, tokenId, reason });
+  }
+
+  function apply(journal, log) {
+    const tokenId = log.args.tokenId?.toString();
+    const token = state.tokens[tokenId];
+    const at = { txHash: log.transactionHash, blockNumber: log.blockNumber, logIndex: log.index };
+    switch (log.eventName) {
+      case "Transfer": {
+        const { from, to } = log.args;
+        if (from === ethers.ZeroAddress) {
+          set(journal, "tokens", tokenId, { owner: to, appId: null, expiry: 0, redeemed: false });
+          return;
+        }
+        if (!token) return;
+        const reason = to === ethers.ZeroAddress ? "burn" : "transfer";
+        if (token.appId) {
+          moveHolder(journal, from, token.appId, tokenId, reason);
+          clearDelegates(journal, token, tokenId, reason);
+        }
+        if (to === ethers.ZeroAddress) {
+          set(journal, "tokens", tokenId, undefined);
+          if (token.appId) events.emit("burn", { tokenId, owner: ethers.getAddress(from), appId: token.appId, expiry: token.expiry, ...at });
+          return;
+        }
+        set(journal, "tokens", tokenId, { ...token, owner: to, seats: {} });
+        if (token.revoked) return;
+        if (token.appId) set(journal, "holders", holderKey(to, token.appId), tokenId);
+        events.emit("license", { tokenId, owner: to, from: ethers.getAddress(from), appId: token.appId, expiry: token.expiry, ...at });
+        return;
+      }
+      case "LicenseMinted": {
+        const { to, appId, expiry } = log.args;
+        set(journal, "tokens", tokenId, { ...token, owner: to, appId, expiry: Number(expiry) });
+        set(journal, "holders", holderKey(to, appId), tokenId);
+        events.emit("license", { tokenId, owner: to, from: null, appId, expiry: Number(expiry), ...at });
+        return;
+      }
+      case "Redeemed": {
+        if (!token) return;
+        const wallet = ethers.getAddress(log.args.user);
+        set(journal, "tokens", tokenId, { ...token, redeemed: true, redeemedBy: wallet, redeemTx: log.transactionHash });
+        events.emit("redeem", { tokenId, wallet, appId: token.appId, ...at });
+        return;
+      }
+      case "ExpiryExtended": {
+        if (!token) return;
+        const expiry = Number(log.args.newExpiry);
+        set(journal, "tokens", tokenId, { ...token, expiry });
+        events.emit("renew", { tokenId, owner: token.owner, appId: token.appId, previousExpiry: token.expiry, expiry, ...at });
+        return;
+      }
+      case "LicenseRevoked": {
+        if (!token) return;
+        set(journal, "tokens", tokenId, { ...token, revoked: true, revokedReason: log.args.reason });
+        if (token.appId) {
+          moveHolder(journal, token.owner, token.appId, tokenId, "revoked");
+          clearDelegates(journal, token, tokenId, "revoked");
+          clearRental(journal, token, tokenId, "revoked");
+        }
+        return;
+      }
+      case "DelegateSet": {
+        if (!token?.appId) return;
+        const wallet = ethers.getAddress(log.args.delegate);
+        const seat = Number(log.args.seat);
+        set(journal, "tokens", tokenId, { ...token, seats: { ...token.seats, [seat]: wallet } });
+        if (!token.revoked) set(journal, "delegates", holderKey(wallet, token.appId), tokenId);
+        events.emit("delegate", { tokenId, wallet, appId: token.appId, seat });
+        return;
+      }
+      case "DelegateRemoved": {
+        if (!token?.appId) return;
+        const wallet = ethers.getAddress(log.args.delegate);
+        const seats = { ...token.seats };
+        delete seats[Number(log.args.seat)];
+        set(journal, "tokens", tokenId, { ...token, seats });
+        const key = holderKey(wallet, token.appId);
+        if (state.delegates[key] === tokenId) {
+          set(journal, "delegates", key, undefined);
+          events.emit("revoke", { wallet, appId: token.appId, tokenId, reason: "undelegated" });
+        }
+        return;
+      }
+      case "UpdateUser": {
+        if (!token?.appId) return;
+        const user = log.args.user === ethers.ZeroAddress ? null : ethers.getAddress(log.args.user);
+        const expires = Number(log.args.expires);
+        if (token.rental && token.rental.user !== user) clearRental(journal, token, tokenId, "rental-ended");
+        set(journal, "tokens", tokenId, { ...token, rental: user ? { user, expires } : undefined });
+        if (!user || user === token.owner || token.revoked) return;
+        set(journal, "rentals", holderKey(user, token.appId), tokenId);
+        // The owner has no access while the license is rented out.
+        events.emit("revoke", { wallet: token.owner, appId: token.appId, tokenId, reason: "rented" });
+        events.emit("rent", { tokenId, wallet: user, owner: token.owner, appId: token.appId, expires });
+        return;
+      }
+      case "AppSuspensionSet": {
+        const { appId, suspended } = log.args;
+        set(journal, "apps", appId, suspended ? { suspended: true } : undefined);
+        events.emit("suspend", { appId, suspended });
+        return;
+      }
+      case "Paused":
+      case "Unpaused": {
+        const paused = log.eventName === "Paused";
+        set(journal, "contract", "paused", paused || undefined);
+        events.emit("pause", { paused });
+        return;
+      }
+    }
+  }
+
+  function undoBlock(blockNumber) {
+    const journal = state.journal[blockNumber] || [];
+    for (const [map, key, prev] of journal.reverse()) {
+      const current = state[map][key];
+      if ((map === "holders" || map === "delegates" || map === "rentals") && current !== undefined && current !== prev) {
+        events.emit("revoke", { ...splitHolderKey(key), tokenId: current, reason: "reorg" });
+      }
+      if (prev === null) delete state[map][key];
+      else state[map][key] = prev;
+    }
+    delete state.journal[blockNumber];
+    delete state.blockHashes[blockNumber];
+  }
+
+  // Rolls back to the newest block whose stored hash still matches the chain.
+  async function handleReorg() {
+    let n = state.lastBlock;
+    if (!state.blockHashes[n]) return;
+    const head = await provider.getBlock(n);
+    if (head && head.hash === state.blockHashes[n]) return;
+    const toBlock = n;
+    while (state.blockHashes[n]) {
+      const block = await provider.getBlock(n);
+      if (block && block.hash === state.blockHashes[n]) break;
+      undoBlock(n);
+      n--;
+    }
+    if (state.blockHashes[n] === undefined && n >= startBlock) {
+      // Reorg deeper than the retained journal: rebuild from scratch.
+      for (const [key, tokenId] of [...Object.entries(state.holders), ...Object.entries(state.delegates), ...Object.entries(state.rentals)]) {
+        events.emit("revoke", { ...splitHolderKey(key), tokenId, reason: "reorg" });
+      }
+      state = { ...structuredClone(EMPTY_STATE), lastBlock: startBlock - 1 };
+    } else {
+      state.lastBlock = n;
+    }
+    events.emit("reorg", { fromBlock: state.lastBlock + 1, toBlock });
+  }
+
+  async function fetchLogs(fromBlock, toBlock) {
+    const batches = await Promise.all(
+      INDEXED_EVENTS.map((name) => contract.queryFilter(contract.filters[name](), fromBlock, toBlock))
+    );
+    return batches.flat().sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+  }
+
+  async function syncOnce() {
+    await handleReorg();
+    const target = (await provider.getBlockNumber()) - confirmations;
+    while (state.lastBlock < target) {
+      const fromBlock = state.lastBlock + 1;
+      const toBlock = Math.min(target, fromBlock + chunkSize - 1);
+      const logs = await fetchLogs(fromBlock, toBlock);
+      for (let n = fromBlock; n <= toBlock; n++) {
+        const journal = [];
+        for (const log of logs) if (log.blockNumber === n) apply(journal, log);
+        if (n > target - reorgDepth) {
+          state.journal[n] = journal;
+          state.blockHashes[n] = (await provider.getBlock(n)).hash;
+        }
+      }
+      state.lastBlock = toBlock;
+      for (const n of Object.keys(state.blockHashes)) {
+        if (Number(n) <= toBlock - reorgDepth) {
+          delete state.blockHashes[n];
+          delete state.journal[n];
+        }
+      }
+      saveState(stateFile, state);
+    }
+    events.emit("synced", { lastBlock: state.lastBlock });
+  }
+
+  /** Runs a sync; concurrent calls coalesce into one follow-up run. */
+  async function sync() {
+    if (syncing) {
+      pending = true;
+      return syncing;
+    }
+    syncing = (async () => {
+      try {
+        do {
+          pending = false;
+          await syncOnce();
+        } while (pending);
+      } finally {
+        syncing = null;
+      }
+    })();
+    return syncing;
+  }
+
+  return {
+    on: events.on.bind(events),
+    off: events.off.bind(events),
+    sync,
+    async start() {
+      await sync();
+      listener = () => sync().catch((e) => events.emit("error", e));
+      await provider.on("block", listener);
+    },
+    async stop() {
+      if (listener) await provider.off("block", listener);
+      listener = null;
+      await syncing;
+    },
+    get lastBlock() {
+      return state.lastBlock;
+    },
+    /** Indexed license record, or undefined when the token is unknown or burned. */
+    getToken(tokenId) {
+      return state.tokens[String(tokenId)];
+    },
+    /** Paused flag as of the last indexed block. */
+    get paused() {
+      return Boolean(state.contract.paused);
+    },
+    isSuspended(appId) {
+      return Boolean(state.apps[appId]?.suspended);
+    },
+    /** tokenId on which wallet holds a delegated seat for appId, or undefined. */
+    delegatedToken(wallet, appId) {
+      return state.delegates[holderKey(wallet, appId)];
+    },
+    /** [tokenId, record] of every indexed license. */
+    tokens() {
+      return Object.entries(state.tokens);
+    },
+    /** tokenId that wallet rents for appId, or undefined. The rental may have expired since. */
+    rentedToken(wallet, appId) {
+      return state.rentals[holderKey(wallet, appId)];
+    },
+    /** tokenId currently held by wallet for appId, or undefined. */
+    holderToken(wallet, appId) {
+      return state.holders[holderKey(wallet, appId)];
+    }
+  };
+}
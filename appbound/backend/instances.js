@@ -0,0 +1,220 @@
+/**
+ * backend/instances.js
+ * Where each licensed app runs, for the /app/:appId gateway. APP_INSTANCES
+ * maps an appId to one of two modes:
+ *   { "mode": "dedicated", "command": [...], "cwd", "env" }  one instance per
+ *       license, started by the provisioner (provisioners/) when the license
+ *       is minted and stopped when it is burned, revoked or expires
+ *   { "mode": "shared", "url": "http://..." }  one instance for every license;
+ *       the gateway tells it which license is calling in X-AppBound-* headers
+ * Apps that are not listed are not routed.
+ *
+ * Dedicated instances belong to the license, not the wallet: a transfer or a
+ * rental hands the same instance over. Their endpoints are recorded in the
+ * store (app_instances). Indexer events provision or stop an instance right
+ * away, and a periodic reconcile of every indexed license catches the rest:
+ * expiries, instances that died or were lost in a restart, failed starts,
+ * reorgs and licenses indexed while the backend was down.
+ */
+import { isExpired } from "./license.js";
+
+export const INSTANCE_MODES = ["dedicated", "shared"];
+
+export class InstanceError extends Error {
+  /** code: INVALID_CONFIG | APP_NOT_ROUTED | INSTANCE_PENDING | INSTANCE_UNAVAILABLE | UNKNOWN_INSTANCE | NOT_DEDICATED */
+  constructor(message, code) {
+    super(message);
+    this.name = "InstanceError";
+    this.code = code;
+  }
+}
+
+/** Validates the APP_INSTANCES map ({ appId: { mode, ... } }). */
+export function parseAppConfig(apps = {}) {
+  for (const [appId, app] of Object.entries(apps)) {
+    if (!INSTANCE_MODES.includes(app?.mode)) {
+      throw new InstanceError(`APP_INSTANCES.${appId}: mode must be ${INSTANCE_MODES.join(" or ")}`, "INVALID_CONFIG");
+    }
+    if (app.mode === "shared") {
+      try {
+        new URL(app.url);
+      } catch {
+        throw new InstanceError(`APP_INSTANCES.${appId}: shared apps need a url`, "INVALID_CONFIG");
+      }
+    }
+    if (app.command !== undefined && !(Array.isArray(app.command) && app.command.length && app.command.every((a) => typeof a === "string"))) {
+      throw new InstanceError(`APP_INSTANCES.${appId}: command must be an array of strings`, "INVALID_CONFIG");
+    }
+  }
+  return apps;
+}
+
+export function createInstanceService({ store, provisioner, apps = {}, pollSeconds = 30 }) {
+  parseAppConfig(apps);
+  const watched = new Map(); // `${chainId}:${address}` -> deployment handle
+  const locks = new Map(); // instance key -> promise of the running sync
+  let timer = null;
+
+  const keyOf = ({ chainId, contract, tokenId }) => `${chainId}:${contract}:${tokenId}`;
+
+  // One provision/teardown at a time per license; later calls queue behind it.
+  function exclusive(key, fn) {
+    const run = (locks.get(key) ?? Promise.resolve()).then(fn, fn);
+    const tail = run.catch(() => {});
+    locks.set(key, tail);
+    tail.then(() => locks.get(key) === tail && locks.delete(key));
+    return run;
+  }
+
+  async function provision(key, appId) {
+    const now = Date.now();
+    await store.putInstance({
+      ...key,
+      appId,
+      driver: provisioner.name,
+      ref: null,
+      endpoint: null,
+      status: "provisioning",
+      error: null,
+      provisionedAt: null,
+      stoppedAt: null,
+      stopReason: null,
+      updatedAt: now
+    });
+    try {
+      const { ref, endpoint } = await provisioner.provision({ ...key, appId, app: apps[appId] });
+      await store.updateInstance(key, { ref, endpoint, status: "running", provisionedAt: Date.now(), updatedAt: Date.now() });
+      console.log(`🚀 Provisioned ${appId} #${key.tokenId} at ${endpoint}`);
+    } catch (e) {
+      await store.updateInstance(key, { status: "failed", error: e.message, updatedAt: Date.now() });
+      console.error(`Provisioning ${appId} #${key.tokenId} failed:`, e.message);
+    }
+    return store.getInstance(key);
+  }
+
+  async function teardown(instance, reason) {
+    const key = { chainId: instance.chainId, contract: instance.contract, tokenId: instance.tokenId };
+    if (instance.ref || instance.endpoint) await provisioner.deprovision(instance);
+    await store.updateInstance(key, { status: "stopped", endpoint: null, stoppedAt: Date.now(), stopReason: reason, updatedAt: Date.now() });
+    console.log(`🛑 Stopped ${instance.appId} #${instance.tokenId} (${reason})`);
+    return store.getInstance(key);
+  }
+
+  // Why an indexed license should have no instance, or null when it should have one.
+  function stopReason(token) {
+    if (!token) return "burned";
+    if (apps[token.appId]?.mode !== "dedicated") return "not-dedicated";
+    if (token.revoked) return "revoked";
+    if (isExpired(token.expiry)) return "expired";
+    return null;
+  }
+
+  return {
+    /**
+     * Keeps the dedicated instances of one deployment's licenses in step with
+     * its indexer ({ indexer, chainId, address }). Returns the deployment's
+     * handle: reconcile() (pass it to start()), get, list and reprovision.
+     */
+    watchDeployment({ indexer, chainId, address }) {
+      const scope = { chainId, contract: address };
+
+      // Provisions or stops one license's instance to match the index.
+      function sync(tokenId, { force = false } = {}) {
+        const key = { ...scope, tokenId: String(tokenId) };
+        return exclusive(keyOf(key), async () => {
+          const token = indexer.getToken(key.tokenId);
+          const instance = await store.getInstance(key);
+          const reason = stopReason(token);
+          const active = instance && instance.status !== "stopped";
+          if (reason) return active ? teardown(instance, reason) : instance;
+          if (force && active) await teardown(instance, "reprovision");
+          else if (instance?.status === "running" && (await provisioner.isRunning(instance))) return instance;
+          else if (instance?.status === "running") console.warn(`⚠️  ${instance.appId} #${key.tokenId} is no longer running; provisioning it again`);
+          return provision(key, token.appId);
+        });
+      }
+
+      function kick(tokenId) {
+        sync(tokenId).catch((e) => console.error(`Instance sync for #${tokenId} failed:`, e));
+      }
+
+      indexer.on("license", ({ tokenId, appId, from }) => !from && apps[appId]?.mode === "dedicated" && kick(tokenId));
+      indexer.on("renew", ({ tokenId, appId }) => apps[appId]?.mode === "dedicated" && kick(tokenId));
+      indexer.on("burn", ({ tokenId }) => kick(tokenId));
+      // LicenseRevoked only surfaces as the holder's revocation.
+      indexer.on("revoke", ({ tokenId, reason }) => reason === "revoked" && kick(tokenId));
+
+      const handle = {
+        sync,
+
+        /** Brings every indexed license and every recorded instance of this deployment in line. */
+        async reconcile() {
+          const tokenIds = new Set(indexer.tokens().filter(([, token]) => apps[token.appId]?.mode === "dedicated").map(([tokenId]) => tokenId));
+          for (const instance of await store.listInstances(scope)) if (instance.status !== "stopped") tokenIds.add(instance.tokenId);
+          for (const tokenId of tokenIds) {
+            await sync(tokenId).catch((e) => console.error(`Instance sync for #${tokenId} failed:`, e));
+          }
+        },
+
+        async get(tokenId) {
+          const instance = await store.getInstance({ ...scope, tokenId: String(tokenId) });
+          if (!instance) throw new InstanceError(`No instance for #${tokenId}`, "UNKNOWN_INSTANCE");
+          return instance;
+        },
+
+        list(filter = {}) {
+          return store.listInstances({ ...filter, ...scope });
+        },
+
+        /** Stops a license's instance and starts a fresh one. */
+        async reprovision(tokenId) {
+          const token = indexer.getToken(String(tokenId));
+          if (!token) throw new InstanceError(`Unknown license #${tokenId}`, "UNKNOWN_INSTANCE");
+          if (apps[token.appId]?.mode !== "dedicated") throw new InstanceError(`${token.appId} does not run dedicated instances`, "NOT_DEDICATED");
+          const reason = stopReason(token);
+          if (reason) throw new InstanceError(`License #${tokenId} is ${reason}`, "INSTANCE_UNAVAILABLE");
+          return sync(tokenId, { force: true });
+        }
+      };
+      watched.set(`${chainId}:${address}`, handle);
+      return handle;
+    },
+
+    /**
+     * Base URL serving a session's license ({ appId, tokenId, chainId,
+     * contract }) and its mode. Throws InstanceError while a dedicated
+     * instance is not running.
+     */
+    async route({ appId, tokenId, chainId, contract }) {
+      const app = apps[appId];
+      if (!app) throw new InstanceError(`${appId} is not served through the gateway`, "APP_NOT_ROUTED");
+      if (app.mode === "shared") return { mode: "shared", endpoint: app.url };
+      const instance = await store.getInstance({ chainId, contract, tokenId: String(tokenId) });
+      if (instance?.status === "running") return { mode: "dedicated", endpoint: instance.endpoint };
+      if (!instance || instance.status === "provisioning") {
+        // The mint may not be indexed yet; the indexer or the next reconcile provisions it.
+        if (!instance) watched.get(`${chainId}:${contract}`)?.sync(tokenId).catch((e) => console.error(`Instance sync for #${tokenId} failed:`, e));
+        throw new InstanceError(`The instance of ${appId} #${tokenId} is starting`, "INSTANCE_PENDING");
+      }
+      throw new InstanceError(`The instance of ${appId} #${tokenId} is ${instance.status}${instance.error ? `: ${instance.error}` : ""}`, "INSTANCE_UNAVAILABLE");
+    },
+
+    /** Runs `tasks` (each deployment's reconcile) now and every pollSeconds. */
+    start(tasks = []) {
+      const tick = async () => {
+        for (const task of tasks) await task();
+      };
+      tick().catch((e) => console.error("Instance reconcile failed:", e));
+      timer = setInterval(() => tick().catch((e) => console.error("Instance reconcile failed:", e)), pollSeconds * 1000);
+      timer.unref();
+    },
+
+    /** Stops reconciling and every instance the provisioner started. */
+    async stop() {
+      clearInterval(timer);
+      timer = null;
+      await Promise.all(locks.values());
+      await provisioner.stopAll?.();
+    }
+  };
+}
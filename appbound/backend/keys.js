@@ -0,0 +1,147 @@
+/**
+ * backend/keys.js
+ * Access-token signing keys. Tokens are signed with an asymmetric key
+ * (ES256 or EdDSA) whose `kid` is in the JWT header; the public halves are
+ * served as a JWKS so downstream apps can verify tokens without being able to
+ * mint them. Keys rotate on a schedule through three states:
+ *   pending  published in the JWKS ahead of use, so verifiers' caches already
+ *            hold it when it starts signing
+ *   active   signs new tokens
+ *   retired  still published for a grace period so tokens it signed keep
+ *            verifying until they expire
+ *
+ * Keys are persisted (private JWKs) to a local file; use a KMS/HSM in production.
+ * JWT_ALG=HS256 keeps the legacy shared-secret mode (no JWKS).
+ */
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { SignJWT, jwtVerify, exportJWK, importJWK, decodeProtectedHeader, errors } from "jose";
+
+const ASYMMETRIC = {
+  ES256: () => crypto.generateKeyPairSync("ec", { namedCurve: "P-256" }),
+  EdDSA: () => crypto.generateKeyPairSync("ed25519")
+};
+
+export const TokenExpiredError = errors.JWTExpired;
+
+async function generateKey(alg) {
+  const { privateKey, publicKey } = ASYMMETRIC[alg]();
+  return {
+    kid: crypto.randomUUID(),
+    alg,
+    privateJwk: await exportJWK(privateKey),
+    publicJwk: await exportJWK(publicKey),
+    createdAt: Date.now(),
+    activatedAt: null,
+    retiredAt: null
+  };
+}
+
+export async function createKeyStore({ file, alg = "ES256", secret, rotationSeconds = 7 * 24 * 3600, graceSeconds = 24 * 3600 }) {
+  if (alg === "HS256") return createSecretKeyStore(secret);
+  if (!ASYMMETRIC[alg]) throw new Error(`Unsupported JWT_ALG: ${alg}`);
+
+  let keys = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")).keys : [];
+  const imported = new Map();
+  let timer = null;
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify({ keys }, null, 2), { mode: 0o600 });
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  function active() {
+    return keys.find((k) => k.activatedAt !== null && k.retiredAt === null);
+  }
+
+  async function importKey(kid, kind) {
+    const cacheKey = `${kid}:${kind}`;
+    if (!imported.has(cacheKey)) {
+      const key = keys.find((k) => k.kid === kid);
+      imported.set(cacheKey, await importJWK(key[kind], key.alg));
+    }
+    return imported.get(cacheKey);
+  }
+
+  /** Retires the active key, activates the pending one and publishes a new pending key. */
+  async function rotate() {
+    const now = Date.now();
+    const current = active();
+    if (current) current.retiredAt = now;
+    keys = keys.filter((k) => k.activatedAt !== null || k.alg === alg);
+    let next = keys.find((k) => k.activatedAt === null && k.alg === alg);
+    if (!next) keys.push((next = await generateKey(alg)));
+    next.activatedAt = now;
+    keys.push(await generateKey(alg));
+    save();
+    return next.kid;
+  }
+
+  /** Rotates when the active key is due and drops retired keys past their grace period. */
+  async function maintain() {
+    const now = Date.now();
+    const before = keys.length;
+    keys = keys.filter((k) => k.retiredAt === null || k.retiredAt + graceSeconds * 1000 > now);
+    if (keys.length !== before) imported.clear();
+    const current = active();
+    if (!current || current.alg !== alg || current.activatedAt + rotationSeconds * 1000 <= now) return rotate();
+    if (keys.length !== before) save();
+    return null;
+  }
+
+  await maintain();
+
+  return {
+    alg,
+    async sign(payload, { expiresIn }) {
+      const { kid } = active();
+      return new SignJWT(payload)
+        .setProtectedHeader({ alg, kid, typ: "JWT" })
+        .setIssuedAt()
+        .setExpirationTime(expiresIn)
+        .sign(await importKey(kid, "privateJwk"));
+    },
+    async verify(token) {
+      const { kid } = decodeProtectedHeader(token);
+      const key = keys.find((k) => k.kid === kid);
+      if (!key) throw new errors.JWKSNoMatchingKey();
+      const { payload } = await jwtVerify(token, await importKey(kid, "publicJwk"), { algorithms: [key.alg] });
+      return payload;
+    },
+    jwks() {
+      return { keys: keys.map((k) => ({ ...k.publicJwk, kid: k.kid, alg: k.alg, use: "sig" })) };
+    },
+    rotate,
+    startRotation(intervalSeconds = 60) {
+      timer = setInterval(() => maintain().catch((e) => console.error("Key rotation failed:", e)), intervalSeconds * 1000);
+      timer.unref();
+    },
+    stopRotation() {
+      clearInterval(timer);
+    }
+  };
+}
+
+function createSecretKeyStore(secret) {
+  const key = new TextEncoder().encode(secret);
+  return {
+    alg: "HS256",
+    sign(payload, { expiresIn }) {
+      return new SignJWT(payload).setProtectedHeader({ alg: "HS256", typ: "JWT" }).setIssuedAt().setExpirationTime(expiresIn).sign(key);
+    },
+    async verify(token) {
+      const { payload } = await jwtVerify(token, key, { algorithms: ["HS256"] });
+      return payload;
+    },
+    jwks() {
+      return { keys: [] };
+    },
+    async rotate() {
+      throw new Error("Key rotation is not available with JWT_ALG=HS256");
+    },
+    startRotation() {},
+    stopRotation() {}
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * backend/license.js
+ * On-chain license checks shared by /api/auth and session refresh.
+ * Revoked licenses no longer resolve through checkLicense (LICENSE_MISSING);
+ * a paused contract or suspended app refuses every holder.
+ * Wallets without their own license may hold a delegated seat on a team
+ * license: the indexer finds the token, the chain confirms the seat.
+ * Rentals (ERC-4907) work the same way: the renter gets access until the
+ * rental expires, and the owner is refused (LICENSE_RENTED) meanwhile.
+ */
+import { ethers } from "ethers";
+
+export class LicenseError extends Error {
+  /** code: LICENSE_MISSING | LICENSE_EXPIRED | LICENSE_EPHEMERAL | LICENSE_RENTED | CONTRACT_PAUSED | APP_SUSPENDED | CHAIN_UNAVAILABLE */
+  constructor(message, code = "LICENSE_MISSING") {
+    super(message);
+    this.name = "LicenseError";
+    this.code = code;
+  }
+}
+
+/** expiry is unix seconds; 0 means perpetual. */
+export function isExpired(expiry, now = Date.now()) {
+  return expiry !== 0 && Math.floor(now / 1000) > expiry;
+}
+
+// A delegate's seat is read back from chain, so a stale index entry never grants access.
+async function checkDelegate(contract, wallet, appId, tokenId) {
+  const [seat, lic, revoked] = await Promise.all([contract.seatOf(tokenId, wallet), contract.licenses(tokenId), contract.revoked(tokenId)]);
+  if (seat === 0n || revoked || lic.appId !== appId) return null;
+  return { tokenId, expiry: Number(lic.expiry), ephemeral: lic.ephemeral, seat: Number(seat) };
+}
+
+/** The earlier of a license expiry and a rental's end (unix seconds; license expiry 0 = perpetual). */
+export function rentalExpiry(expiry, rentedUntil) {
+  return expiry === 0 ? rentedUntil : Math.min(expiry, rentedUntil);
+}
+
+// Like seats, a rental is read back from chain; userOf() is address(0) once it has expired.
+async function checkRenter(contract, wallet, appId, tokenId) {
+  const [user, rentedUntil, lic, revoked] = await Promise.all([
+    contract.userOf(tokenId),
+    contract.userExpires(tokenId),
+    contract.licenses(tokenId),
+    contract.revoked(tokenId)
+  ]);
+  if (user !== ethers.getAddress(wallet) || revoked || lic.appId !== appId) return null;
+  const until = Number(rentedUntil);
+  return { tokenId, expiry: rentalExpiry(Number(lic.expiry), until), ephemeral: lic.ephemeral, seat: 0, rentedUntil: until };
+}
+
+/**
+ * Resolves { tokenId, expiry, seat, rentedUntil? } for a wallet's live
+ * license, throws LicenseError otherwise. seat is 0 for the owner and 1..N for
+ * a delegate. A renter gets seat 0, rentedUntil, and an expiry no later than the rental's end.
+ * Ephemeral licenses are refused: they are single-use and only unlock content
+ * through redemption (redemptions.js).
+ */
+export async function checkHolder(contract, wallet, appId, { indexer } = {}) {
+  const [meta, paused, suspended] = await Promise.all([
+    contract.checkLicense(wallet, appId),
+    contract.paused(),
+    contract.appSuspended(ethers.id(appId))
+  ]);
+  if (paused) throw new LicenseError("License contract is paused", "CONTRACT_PAUSED");
+  if (suspended) throw new LicenseError(`App ${appId} is suspended`, "APP_SUSPENDED");
+  let holder;
+  if (meta.tokenId != 0n) {
+    const user = await contract.userOf(meta.tokenId);
+    if (user !== ethers.ZeroAddress && user !== ethers.getAddress(wallet)) {
+      const until = Number(await contract.userExpires(meta.tokenId));
+      throw new LicenseError(`License is rented out until ${new Date(until * 1000).toISOString()}`, "LICENSE_RENTED");
+    }
+    holder = { tokenId: meta.tokenId.toString(), expiry: Number(meta.expiry), ephemeral: meta.ephemeral, seat: 0 };
+  } else {
+    const rentedToken = indexer?.rentedToken(wallet, appId);
+    const delegatedToken = indexer?.delegatedToken(wallet, appId);
+    holder =
+      (rentedToken && (await checkRenter(contract, wallet, appId, rentedToken))) ||
+      (delegatedToken && (await checkDelegate(contract, wallet, appId, delegatedToken)));
+  }
+  if (!holder) throw new LicenseError("No license for this wallet & appId");
+  const { tokenId, expiry, ephemeral, seat, rentedUntil } = holder;
+  if (isExpired(expiry)) throw new LicenseError("License expired", "LICENSE_EXPIRED");
+  if (ephemeral) throw new LicenseError("Ephemeral license: redeem it to unlock content", "LICENSE_EPHEMERAL");
+  return rentedUntil === undefined ? { tokenId, expiry, seat } : { tokenId, expiry, seat, rentedUntil };
+}
+
+/**
+ * checkHolder across deployments ({ contract, indexer }); resolves
+ * { deployment, tokenId, expiry, seat } for the first one, in the given
+ * order, where the wallet has a live license. When none has, the most
+ * specific refusal is thrown (e.g. LICENSE_EXPIRED over LICENSE_MISSING); an
+ * unreachable chain gives CHAIN_UNAVAILABLE rather than a guess that it holds no license.
+ */
+export async function findHolder(deployments, wallet, appId) {
+  const results = await Promise.allSettled(deployments.map((d) => checkHolder(d.contract, wallet, appId, { indexer: d.indexer })));
+  const found = results.findIndex((r) => r.status === "fulfilled");
+  if (found >= 0) return { deployment: deployments[found], ...results[found].value };
+  const failed = results.findIndex((r) => !(r.reason instanceof LicenseError));
+  if (failed >= 0) {
+    console.error(`License check on ${deployments[failed].name} failed:`, results[failed].reason);
+    throw new LicenseError(`Chain ${deployments[failed].chainId} is unreachable; try again later`, "CHAIN_UNAVAILABLE");
+  }
+  const reasons = results.map((r) => r.reason);
+  throw reasons.find((e) => e.code !== "LICENSE_MISSING") ?? reasons[0];
+}
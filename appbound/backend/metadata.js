@@ -0,0 +1,167 @@
+/**
+ * backend/metadata.js
+ * Token metadata for the contract's base URI (setBaseURI): tokens minted
+ * without a URI resolve to <baseURI><tokenId>, which points at
+ * GET /metadata/:tokenId. The ERC-721 metadata JSON is rendered from live
+ * contract state on every request (app, expiry, soulbound, ephemeral,
+ * redeemed, revoked, seats), and its image is an SVG license card served at
+ * /metadata/:tokenId/image.svg. Nothing is stored, so a renewal or
+ * redemption shows on the next fetch.
+ *
+ * export() renders the same documents for IPFS pinning, with the image linked
+ * by content id; see scripts/export-metadata.js.
+ */
+import crypto from "crypto";
+import { isExpired } from "./license.js";
+
+export class MetadataError extends Error {
+  /** code: UNKNOWN_TOKEN */
+  constructor(message, code = "UNKNOWN_TOKEN") {
+    super(message);
+    this.name = "MetadataError";
+    this.code = code;
+  }
+}
+
+function statusOf(token) {
+  if (!token.appId) return "Collectible";
+  if (token.revoked) return "Revoked";
+  if (token.ephemeral && token.redeemed) return "Redeemed";
+  if (isExpired(token.expiry)) return "Expired";
+  return "Active";
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function truncate(value, max) {
+  return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+/** 600x360 SVG card for a token; the colour is derived from the appId. */
+export function renderLicenseCard(token) {
+  const hue = crypto.createHash("sha256").update(token.appId || token.collection).digest().readUInt16BE(0) % 360;
+  const expires = token.expiry ? new Date(token.expiry * 1000).toISOString().slice(0, 10) : "Never";
+  const flags = [
+    token.soulbound && "SOULBOUND",
+    token.ephemeral && "EPHEMERAL",
+    token.seats > 0 && `${token.seats} SEAT${token.seats === 1 ? "" : "S"}`,
+    token.redeemed && "REDEEMED"
+  ].filter(Boolean);
+  let x = 32;
+  const badges = flags.map((flag) => {
+    const width = flag.length * 9 + 24;
+    const badge = `<rect x="${x}" y="282" width="${width}" height="30" rx="15" fill="#fff" fill-opacity="0.18"/><text x="${x + width / 2}" y="302" font-size="13" text-anchor="middle" letter-spacing="1">${flag}</text>`;
+    x += width + 10;
+    return badge;
+  });
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="600" height="360" viewBox="0 0 600 360" font-family="Helvetica, Arial, sans-serif" fill="#fff">`,
+    `<defs><linearGradient id="bg" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="hsl(${hue}, 60%, 40%)"/><stop offset="1" stop-color="hsl(${(hue + 40) % 360}, 60%, 16%)"/></linearGradient></defs>`,
+    `<rect width="600" height="360" rx="24" fill="url(#bg)"/>`,
+    `<text x="32" y="52" font-size="15" letter-spacing="2" fill-opacity="0.75">${escapeXml(truncate(token.collection.toUpperCase(), 40))}</text>`,
+    `<text x="568" y="52" font-size="15" font-weight="700" text-anchor="end" letter-spacing="1">${statusOf(token).toUpperCase()}</text>`,
+    `<text x="32" y="136" font-size="44" font-weight="700">${escapeXml(truncate(token.appId || token.collection, 22))}</text>`,
+    `<text x="32" y="176" font-size="22" fill-opacity="0.85">${token.appId ? "License" : "Token"} #${token.tokenId}</text>`,
+    token.appId ? `<text x="32" y="236" font-size="18" fill-opacity="0.85">Expires ${expires}</text>` : "",
+    ...badges,
+    `</svg>`
+  ].join("");
+}
+
+const BASE32 = "abcdefghijklmnopqrstuvwxyz234567";
+
+/**
+ * CIDv1 (raw codec, sha2-256) of a file, as `ipfs add --cid-version 1
+ * --raw-leaves` reports it for files that fit in one chunk (256 KiB).
+ */
+export function rawCid(content) {
+  const digest = crypto.createHash("sha256").update(content).digest();
+  const bytes = Buffer.concat([Buffer.from([0x01, 0x55, 0x12, 0x20]), digest]);
+  let bits = 0;
+  let value = 0;
+  let out = "b";
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+export function createMetadataService({ contract }) {
+  let collection;
+
+  async function read(tokenId) {
+    if (!/^\d+$/.test(String(tokenId))) throw new MetadataError(`Unknown token ${tokenId}`);
+    let owner;
+    try {
+      owner = await contract.ownerOf(tokenId);
+    } catch (e) {
+      if (e.code === "CALL_EXCEPTION") throw new MetadataError(`Unknown token ${tokenId}`);
+      throw e;
+    }
+    const [lic, redeemed, revoked] = await Promise.all([contract.licenses(tokenId), contract.redeemed(tokenId), contract.revoked(tokenId)]);
+    collection ??= await contract.name();
+    return {
+      collection,
+      tokenId: String(BigInt(tokenId)),
+      owner,
+      appId: lic.appId,
+      expiry: Number(lic.expiry),
+      soulbound: lic.soulbound,
+      ephemeral: lic.ephemeral,
+      seats: Number(lic.seats),
+      redeemed,
+      revoked
+    };
+  }
+
+  function document(token, image) {
+    const yesNo = (flag) => (flag ? "Yes" : "No");
+    const attributes = token.appId
+      ? [
+          { trait_type: "App", value: token.appId },
+          token.expiry ? { trait_type: "Expires", display_type: "date", value: token.expiry } : { trait_type: "Expires", value: "Never" },
+          { trait_type: "Soulbound", value: yesNo(token.soulbound) },
+          { trait_type: "Ephemeral", value: yesNo(token.ephemeral) },
+          { trait_type: "Redeemed", value: yesNo(token.redeemed) },
+          ...(token.seats > 0 ? [{ trait_type: "Seats", display_type: "number", value: token.seats }] : []),
+          { trait_type: "Status", value: statusOf(token) }
+        ]
+      : [{ trait_type: "Status", value: statusOf(token) }];
+    return {
+      name: token.appId ? `${token.appId} license #${token.tokenId}` : `${token.collection} #${token.tokenId}`,
+      description: token.appId
+        ? `${token.collection} license for ${token.appId}. Holding this token grants access to the app.`
+        : `${token.collection} collectible.`,
+      image,
+      attributes
+    };
+  }
+
+  return {
+    /** ERC-721 metadata JSON; imageUrl is where the card is served. */
+    async metadata(tokenId, { imageUrl }) {
+      return document(await read(tokenId), imageUrl);
+    },
+
+    async image(tokenId) {
+      return renderLicenseCard(await read(tokenId));
+    },
+
+    /** Metadata JSON and card as pinned to IPFS; the JSON links the card as ipfs://<imageCid>. */
+    async export(tokenId) {
+      const token = await read(tokenId);
+      const svg = renderLicenseCard(token);
+      const imageCid = rawCid(svg);
+      const json = JSON.stringify(document(token, `ipfs://${imageCid}`), null, 2);
+      return { tokenId: token.tokenId, svg, imageCid, json, metadataCid: rawCid(json) };
+    }
+  };
+}
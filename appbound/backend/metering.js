@@ -0,0 +1,148 @@
+/**
+ * backend/metering.js
+ * Usage metering and quotas. Each app has limits at two levels, both
+ * configured per app (store `app_quotas`, falling back to the defaults):
+ *   token  requests per minute and units per month for one license
+ *   app    the same limits summed over every license of the app
+ * A limit of 0 means unlimited. Monthly units live in the store; the
+ * per-minute windows are in memory (per backend process).
+ */
+export class QuotaError extends Error {
+  /** code: RATE_LIMITED | QUOTA_EXCEEDED; retryAfter in seconds */
+  constructor(message, code, retryAfter) {
+    super(message);
+    this.name = "QuotaError";
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const LIMITS = ["tokenRpm", "tokenMonthlyUnits", "appRpm", "appMonthlyUnits"];
+
+/** UTC month used as the usage period, e.g. "2026-10". */
+export function usagePeriod(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 7);
+}
+
+function secondsUntilNextPeriod(now) {
+  const d = new Date(now);
+  return Math.ceil((Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1) - now) / 1000);
+}
+
+/** Fixed one-minute windows; take() checks every key before counting any. */
+function createMinuteCounter() {
+  const windows = new Map();
+  let minute = 0;
+  return {
+    take(entries, now = Date.now()) {
+      const current = Math.floor(now / 60000);
+      if (current !== minute) {
+        windows.clear();
+        minute = current;
+      }
+      const limited = entries.filter(([key, limit]) => limit > 0 && (windows.get(key) || 0) >= limit);
+      if (limited.length) return 60 - Math.floor((now / 1000) % 60);
+      for (const [key] of entries) windows.set(key, (windows.get(key) || 0) + 1);
+      return 0;
+    }
+  };
+}
+
+/** Per-client request limiter for the auth endpoints (not tied to a license). */
+export function rateLimit({ perMinute, key = (req) => req.ip }) {
+  const counter = createMinuteCounter();
+  return function (req, res, next) {
+    if (!perMinute) return next();
+    const retryAfter = counter.take([[key(req), perMinute]]);
+    if (!retryAfter) return next();
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({ error: "Too many requests", code: "RATE_LIMITED" });
+  };
+}
+
+export function createMeter({ store, defaults = {} }) {
+  const counter = createMinuteCounter();
+
+  async function quotaFor(appId) {
+    const quota = (await store.getQuota(appId)) || {};
+    return Object.fromEntries(LIMITS.map((name) => [name, quota[name] ?? defaults[name] ?? 0]));
+  }
+
+  // Counts one request against the token's and the app's per-minute windows.
+  function takeRequest(tokenId, appId, quota, now) {
+    const retryAfter = counter.take([[`token:${tokenId}`, quota.tokenRpm], [`app:${appId}`, quota.appRpm]], now);
+    if (retryAfter) throw new QuotaError("Rate limit exceeded", "RATE_LIMITED", retryAfter);
+  }
+
+  async function assertMonthly(tokenId, appId, quota, now) {
+    const period = usagePeriod(now);
+    const [tokenUnits, appUnits] = await Promise.all([store.getUsage(tokenId, period), store.getAppUsage(appId, period)]);
+    const retryAfter = secondsUntilNextPeriod(now);
+    if (quota.tokenMonthlyUnits && tokenUnits >= quota.tokenMonthlyUnits) {
+      throw new QuotaError("Monthly quota exhausted for this license", "QUOTA_EXCEEDED", retryAfter);
+    }
+    if (quota.appMonthlyUnits && appUnits >= quota.appMonthlyUnits) {
+      throw new QuotaError(`Monthly quota exhausted for ${appId}`, "QUOTA_EXCEEDED", retryAfter);
+    }
+  }
+
+  /** Current period usage and remaining allowance for a license. */
+  async function status({ tokenId, appId }, now = Date.now()) {
+    tokenId = String(tokenId);
+    const period = usagePeriod(now);
+    const [quota, units, appUnits] = await Promise.all([quotaFor(appId), store.getUsage(tokenId, period), store.getAppUsage(appId, period)]);
+    const remaining = (limit, used) => (limit ? Math.max(0, limit - used) : null);
+    return {
+      tokenId,
+      appId,
+      period,
+      units,
+      limit: quota.tokenMonthlyUnits || null,
+      remaining: remaining(quota.tokenMonthlyUnits, units),
+      app: { units: appUnits, limit: quota.appMonthlyUnits || null, remaining: remaining(quota.appMonthlyUnits, appUnits) },
+      rateLimit: { tokenRpm: quota.tokenRpm || null, appRpm: quota.appRpm || null }
+    };
+  }
+
+  return {
+    quotaFor,
+
+    /**
+     * Rejects issuing tokens to a license whose monthly quota is used up or
+     * that is over its per-minute limits; an issuance counts as one request.
+     */
+    async assertWithinQuota({ tokenId, appId }, now = Date.now()) {
+      tokenId = String(tokenId);
+      const quota = await quotaFor(appId);
+      await assertMonthly(tokenId, appId, quota, now);
+      takeRequest(tokenId, appId, quota, now);
+    },
+
+    /**
+     * Counts one request against the per-minute limits, then records `units`.
+     * Monthly limits are checked before recording, so the report that crosses
+     * the limit is still counted and the next one is refused.
+     */
+    async record({ tokenId, appId, units = 1 }, now = Date.now()) {
+      tokenId = String(tokenId);
+      const quota = await quotaFor(appId);
+      await assertMonthly(tokenId, appId, quota, now);
+      takeRequest(tokenId, appId, quota, now);
+      await store.addUsage({ tokenId, appId, period: usagePeriod(now), units });
+      return status({ tokenId, appId }, now);
+    },
+
+    status,
+
+    async setQuota(appId, limits) {
+      const quota = { appId, updatedAt: Date.now() };
+      for (const name of LIMITS) quota[name] = limits[name] ?? null;
+      await store.setQuota(quota);
+      return quota;
+    },
+
+    listQuotas() {
+      return store.listQuotas();
+    }
+  };
+}
@@ -0,0 +1,34 @@
+/**
+ * backend/provisioners/index.js
+ * Provisioner factory. A provisioner starts and stops the dedicated app
+ * instance of one license (instances.js decides when). Every driver exposes
+ * the same async API, so a Docker or cloud driver can be dropped in:
+ *
+ *   provision({ appId, tokenId, chainId, contract, app }) -> { ref, endpoint }
+ *       app is the app's APP_INSTANCES entry; endpoint is the instance's base
+ *       URL, ref whatever the driver needs to find it again
+ *   deprovision({ ref, endpoint })               stops the instance; no-op if it is gone
+ *   isRunning({ ref, endpoint }) -> bool         false once the instance died or was lost
+ *   stopAll()                                    stops everything it started (shutdown)
+ *
+ * Failures throw ProvisionerError. `name` is stored with each instance.
+ */
+import { createLocalProvisioner } from "./local.js";
+
+export class ProvisionerError extends Error {
+  /** code: UNKNOWN_DRIVER | START_FAILED */
+  constructor(message, code) {
+    super(message);
+    this.name = "ProvisionerError";
+    this.code = code;
+  }
+}
+
+export function createProvisioner({ driver = "local", ...options } = {}) {
+  switch (driver) {
+    case "local":
+      return createLocalProvisioner(options);
+    default:
+      throw new ProvisionerError(`Unknown PROVISIONER driver: ${driver}`, "UNKNOWN_DRIVER");
+  }
+}
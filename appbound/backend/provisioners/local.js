@@ -0,0 +1,116 @@
+/**
+ * backend/provisioners/local.js
+ * Local process driver: each instance is a child process of the backend
+ * listening on a free localhost port. The app's `command` (an argv array)
+ * is started in its `cwd` with PORT, HOST and the license's APPBOUND_APP_ID,
+ * APPBOUND_TOKEN_ID, APPBOUND_CHAIN_ID and APPBOUND_CONTRACT, plus the app's
+ * `env`; the backend's own environment (and its keys) is not passed on.
+ * Without a command, stub-app.js is started, which echoes what it receives.
+ * Instances do not survive a backend restart: isRunning() reports them lost
+ * and instances.js provisions them again. For development and single hosts;
+ * no isolation beyond a separate process.
+ */
+import { spawn } from "child_process";
+import net from "net";
+import { fileURLToPath } from "url";
+import { ProvisionerError } from "./index.js";
+
+const STUB_APP = fileURLToPath(new URL("./stub-app.js", import.meta.url));
+
+function freePort(host) {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once("error", reject);
+    server.listen(0, host, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function canConnect(host, port) {
+  return new Promise((resolve) => {
+    const socket = net.connect({ host, port });
+    socket.once("connect", () => socket.end(() => resolve(true)));
+    socket.once("error", () => resolve(false));
+  });
+}
+
+export function createLocalProvisioner({ host = "127.0.0.1", startTimeoutMs = 10_000, stopTimeoutMs = 5_000 } = {}) {
+  const children = new Map(); // ref (pid) -> ChildProcess
+
+  // Children are not detached, but nothing else stops them when the backend exits.
+  process.on("exit", () => {
+    for (const child of children.values()) child.kill();
+  });
+
+  function stop(child) {
+    if (child.exitCode !== null || child.signalCode !== null) return Promise.resolve();
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => child.kill("SIGKILL"), stopTimeoutMs);
+      child.once("exit", () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      child.kill("SIGTERM");
+    });
+  }
+
+  return {
+    name: "local",
+
+    async provision({ appId, tokenId, chainId, contract, app = {} }) {
+      const port = await freePort(host);
+      const [command, ...args] = app.command?.length ? app.command : [process.execPath, STUB_APP];
+      const child = spawn(command, args, {
+        cwd: app.cwd,
+        env: {
+          PATH: process.env.PATH,
+          ...app.env,
+          HOST: host,
+          PORT: String(port),
+          APPBOUND_APP_ID: appId,
+          APPBOUND_TOKEN_ID: String(tokenId),
+          APPBOUND_CHAIN_ID: String(chainId),
+          APPBOUND_CONTRACT: contract
+        },
+        stdio: ["ignore", "ignore", "inherit"]
+      });
+      let failure = null;
+      child.once("error", (e) => (failure = e.message));
+      child.once("exit", (code, signal) => {
+        failure ??= `exited with ${signal ?? `code ${code}`}`;
+        children.delete(String(child.pid));
+      });
+
+      const deadline = Date.now() + startTimeoutMs;
+      while (!failure && !(await canConnect(host, port))) {
+        if (Date.now() > deadline) {
+          await stop(child);
+          throw new ProvisionerError(`${appId} #${tokenId} did not listen on port ${port} within ${startTimeoutMs} ms`, "START_FAILED");
+        }
+        await new Promise((resolve) => setTimeout(resolve, 100));
+      }
+      if (failure) throw new ProvisionerError(`${appId} #${tokenId} failed to start: ${failure}`, "START_FAILED");
+      const ref = String(child.pid);
+      children.set(ref, child);
+      return { ref, endpoint: `http://${host}:${port}` };
+    },
+
+    async deprovision({ ref }) {
+      const child = children.get(ref);
+      children.delete(ref);
+      if (child) await stop(child);
+    },
+
+    async isRunning({ ref }) {
+      return children.has(ref);
+    },
+
+    async stopAll() {
+      const running = [...children.values()];
+      children.clear();
+      await Promise.all(running.map(stop));
+    }
+  };
+}
@@ -0,0 +1,22 @@
+/**
+ * backend/provisioners/stub-app.js
+ * Placeholder app the local provisioner starts when an app has no command:
+ * answers every request with the license it was provisioned for and what the
+ * gateway forwarded (method, path, X-AppBound-* and X-Forwarded-* headers).
+ */
+import http from "http";
+
+const instance = {
+  appId: process.env.APPBOUND_APP_ID,
+  tokenId: process.env.APPBOUND_TOKEN_ID,
+  chainId: Number(process.env.APPBOUND_CHAIN_ID),
+  contract: process.env.APPBOUND_CONTRACT
+};
+
+http
+  .createServer((req, res) => {
+    const headers = Object.fromEntries(Object.entries(req.headers).filter(([name]) => /^x-(appbound|forwarded)-/.test(name)));
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ instance, method: req.method, path: req.url, headers }));
+  })
+  .listen(Number(process.env.PORT), process.env.HOST || "127.0.0.1");
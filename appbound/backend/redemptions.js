@@ -0,0 +1,73 @@
+/**
+ * backend/redemptions.js
+ * Single-use access for ephemeral licenses. Ephemeral licenses never get
+ * sessions; instead the holder calls redeem(tokenId) on chain, and once the
+ * indexer has seen the Redeemed event the redeemer can claim exactly one
+ * content grant: a short-lived JWT plus the app's content URL. Relayed
+ * (gasless) redeems emit the same event and are handled identically.
+ *
+ * Content URLs are per-app templates; `{tokenId}` and `{grant}` are
+ * substituted, e.g. "https://cdn.example.com/demo/{tokenId}?grant={grant}".
+ * Claims are stored under licenseKey(tokenId), which keeps token ids of
+ * different deployments apart.
+ */
+import crypto from "crypto";
+
+export class RedemptionError extends Error {
+  /** code: NOT_EPHEMERAL | NOT_REDEEMED | NOT_REDEEMER | ALREADY_CLAIMED | NO_CONTENT | UNKNOWN_TOKEN */
+  constructor(message, code) {
+    super(message);
+    this.name = "RedemptionError";
+    this.code = code;
+  }
+}
+
+export function createRedemptionService({ store, indexer, contract, keys, contentUrls = {}, grantTtl = "10m", licenseKey = String }) {
+  // Redemption state comes from the indexer; a token minted after the last
+  // indexed block is read from chain and counts as not yet redeemed.
+  async function lookup(tokenId) {
+    if (!/^\d+$/.test(tokenId)) throw new RedemptionError("Unknown license", "UNKNOWN_TOKEN");
+    const { appId, ephemeral } = await contract.licenses(tokenId);
+    const token = indexer.getToken(tokenId) ?? (appId ? { appId, redeemed: false } : undefined);
+    if (!token?.appId) throw new RedemptionError("Unknown license", "UNKNOWN_TOKEN");
+    return { token, ephemeral };
+  }
+
+  return {
+    /** Public redemption state: unredeemed -> redeemed (grant claimable) -> claimed. */
+    async status(tokenId) {
+      tokenId = String(tokenId);
+      const { token, ephemeral } = await lookup(tokenId);
+      const claim = await store.getClaim(licenseKey(tokenId));
+      return {
+        tokenId,
+        appId: token.appId,
+        ephemeral,
+        status: claim ? "claimed" : token.redeemed ? "redeemed" : "unredeemed",
+        redeemedBy: token.redeemed ? token.redeemedBy ?? token.owner : null,
+        redeemTx: token.redeemTx ?? null,
+        claimedAt: claim?.claimedAt ?? null
+      };
+    },
+
+    /** Hands out the one-time grant to the wallet that redeemed the token. */
+    async claim(tokenId, wallet) {
+      tokenId = String(tokenId);
+      const { token, ephemeral } = await lookup(tokenId);
+      if (!ephemeral) throw new RedemptionError("License is not ephemeral", "NOT_EPHEMERAL");
+      if (!token.redeemed) throw new RedemptionError("Redemption not seen on chain yet", "NOT_REDEEMED");
+      if ((token.redeemedBy ?? token.owner) !== wallet) throw new RedemptionError("Only the redeemer can claim", "NOT_REDEEMER");
+      const template = contentUrls[token.appId];
+      if (!template) throw new RedemptionError(`No content configured for ${token.appId}`, "NO_CONTENT");
+
+      const grantId = crypto.randomUUID();
+      if (!(await store.insertClaim({ tokenId: licenseKey(tokenId), wallet, grantId, claimedAt: Date.now() }))) {
+        throw new RedemptionError("Grant already claimed", "ALREADY_CLAIMED");
+      }
+      // Nested claims keep grants from passing as session access tokens (no top-level appId/sid).
+      const grantToken = await keys.sign({ redemption: { grantId, tokenId, appId: token.appId, wallet } }, { expiresIn: grantTtl });
+      const contentUrl = template.replaceAll("{tokenId}", tokenId).replaceAll("{grant}", encodeURIComponent(grantToken));
+      return { tokenId, appId: token.appId, grantId, grantToken, contentUrl };
+    }
+  };
+}
@@ -0,0 +1,136 @@
+/**
+ * backend/relayer.js
+ * Submits user meta-transactions to the license's LicenseVouchers contract
+ * from a funded relayer key:
+ *   { type: "mint",   voucher, signature }             mintWithVoucher (MINTER-signed voucher)
+ *   { type: "redeem", tokenId, deadline, signature }   redeemWithSig (owner-signed)
+ * Each request is simulated first (reverts never cost gas), then charged to
+ * the beneficiary wallet's daily budget (voucher.to / token owner). The
+ * estimated cost is reserved in the store before sending and settled to the
+ * gas actually paid, reverted transactions included; relays for one wallet
+ * run one at a time. Budgets are tracked in the store in gwei per UTC day.
+ */
+import { ethers } from "ethers";
+import { vouchersContract } from "./eip712.js";
+
+export class RelayError extends Error {
+  /** code: INVALID_REQUEST | BUDGET_EXCEEDED */
+  constructor(message, code = "INVALID_REQUEST") {
+    super(message);
+    this.name = "RelayError";
+    this.code = code;
+  }
+}
+
+function budgetPeriod(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function toGwei(wei) {
+  return Number((wei + 999_999_999n) / 1_000_000_000n);
+}
+
+// Non-negative integer from a JSON body (number or decimal string) or a bigint.
+function uint(value, field) {
+  const valid =
+    typeof value === "bigint" ? value >= 0n : typeof value === "number" ? Number.isSafeInteger(value) && value >= 0 : typeof value === "string" && /^\d+$/.test(value);
+  if (valid) return BigInt(value);
+  throw new RelayError(`${field} must be a non-negative integer`);
+}
+
+function voucherArgs(voucher) {
+  const { to, appId, tokenURI = "", expiry = 0, soulbound = false, ephemeral = false, nonce, deadline } = voucher || {};
+  if (!ethers.isAddress(to) || !appId || nonce === undefined || deadline === undefined) {
+    throw new RelayError("voucher needs to, appId, nonce and deadline");
+  }
+  return {
+    to: ethers.getAddress(to),
+    appId,
+    tokenURI,
+    expiry: uint(expiry, "voucher.expiry"),
+    soulbound,
+    ephemeral,
+    nonce: uint(nonce, "voucher.nonce"),
+    deadline: uint(deadline, "voucher.deadline")
+  };
+}
+
+function costGwei(receipt) {
+  return toGwei(receipt.gasUsed * receipt.gasPrice);
+}
+
+export function createRelayer({ contract, signer, store, budgetGwei }) {
+  let writer; // LicenseVouchers connected to the relayer key, resolved on first use
+  const queues = new Map(); // wallet -> tail of its pending relays
+
+  // Runs task after the wallet's earlier relays have settled.
+  function serialize(wallet, task) {
+    const run = (queues.get(wallet) ?? Promise.resolve()).then(task);
+    const tail = run.catch(() => {});
+    queues.set(wallet, tail);
+    tail.then(() => queues.get(wallet) === tail && queues.delete(wallet));
+    return run;
+  }
+
+  async function submit(wallet, method, args) {
+    writer ??= await vouchersContract(contract, signer);
+    const gas = await writer[method].estimateGas(...args);
+    const { maxFeePerGas, gasPrice } = await contract.runner.provider.getFeeData();
+    const estimate = toGwei(gas * (maxFeePerGas ?? gasPrice));
+    const period = budgetPeriod();
+    if (!(await store.reserveRelaySpend({ wallet, period, gwei: estimate, limitGwei: budgetGwei }))) {
+      const { remainingGwei } = await budget(wallet);
+      throw new RelayError(`Relay budget exceeded for ${wallet} (needs ~${estimate} gwei, ${remainingGwei} left today)`, "BUDGET_EXCEEDED");
+    }
+
+    let tx, receipt;
+    try {
+      tx = await writer[method](...args, { gasLimit: gas });
+      receipt = await tx.wait();
+    } catch (e) {
+      signer.reset?.();
+      // Unsent: release the reservation. Reverted: charge the gas it burned. Sent but unconfirmed: keep the estimate.
+      const spent = !tx ? 0 : e.receipt ? costGwei(e.receipt) : estimate;
+      await store.settleRelaySpend({ wallet, period, reservedGwei: estimate, gwei: spent });
+      throw e;
+    }
+    const cost = costGwei(receipt);
+    await store.settleRelaySpend({ wallet, period, reservedGwei: estimate, gwei: cost });
+    const minted = receipt.logs.map((l) => contract.interface.parseLog(l)).find((l) => l?.name === "LicenseMinted");
+    return { txHash: receipt.hash, wallet, costGwei: cost, tokenId: minted?.args.tokenId.toString(), budget: await budget(wallet) };
+  }
+
+  // Resolves the wallet paying for the request and the contract call to make.
+  async function prepare(request) {
+    switch (request.type) {
+      case "mint": {
+        const voucher = voucherArgs(request.voucher);
+        return { wallet: voucher.to, method: "mintWithVoucher", args: [voucher, request.signature] };
+      }
+      case "redeem": {
+        if (request.tokenId === undefined || request.deadline === undefined) throw new RelayError("tokenId and deadline required");
+        const tokenId = uint(request.tokenId, "tokenId");
+        const deadline = uint(request.deadline, "deadline");
+        const wallet = await contract.ownerOf(tokenId);
+        return { wallet, method: "redeemWithSig", args: [tokenId, deadline, request.signature] };
+      }
+      default:
+        throw new RelayError('type must be "mint" or "redeem"');
+    }
+  }
+
+  async function budget(wallet, now = Date.now()) {
+    const spent = await store.getRelaySpend(ethers.getAddress(wallet), budgetPeriod(now));
+    return { wallet: ethers.getAddress(wallet), period: budgetPeriod(now), budgetGwei, spentGwei: spent, remainingGwei: Math.max(0, budgetGwei - spent) };
+  }
+
+  return {
+    budget,
+
+    async relay(request) {
+      if (!request?.signature) throw new RelayError("signature required");
+      const { wallet, method, args } = await prepare(request);
+      return serialize(wallet, () => submit(wallet, method, args));
+    }
+  };
+}
@@ -0,0 +1,122 @@
+/**
+ * backend/sessions.js
+ * Stateful sessions on top of the storage adapter. Each successful /api/auth
+ * creates a session row; the short-lived access JWT carries its id (`sid`) and
+ * is only accepted while that row is valid. Refresh tokens are opaque
+ * `<sessionId>.<secret>` strings, stored hashed and rotated on every use with
+ * a compare-and-set; presenting a superseded refresh token, or losing the
+ * rotation to a concurrent refresh with the same token, revokes the whole
+ * session.
+ * Sessions and access tokens record the deployment (chainId, contract) whose
+ * license granted access.
+ */
+import crypto from "crypto";
+import { TokenExpiredError } from "./keys.js";
+
+export class SessionError extends Error {
+  /** code: SESSION_EXPIRED | SESSION_REVOKED | INVALID_TOKEN */
+  constructor(message, code = "INVALID_TOKEN") {
+    super(message);
+    this.name = "SessionError";
+    this.code = code;
+  }
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function newRefreshSecret() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+export function createSessionService({ store, keys, accessTtl = "15m", refreshTtlSeconds = 7 * 24 * 3600 }) {
+  function signAccess(session) {
+    const { address: wallet, appId, tokenId, chainId, contract, id: sid } = session;
+    return keys.sign({ wallet, appId, tokenId, chainId, contract, sid }, { expiresIn: accessTtl });
+  }
+
+  return {
+    /** Opens a session for a verified license holder. */
+    async issue({ wallet, appId, tokenId, chainId, contract }) {
+      const now = Date.now();
+      const secret = newRefreshSecret();
+      const session = {
+        id: crypto.randomUUID(),
+        tokenId: String(tokenId),
+        address: wallet,
+        appId,
+        chainId,
+        contract,
+        refreshHash: sha256(secret),
+        createdAt: now,
+        refreshedAt: now,
+        expiresAt: now + refreshTtlSeconds * 1000,
+        valid: true,
+        revokedReason: null
+      };
+      await store.insertSession(session);
+      return { sessionId: session.id, accessToken: await signAccess(session), refreshToken: `${session.id}.${secret}` };
+    },
+
+    /** Verifies signature, expiry and that the backing session is still valid. */
+    async verifyAccess(token) {
+      let payload;
+      try {
+        payload = await keys.verify(token);
+      } catch (e) {
+        throw e instanceof TokenExpiredError ? new SessionError("Session expired", "SESSION_EXPIRED") : new SessionError("Invalid token");
+      }
+      const session = payload.sid && (await store.getSession(payload.sid));
+      if (!session) throw new SessionError("Unknown session");
+      if (!session.valid) throw new SessionError("Session revoked", "SESSION_REVOKED");
+      return payload;
+    },
+
+    /**
+     * Rotates a refresh token. `checkLicense(session)` must resolve when the
+     * session's wallet still holds the license and throw otherwise.
+     */
+    async refresh(refreshToken, checkLicense) {
+      const [id, secret] = String(refreshToken).split(".");
+      const session = id && secret && (await store.getSession(id));
+      if (!session) throw new SessionError("Invalid refresh token");
+      if (!session.valid) throw new SessionError("Session revoked", "SESSION_REVOKED");
+      if (session.expiresAt <= Date.now()) throw new SessionError("Session expired", "SESSION_EXPIRED");
+      const reused = async () => {
+        await store.updateSession(id, { valid: false, revokedReason: "refresh token reuse" });
+        return new SessionError("Refresh token reused; session revoked", "SESSION_REVOKED");
+      };
+      if (sha256(secret) !== session.refreshHash) throw await reused();
+      await checkLicense(session);
+      const next = newRefreshSecret();
+      if (!(await store.rotateRefreshHash(id, session.refreshHash, sha256(next), Date.now()))) throw await reused();
+      return { sessionId: id, accessToken: await signAccess(session), refreshToken: `${id}.${next}` };
+    },
+
+    getSession(id) {
+      return store.getSession(id);
+    },
+
+    /** Revokes one session; resolves false when it does not exist. */
+    async revoke(id, reason) {
+      const session = await store.getSession(id);
+      if (!session) return false;
+      if (session.valid) await store.updateSession(id, { valid: false, revokedReason: reason });
+      return true;
+    },
+
+    /** Revokes the session a refresh token belongs to (logout without an access token). */
+    async revokeByRefreshToken(refreshToken, reason) {
+      const [id, secret] = String(refreshToken).split(".");
+      const session = id && secret && (await store.getSession(id));
+      if (!session || sha256(secret) !== session.refreshHash) throw new SessionError("Invalid refresh token");
+      await store.updateSession(id, { valid: false, revokedReason: reason });
+    },
+
+    /** Revokes every session a wallet holds on a license token of one deployment. */
+    revokeHolder(wallet, tokenId, reason, { chainId, contract } = {}) {
+      return store.revokeSessions({ address: wallet, tokenId: String(tokenId), chainId, contract }, reason);
+    }
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * backend/siwe.js
+ * Sign-In with Ethereum (EIP-4361) helpers: one-time nonces, message parsing
+ * and signature verification. Nonces are kept in the storage adapter
+ * (store/), so use a shared store when running more than one instance.
+ */
+import crypto from "crypto";
+import { ethers } from "ethers";
+
+const HEADER_SUFFIX = " wants you to sign in with your Ethereum account:";
+const FIELDS = {
+  "URI": "uri",
+  "Version": "version",
+  "Chain ID": "chainId",
+  "Nonce": "nonce",
+  "Issued At": "issuedAt",
+  "Expiration Time": "expirationTime",
+  "Not Before": "notBefore",
+  "Request ID": "requestId"
+};
+
+export class SiweError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SiweError";
+  }
+}
+
+/** One-time nonces with expiry, persisted through the storage adapter. */
+export function createNonceStore({ store, ttlSeconds = 300 }) {
+  return {
+    async issue() {
+      const nonce = crypto.randomBytes(16).toString("hex");
+      const expiresAt = Date.now() + ttlSeconds * 1000;
+      await store.insertNonce({ nonce, expiresAt });
+      return { nonce, expiresAt: new Date(expiresAt).toISOString() };
+    },
+    // Resolves true exactly once per issued, unexpired nonce.
+    consume(nonce) {
+      return store.consumeNonce(nonce, Date.now());
+    }
+  };
+}
+
+/** Parses an EIP-4361 message into its fields. Throws SiweError on malformed input. */
+export function parseSiweMessage(message) {
+  if (typeof message !== "string") throw new SiweError("message must be a string");
+  const lines = message.split("\n");
+  if (!lines[0] || !lines[0].endsWith(HEADER_SUFFIX)) throw new SiweError("invalid SIWE header");
+  const domain = lines[0].slice(0, -HEADER_SUFFIX.length);
+  if (!ethers.isAddress(lines[1] || "")) throw new SiweError("invalid address line");
+  const fields = { domain, address: lines[1], statement: null, resources: [] };
+
+  let i = 2;
+  if (lines[i] !== "") throw new SiweError("expected blank line after address");
+  i++;
+  if (lines[i] !== "" && !lines[i]?.startsWith("URI: ")) {
+    fields.statement = lines[i++];
+    if (lines[i] !== "") throw new SiweError("expected blank line after statement");
+  }
+  if (lines[i] === "") i++;
+
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+    if (line === "Resources:") {
+      for (i++; i < lines.length; i++) {
+        if (!lines[i].startsWith("- ")) throw new SiweError("invalid resource line");
+        fields.resources.push(lines[i].slice(2));
+      }
+      break;
+    }
+    const sep = line.indexOf(": ");
+    const key = FIELDS[line.slice(0, sep)];
+    if (sep < 0 || !key) throw new SiweError(`unexpected line: ${line}`);
+    if (fields[key] !== undefined) throw new SiweError(`duplicate field: ${line.slice(0, sep)}`);
+    fields[key] = line.slice(sep + 2);
+  }
+
+  for (const key of ["uri", "version", "chainId", "nonce", "issuedAt"]) {
+    if (!fields[key]) throw new SiweError(`missing field: ${key}`);
+  }
+  if (fields.version !== "1") throw new SiweError("unsupported SIWE version");
+  if (!URL.canParse(fields.uri)) throw new SiweError("invalid uri");
+  if (!/^[a-zA-Z0-9]{8,}$/.test(fields.nonce)) throw new SiweError("invalid nonce");
+  fields.chainId = Number(fields.chainId);
+  if (!Number.isInteger(fields.chainId)) throw new SiweError("invalid chain id");
+  for (const key of ["issuedAt", "expirationTime", "notBefore"]) {
+    if (fields[key] !== undefined && Number.isNaN(Date.parse(fields[key]))) throw new SiweError(`invalid timestamp: ${key}`);
+  }
+  return fields;
+}
+
+/**
+ * Verifies a signed SIWE message against the expected domain, chain (one id
+ * or a list of accepted ids) and URI origin, consumes its nonce and returns
+ * the parsed fields with the checksummed signer address.
+ */
+export async function verifySiweMessage({ message, signature, nonces, domain, chainId, uri, now = Date.now() }) {
+  const fields = parseSiweMessage(message);
+  if (fields.domain !== domain) throw new SiweError("domain mismatch");
+  if (![].concat(chainId).map(Number).includes(fields.chainId)) throw new SiweError("chain id mismatch");
+  if (uri && new URL(fields.uri).origin !== new URL(uri).origin) throw new SiweError("uri mismatch");
+  if (fields.expirationTime && Date.parse(fields.expirationTime) <= now) throw new SiweError("message expired");
+  if (fields.notBefore && Date.parse(fields.notBefore) > now) throw new SiweError("message not yet valid");
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(message, signature);
+  } catch (e) {
+    throw new SiweError("invalid signature");
+  }
+  if (signer !== ethers.getAddress(fields.address)) throw new SiweError("signature does not match address");
+  // Consume last so a bad signature cannot burn someone else's nonce.
+  if (!(await nonces.consume(fields.nonce))) throw new SiweError("unknown, expired or reused nonce");
+  return { ...fields, address: signer };
+}
@@ -0,0 +1,65 @@
+/**
+ * backend/store/index.js
+ * Storage adapter factory. Every adapter exposes the same async API so a
+ * Postgres adapter can be dropped in against schema.sql:
+ *
+ *   insertNonce({ nonce, expiresAt })            consumeNonce(nonce, now) -> bool
+ *   insertSession(session)                       getSession(id) -> session | undefined
+ *   updateSession(id, patch)                     listSessions({ address?, tokenId?, valid? }) -> session[]
+ *   rotateRefreshHash(id, prevHash, nextHash, refreshedAt) -> false unless the valid session still had prevHash
+ *   revokeSessions({ address, tokenId, chainId?, contract? }, reason) -> number of sessions revoked
+ *   getQuota(appId) -> quota | undefined         setQuota(quota)
+ *   listQuotas() -> quota[]
+ *   addUsage({ tokenId, appId, period, units }) -> token's units in period
+ *   getUsage(tokenId, period) -> units           getAppUsage(appId, period) -> units
+ *   insertClaim(claim) -> false if the token was already claimed
+ *   getClaim(tokenId) -> claim | undefined
+ *   reserveRelaySpend({ wallet, period, gwei, limitGwei }) -> false if it would exceed the limit
+ *   settleRelaySpend({ wallet, period, reservedGwei, gwei })  (replaces a reservation with the cost paid)
+ *   getRelaySpend(wallet, period) -> gwei
+ *   insertCertificate(certificate)               getCertificate(id) -> certificate | undefined
+ *   revokeCertificates({ address, tokenId, chainId?, contract? }, reason, now) -> number revoked
+ *   revokeCertificate(id, reason, now) -> false if unknown
+ *   listRevokedCertificates(now) -> revoked certificates still inside their grace period
+ *   insertWebhook(webhook)                       getWebhook(id) -> webhook | undefined
+ *   updateWebhook(id, patch)                     deleteWebhook(id) -> false if unknown
+ *   listWebhooks({ appId? }) -> webhook[]
+ *   insertDelivery(delivery) -> false if the webhook already has that eventId
+ *   getDelivery(id) -> delivery | undefined      updateDelivery(id, patch)
+ *   listDeliveries({ webhookId?, appId?, status? }, limit) -> delivery[], newest first
+ *   dueDeliveries(now, limit) -> pending deliveries whose nextAttemptAt has passed, oldest first
+ *   putInstance(instance)                        (insert or replace by chainId, contract, tokenId)
+ *   getInstance({ chainId, contract, tokenId }) -> instance | undefined
+ *   updateInstance({ chainId, contract, tokenId }, patch)
+ *   listInstances({ chainId?, contract?, appId?, status? }) -> instance[]
+ *
+ * Sessions are plain objects: { id, tokenId, address, appId, chainId,
+ * contract, refreshHash, createdAt, refreshedAt, expiresAt, valid,
+ * revokedReason } (times in ms).
+ * Quotas: { appId, tokenRpm, tokenMonthlyUnits, appRpm, appMonthlyUnits,
+ * updatedAt }; a null limit means "use the backend default". Usage periods
+ * are UTC months ("2026-10"). Redemption claims: { tokenId, wallet, grantId,
+ * claimedAt }. Offline certificates: { id, tokenId, address, appId, chainId,
+ * contract, fingerprint, issuedAt, expiresAt, graceUntil, revokedAt,
+ * revokedReason }. Webhooks: { id, appId, url, secret, events, active,
+ * createdAt }. Webhook deliveries: { id, webhookId, appId, event, eventId,
+ * payload, status, attempts, nextAttemptAt, lastStatus, lastError, log,
+ * createdAt, deliveredAt } (status: pending | delivered | dead). App
+ * instances: { chainId, contract, tokenId, appId, driver, ref, endpoint,
+ * status, error, provisionedAt, stoppedAt, stopReason, updatedAt }
+ * (status: provisioning | running | failed | stopped).
+ */
+import { createMemoryStore } from "./memory.js";
+
+export async function createStore({ driver = "memory", sqlitePath } = {}) {
+  switch (driver) {
+    case "memory":
+      return createMemoryStore();
+    case "sqlite": {
+      const { createSqliteStore } = await import("./sqlite.js");
+      return createSqliteStore({ path: sqlitePath });
+    }
+    default:
+      throw new Error(`Unknown STORE driver: ${driver}`);
+  }
+}
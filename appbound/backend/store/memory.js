@@ -0,0 +1,212 @@
+/**
+ * backend/store/memory.js
+ * In-memory storage adapter. State is lost on restart; use for local dev.
+ */
+export function createMemoryStore() {
+  const nonces = new Map();
+  const sessions = new Map();
+  const quotas = new Map();
+  const usage = new Map(); // `${tokenId}:${period}` -> { appId, units }
+  const claims = new Map();
+  const relaySpend = new Map(); // `${wallet}:${period}` -> gwei
+  const certificates = new Map();
+  const webhooks = new Map();
+  const deliveries = new Map();
+  const instances = new Map(); // `${chainId}:${contract}:${tokenId}` -> instance
+  const instanceKey = ({ chainId, contract, tokenId }) => `${chainId}:${contract}:${tokenId}`;
+
+  function matches(session, filter) {
+    return Object.entries(filter).every(([key, value]) => value === undefined || session[key] === value);
+  }
+
+  return {
+    async insertNonce({ nonce, expiresAt }) {
+      const now = Date.now();
+      for (const [n, exp] of nonces) if (exp <= now) nonces.delete(n);
+      nonces.set(nonce, expiresAt);
+    },
+    async consumeNonce(nonce, now = Date.now()) {
+      const expiresAt = nonces.get(nonce);
+      nonces.delete(nonce);
+      return expiresAt !== undefined && expiresAt > now;
+    },
+
+    async insertSession(session) {
+      sessions.set(session.id, { ...session });
+    },
+    async getSession(id) {
+      const session = sessions.get(id);
+      return session && { ...session };
+    },
+    async updateSession(id, patch) {
+      const session = sessions.get(id);
+      if (session) sessions.set(id, { ...session, ...patch });
+    },
+    async rotateRefreshHash(id, prevHash, nextHash, refreshedAt) {
+      const session = sessions.get(id);
+      if (!session?.valid || session.refreshHash !== prevHash) return false;
+      sessions.set(id, { ...session, refreshHash: nextHash, refreshedAt });
+      return true;
+    },
+    async listSessions(filter = {}) {
+      return [...sessions.values()].filter((s) => matches(s, filter)).map((s) => ({ ...s }));
+    },
+    async revokeSessions({ address, tokenId, chainId, contract }, reason) {
+      let count = 0;
+      for (const session of sessions.values()) {
+        if (session.valid && matches(session, { address, tokenId, chainId, contract })) {
+          session.valid = false;
+          session.revokedReason = reason;
+          count++;
+        }
+      }
+      return count;
+    },
+
+    async getQuota(appId) {
+      const quota = quotas.get(appId);
+      return quota && { ...quota };
+    },
+    async setQuota(quota) {
+      quotas.set(quota.appId, { ...quota });
+    },
+    async listQuotas() {
+      return [...quotas.values()].map((q) => ({ ...q }));
+    },
+
+    async addUsage({ tokenId, appId, period, units }) {
+      const key = `${tokenId}:${period}`;
+      const row = usage.get(key) || { appId, units: 0 };
+      row.units += units;
+      usage.set(key, row);
+      return row.units;
+    },
+    async getUsage(tokenId, period) {
+      return usage.get(`${tokenId}:${period}`)?.units ?? 0;
+    },
+    async getAppUsage(appId, period) {
+      let total = 0;
+      for (const [key, row] of usage) if (row.appId === appId && key.endsWith(`:${period}`)) total += row.units;
+      return total;
+    },
+
+    async insertClaim(claim) {
+      if (claims.has(claim.tokenId)) return false;
+      claims.set(claim.tokenId, { ...claim });
+      return true;
+    },
+    async getClaim(tokenId) {
+      const claim = claims.get(tokenId);
+      return claim && { ...claim };
+    },
+
+    async reserveRelaySpend({ wallet, period, gwei, limitGwei }) {
+      const key = `${wallet}:${period}`;
+      const spent = relaySpend.get(key) || 0;
+      if (spent + gwei > limitGwei) return false;
+      relaySpend.set(key, spent + gwei);
+      return true;
+    },
+    async settleRelaySpend({ wallet, period, reservedGwei, gwei }) {
+      const key = `${wallet}:${period}`;
+      relaySpend.set(key, (relaySpend.get(key) || 0) - reservedGwei + gwei);
+    },
+    async getRelaySpend(wallet, period) {
+      return relaySpend.get(`${wallet}:${period}`) || 0;
+    },
+
+    async insertCertificate(certificate) {
+      certificates.set(certificate.id, { ...certificate });
+    },
+    async getCertificate(id) {
+      const certificate = certificates.get(id);
+      return certificate && { ...certificate };
+    },
+    async revokeCertificates({ address, tokenId, chainId, contract }, reason, now = Date.now()) {
+      let count = 0;
+      for (const certificate of certificates.values()) {
+        if (certificate.revokedAt === null && matches(certificate, { address, tokenId, chainId, contract })) {
+          certificate.revokedAt = now;
+          certificate.revokedReason = reason;
+          count++;
+        }
+      }
+      return count;
+    },
+    async revokeCertificate(id, reason, now = Date.now()) {
+      const certificate = certificates.get(id);
+      if (!certificate) return false;
+      if (certificate.revokedAt === null) Object.assign(certificate, { revokedAt: now, revokedReason: reason });
+      return true;
+    },
+    async listRevokedCertificates(now = Date.now()) {
+      return [...certificates.values()].filter((c) => c.revokedAt !== null && c.graceUntil > now).map((c) => ({ ...c }));
+    },
+
+    async insertWebhook(webhook) {
+      webhooks.set(webhook.id, structuredClone(webhook));
+    },
+    async getWebhook(id) {
+      const webhook = webhooks.get(id);
+      return webhook && structuredClone(webhook);
+    },
+    async updateWebhook(id, patch) {
+      const webhook = webhooks.get(id);
+      if (webhook) Object.assign(webhook, structuredClone(patch));
+    },
+    async deleteWebhook(id) {
+      return webhooks.delete(id);
+    },
+    async listWebhooks(filter = {}) {
+      return [...webhooks.values()].filter((w) => matches(w, filter)).map((w) => structuredClone(w));
+    },
+
+    async insertDelivery(delivery) {
+      for (const d of deliveries.values()) {
+        if (d.webhookId === delivery.webhookId && d.eventId === delivery.eventId) return false;
+      }
+      deliveries.set(delivery.id, structuredClone(delivery));
+      return true;
+    },
+    async getDelivery(id) {
+      const delivery = deliveries.get(id);
+      return delivery && structuredClone(delivery);
+    },
+    async updateDelivery(id, patch) {
+      const delivery = deliveries.get(id);
+      if (delivery) Object.assign(delivery, structuredClone(patch));
+    },
+    async listDeliveries(filter = {}, limit = 100) {
+      return [...deliveries.values()]
+        .filter((d) => matches(d, filter))
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, limit)
+        .map((d) => structuredClone(d));
+    },
+    async dueDeliveries(now = Date.now(), limit = 100) {
+      return [...deliveries.values()]
+        .filter((d) => d.status === "pending" && d.nextAttemptAt <= now)
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+        .slice(0, limit)
+        .map((d) => structuredClone(d));
+    },
+
+    async putInstance(instance) {
+      instances.set(instanceKey(instance), structuredClone(instance));
+    },
+    async getInstance(key) {
+      const instance = instances.get(instanceKey(key));
+      return instance && structuredClone(instance);
+    },
+    async updateInstance(key, patch) {
+      const instance = instances.get(instanceKey(key));
+      if (instance) Object.assign(instance, structuredClone(patch));
+    },
+    async listInstances(filter = {}) {
+      return [...instances.values()]
+        .filter((i) => matches(i, filter))
+        .sort(({ chainId: c1, contract: k1, tokenId: t1 }, { chainId: c2, contract: k2, tokenId: t2 }) => c1 - c2 || k1.localeCompare(k2) || Number(t1) - Number(t2))
+        .map((i) => structuredClone(i));
+    }
+  };
+}
@@ -0,0 +1,131 @@
+-- AppBound backend schema. Portable between SQLite and Postgres: times are
+-- epoch milliseconds (BIGINT), booleans are BOOLEAN.
+
+CREATE TABLE IF NOT EXISTS nonces (
+  nonce TEXT PRIMARY KEY,
+  expires_at BIGINT NOT NULL,
+  created_at BIGINT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY,
+  token_id TEXT NOT NULL,
+  address TEXT NOT NULL,
+  app_id TEXT NOT NULL,
+  chain_id INTEGER,
+  contract TEXT,
+  refresh_hash TEXT NOT NULL,
+  created_at BIGINT NOT NULL,
+  refreshed_at BIGINT NOT NULL,
+  expires_at BIGINT NOT NULL,
+  valid BOOLEAN NOT NULL DEFAULT TRUE,
+  revoked_reason TEXT
+);
+CREATE INDEX IF NOT EXISTS sessions_holder_idx ON sessions (address, token_id);
+
+-- Usage metering. A NULL limit falls back to the backend default; 0 means unlimited.
+CREATE TABLE IF NOT EXISTS app_quotas (
+  app_id TEXT PRIMARY KEY,
+  token_rpm INTEGER,
+  token_monthly_units BIGINT,
+  app_rpm INTEGER,
+  app_monthly_units BIGINT,
+  updated_at BIGINT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS usage_counters (
+  token_id TEXT NOT NULL,
+  app_id TEXT NOT NULL,
+  period TEXT NOT NULL,
+  units BIGINT NOT NULL DEFAULT 0,
+  updated_at BIGINT NOT NULL,
+  PRIMARY KEY (token_id, period)
+);
+CREATE INDEX IF NOT EXISTS usage_counters_app_idx ON usage_counters (app_id, period);
+
+-- One row per ephemeral license whose content grant has been handed out.
+CREATE TABLE IF NOT EXISTS redemption_claims (
+  token_id TEXT PRIMARY KEY,
+  wallet TEXT NOT NULL,
+  grant_id TEXT NOT NULL,
+  claimed_at BIGINT NOT NULL
+);
+
+-- Gas spent by the relayer on behalf of each wallet, per UTC day.
+CREATE TABLE IF NOT EXISTS relay_spend (
+  wallet TEXT NOT NULL,
+  period TEXT NOT NULL,
+  spent_gwei BIGINT NOT NULL DEFAULT 0,
+  tx_count INTEGER NOT NULL DEFAULT 0,
+  updated_at BIGINT NOT NULL,
+  PRIMARY KEY (wallet, period)
+);
+
+-- Offline license certificates (certificates.js). Revoked rows feed the CRL until grace_until.
+CREATE TABLE IF NOT EXISTS license_certificates (
+  id TEXT PRIMARY KEY,
+  token_id TEXT NOT NULL,
+  address TEXT NOT NULL,
+  app_id TEXT NOT NULL,
+  chain_id INTEGER,
+  contract TEXT,
+  fingerprint TEXT NOT NULL,
+  issued_at BIGINT NOT NULL,
+  expires_at BIGINT NOT NULL,
+  grace_until BIGINT NOT NULL,
+  revoked_at BIGINT,
+  revoked_reason TEXT
+);
+CREATE INDEX IF NOT EXISTS license_certificates_holder_idx ON license_certificates (address, token_id);
+CREATE INDEX IF NOT EXISTS license_certificates_revoked_idx ON license_certificates (revoked_at, grace_until);
+
+-- Publisher webhooks (webhooks.js); events is a JSON array of event types.
+CREATE TABLE IF NOT EXISTS webhooks (
+  id TEXT PRIMARY KEY,
+  app_id TEXT NOT NULL,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  events TEXT NOT NULL,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_at BIGINT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS webhooks_app_idx ON webhooks (app_id);
+
+-- One row per (webhook, event); status 'dead' is the dead-letter queue. payload and log are JSON.
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id TEXT PRIMARY KEY,
+  webhook_id TEXT NOT NULL,
+  app_id TEXT NOT NULL,
+  event TEXT NOT NULL,
+  event_id TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  status TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at BIGINT,
+  last_status INTEGER,
+  last_error TEXT,
+  log TEXT NOT NULL,
+  created_at BIGINT NOT NULL,
+  delivered_at BIGINT,
+  UNIQUE (webhook_id, event_id)
+);
+CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON webhook_deliveries (status, next_attempt_at);
+
+-- Dedicated app instances, one per license (instances.js); stopped ones are kept as history.
+CREATE TABLE IF NOT EXISTS app_instances (
+  chain_id INTEGER NOT NULL,
+  contract TEXT NOT NULL,
+  token_id TEXT NOT NULL,
+  app_id TEXT NOT NULL,
+  driver TEXT NOT NULL,
+  ref TEXT,
+  endpoint TEXT,
+  status TEXT NOT NULL,
+  error TEXT,
+  provisioned_at BIGINT,
+  stopped_at BIGINT,
+  stop_reason TEXT,
+  updated_at BIGINT NOT NULL,
+  PRIMARY KEY (chain_id, contract, token_id)
+);
+CREATE INDEX IF NOT EXISTS app_instances_app_idx ON app_instances (app_id, status);
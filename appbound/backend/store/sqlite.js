@@ -0,0 +1,389 @@
+/**
+ * backend/store/sqlite.js
+ * SQLite storage adapter (better-sqlite3) over schema.sql.
+ */
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+
+const COLUMNS = {
+  id: "id",
+  tokenId: "token_id",
+  address: "address",
+  appId: "app_id",
+  chainId: "chain_id",
+  contract: "contract",
+  refreshHash: "refresh_hash",
+  createdAt: "created_at",
+  refreshedAt: "refreshed_at",
+  expiresAt: "expires_at",
+  valid: "valid",
+  revokedReason: "revoked_reason"
+};
+
+const QUOTA_COLUMNS = {
+  appId: "app_id",
+  tokenRpm: "token_rpm",
+  tokenMonthlyUnits: "token_monthly_units",
+  appRpm: "app_rpm",
+  appMonthlyUnits: "app_monthly_units",
+  updatedAt: "updated_at"
+};
+
+const CERTIFICATE_COLUMNS = {
+  id: "id",
+  tokenId: "token_id",
+  address: "address",
+  appId: "app_id",
+  chainId: "chain_id",
+  contract: "contract",
+  fingerprint: "fingerprint",
+  issuedAt: "issued_at",
+  expiresAt: "expires_at",
+  graceUntil: "grace_until",
+  revokedAt: "revoked_at",
+  revokedReason: "revoked_reason"
+};
+
+function certificateFromRow(row) {
+  if (!row) return undefined;
+  return Object.fromEntries(Object.entries(CERTIFICATE_COLUMNS).map(([key, column]) => [key, row[column]]));
+}
+
+const WEBHOOK_COLUMNS = {
+  id: "id",
+  appId: "app_id",
+  url: "url",
+  secret: "secret",
+  events: "events",
+  active: "active",
+  createdAt: "created_at"
+};
+
+const DELIVERY_COLUMNS = {
+  id: "id",
+  webhookId: "webhook_id",
+  appId: "app_id",
+  event: "event",
+  eventId: "event_id",
+  payload: "payload",
+  status: "status",
+  attempts: "attempts",
+  nextAttemptAt: "next_attempt_at",
+  lastStatus: "last_status",
+  lastError: "last_error",
+  log: "log",
+  createdAt: "created_at",
+  deliveredAt: "delivered_at"
+};
+
+const INSTANCE_COLUMNS = {
+  chainId: "chain_id",
+  contract: "contract",
+  tokenId: "token_id",
+  appId: "app_id",
+  driver: "driver",
+  ref: "ref",
+  endpoint: "endpoint",
+  status: "status",
+  error: "error",
+  provisionedAt: "provisioned_at",
+  stoppedAt: "stopped_at",
+  stopReason: "stop_reason",
+  updatedAt: "updated_at"
+};
+
+// Columns held as JSON text, and booleans held as 0/1.
+const JSON_FIELDS = new Set(["events", "payload", "log"]);
+const BOOLEAN_FIELDS = new Set(["active"]);
+
+function encode(columns, record) {
+  const row = {};
+  for (const [key, column] of Object.entries(columns)) {
+    if (record[key] === undefined) continue;
+    const value = record[key];
+    row[column] = JSON_FIELDS.has(key) ? JSON.stringify(value) : BOOLEAN_FIELDS.has(key) ? Number(value) : value;
+  }
+  return row;
+}
+
+function decode(columns, row) {
+  if (!row) return undefined;
+  return Object.fromEntries(
+    Object.entries(columns).map(([key, column]) => {
+      const value = row[column];
+      return [key, JSON_FIELDS.has(key) ? JSON.parse(value) : BOOLEAN_FIELDS.has(key) ? Boolean(value) : value];
+    })
+  );
+}
+
+function filterClause(columns, filter) {
+  const row = encode(columns, filter);
+  const entries = Object.keys(row);
+  return { clause: entries.length ? " WHERE " + entries.map((c) => `${c} = @${c}`).join(" AND ") : "", params: row };
+}
+
+function quotaFromRow(row) {
+  if (!row) return undefined;
+  return Object.fromEntries(Object.entries(QUOTA_COLUMNS).map(([key, column]) => [key, row[column]]));
+}
+
+function toRow(session) {
+  const row = {};
+  for (const [key, column] of Object.entries(COLUMNS)) {
+    if (session[key] !== undefined) row[column] = key === "valid" ? Number(session[key]) : session[key];
+  }
+  return row;
+}
+
+function fromRow(row) {
+  if (!row) return undefined;
+  const session = {};
+  for (const [key, column] of Object.entries(COLUMNS)) session[key] = row[column];
+  session.valid = Boolean(session.valid);
+  return session;
+}
+
+// Columns added after their table was first released; CREATE TABLE IF NOT
+// EXISTS leaves existing tables alone, so these are added on open.
+const ADDED_COLUMNS = [
+  ["sessions", "chain_id", "INTEGER"],
+  ["sessions", "contract", "TEXT"]
+];
+
+function migrate(db) {
+  for (const [table, column, type] of ADDED_COLUMNS) {
+    if (!db.prepare(`PRAGMA table_info(${table})`).all().some((c) => c.name === column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+    }
+  }
+}
+
+function where(filter) {
+  const entries = Object.entries(toRow(filter));
+  if (!entries.length) return { clause: "", params: {} };
+  return {
+    clause: " WHERE " + entries.map(([column]) => `${column} = @${column}`).join(" AND "),
+    params: Object.fromEntries(entries)
+  };
+}
+
+export function createSqliteStore({ path: file }) {
+  if (file !== ":memory:") fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(fs.readFileSync(new URL("./schema.sql", import.meta.url), "utf8"));
+  migrate(db);
+
+  return {
+    async insertNonce({ nonce, expiresAt }) {
+      const now = Date.now();
+      db.prepare("DELETE FROM nonces WHERE expires_at <= ?").run(now);
+      db.prepare("INSERT INTO nonces (nonce, expires_at, created_at) VALUES (?, ?, ?)").run(nonce, expiresAt, now);
+    },
+    async consumeNonce(nonce, now = Date.now()) {
+      const row = db.prepare("DELETE FROM nonces WHERE nonce = ? RETURNING expires_at").get(nonce);
+      return row !== undefined && row.expires_at > now;
+    },
+
+    async insertSession(session) {
+      const row = toRow(session);
+      const columns = Object.keys(row);
+      db.prepare(`INSERT INTO sessions (${columns.join(", ")}) VALUES (${columns.map((c) => "@" + c).join(", ")})`).run(row);
+    },
+    async getSession(id) {
+      return fromRow(db.prepare("SELECT * FROM sessions WHERE id = ?").get(id));
+    },
+    async updateSession(id, patch) {
+      const row = toRow(patch);
+      const columns = Object.keys(row);
+      if (!columns.length) return;
+      db.prepare(`UPDATE sessions SET ${columns.map((c) => `${c} = @${c}`).join(", ")} WHERE id = @id`).run({ ...row, id });
+    },
+    async rotateRefreshHash(id, prevHash, nextHash, refreshedAt) {
+      const { changes } = db
+        .prepare("UPDATE sessions SET refresh_hash = @next, refreshed_at = @refreshedAt WHERE id = @id AND refresh_hash = @prev AND valid = 1")
+        .run({ id, prev: prevHash, next: nextHash, refreshedAt });
+      return changes === 1;
+    },
+    async listSessions(filter = {}) {
+      const { clause, params } = where(filter);
+      return db.prepare(`SELECT * FROM sessions${clause} ORDER BY created_at`).all(params).map(fromRow);
+    },
+    async revokeSessions({ address, tokenId, chainId, contract }, reason) {
+      const { clause, params } = where({ address, tokenId, valid: true });
+      if (chainId === undefined) {
+        return db.prepare(`UPDATE sessions SET valid = 0, revoked_reason = @reason${clause}`).run({ ...params, reason }).changes;
+      }
+      // Sessions from before multi-chain support have no chain; revoke them on any.
+      return db
+        .prepare(`UPDATE sessions SET valid = 0, revoked_reason = @reason${clause} AND (chain_id IS NULL OR (chain_id = @chain_id AND contract = @contract))`)
+        .run({ ...params, reason, chain_id: chainId, contract }).changes;
+    },
+
+    async getQuota(appId) {
+      return quotaFromRow(db.prepare("SELECT * FROM app_quotas WHERE app_id = ?").get(appId));
+    },
+    async setQuota(quota) {
+      const row = Object.fromEntries(Object.entries(QUOTA_COLUMNS).map(([key, column]) => [column, quota[key] ?? null]));
+      const columns = Object.keys(row);
+      db.prepare(
+        `INSERT INTO app_quotas (${columns.join(", ")}) VALUES (${columns.map((c) => "@" + c).join(", ")})
+         ON CONFLICT (app_id) DO UPDATE SET ${columns.map((c) => `${c} = excluded.${c}`).join(", ")}`
+      ).run(row);
+    },
+    async listQuotas() {
+      return db.prepare("SELECT * FROM app_quotas ORDER BY app_id").all().map(quotaFromRow);
+    },
+
+    async addUsage({ tokenId, appId, period, units }) {
+      return db
+        .prepare(
+          `INSERT INTO usage_counters (token_id, app_id, period, units, updated_at) VALUES (?, ?, ?, ?, ?)
+           ON CONFLICT (token_id, period) DO UPDATE SET units = usage_counters.units + excluded.units, updated_at = excluded.updated_at
+           RETURNING units`
+        )
+        .get(tokenId, appId, period, units, Date.now()).units;
+    },
+    async getUsage(tokenId, period) {
+      return db.prepare("SELECT units FROM usage_counters WHERE token_id = ? AND period = ?").get(tokenId, period)?.units ?? 0;
+    },
+    async getAppUsage(appId, period) {
+      return db.prepare("SELECT COALESCE(SUM(units), 0) AS units FROM usage_counters WHERE app_id = ? AND period = ?").get(appId, period).units;
+    },
+
+    async insertClaim({ tokenId, wallet, grantId, claimedAt }) {
+      const { changes } = db
+        .prepare("INSERT INTO redemption_claims (token_id, wallet, grant_id, claimed_at) VALUES (?, ?, ?, ?) ON CONFLICT (token_id) DO NOTHING")
+        .run(tokenId, wallet, grantId, claimedAt);
+      return changes === 1;
+    },
+    async getClaim(tokenId) {
+      const row = db.prepare("SELECT * FROM redemption_claims WHERE token_id = ?").get(tokenId);
+      return row && { tokenId: row.token_id, wallet: row.wallet, grantId: row.grant_id, claimedAt: row.claimed_at };
+    },
+
+    async reserveRelaySpend({ wallet, period, gwei, limitGwei }) {
+      const now = Date.now();
+      db.prepare(
+        "INSERT INTO relay_spend (wallet, period, spent_gwei, tx_count, updated_at) VALUES (?, ?, 0, 0, ?) ON CONFLICT (wallet, period) DO NOTHING"
+      ).run(wallet, period, now);
+      const { changes } = db
+        .prepare("UPDATE relay_spend SET spent_gwei = spent_gwei + ?, updated_at = ? WHERE wallet = ? AND period = ? AND spent_gwei + ? <= ?")
+        .run(gwei, now, wallet, period, gwei, limitGwei);
+      return changes === 1;
+    },
+    async settleRelaySpend({ wallet, period, reservedGwei, gwei }) {
+      db.prepare(
+        "UPDATE relay_spend SET spent_gwei = spent_gwei - ? + ?, tx_count = tx_count + ?, updated_at = ? WHERE wallet = ? AND period = ?"
+      ).run(reservedGwei, gwei, gwei > 0 ? 1 : 0, Date.now(), wallet, period);
+    },
+    async getRelaySpend(wallet, period) {
+      return db.prepare("SELECT spent_gwei FROM relay_spend WHERE wallet = ? AND period = ?").get(wallet, period)?.spent_gwei ?? 0;
+    },
+
+    async insertCertificate(certificate) {
+      const row = Object.fromEntries(Object.entries(CERTIFICATE_COLUMNS).map(([key, column]) => [column, certificate[key] ?? null]));
+      const columns = Object.keys(row);
+      db.prepare(`INSERT INTO license_certificates (${columns.join(", ")}) VALUES (${columns.map((c) => "@" + c).join(", ")})`).run(row);
+    },
+    async getCertificate(id) {
+      return certificateFromRow(db.prepare("SELECT * FROM license_certificates WHERE id = ?").get(id));
+    },
+    async revokeCertificates({ address, tokenId, chainId, contract }, reason, now = Date.now()) {
+      const filter = Object.entries({ address, token_id: tokenId, chain_id: chainId, contract }).filter(([, value]) => value !== undefined);
+      return db
+        .prepare(
+          `UPDATE license_certificates SET revoked_at = @now, revoked_reason = @reason
+           WHERE revoked_at IS NULL${filter.map(([column]) => ` AND ${column} = @${column}`).join("")}`
+        )
+        .run({ ...Object.fromEntries(filter), now, reason }).changes;
+    },
+    async revokeCertificate(id, reason, now = Date.now()) {
+      if (!db.prepare("SELECT 1 FROM license_certificates WHERE id = ?").get(id)) return false;
+      db.prepare("UPDATE license_certificates SET revoked_at = ?, revoked_reason = ? WHERE id = ? AND revoked_at IS NULL").run(now, reason, id);
+      return true;
+    },
+    async listRevokedCertificates(now = Date.now()) {
+      return db
+        .prepare("SELECT * FROM license_certificates WHERE revoked_at IS NOT NULL AND grace_until > ? ORDER BY revoked_at")
+        .all(now)
+        .map(certificateFromRow);
+    },
+
+    async insertWebhook(webhook) {
+      const row = encode(WEBHOOK_COLUMNS, webhook);
+      const columns = Object.keys(row);
+      db.prepare(`INSERT INTO webhooks (${columns.join(", ")}) VALUES (${columns.map((c) => "@" + c).join(", ")})`).run(row);
+    },
+    async getWebhook(id) {
+      return decode(WEBHOOK_COLUMNS, db.prepare("SELECT * FROM webhooks WHERE id = ?").get(id));
+    },
+    async updateWebhook(id, patch) {
+      const row = encode(WEBHOOK_COLUMNS, patch);
+      const columns = Object.keys(row);
+      if (!columns.length) return;
+      db.prepare(`UPDATE webhooks SET ${columns.map((c) => `${c} = @${c}`).join(", ")} WHERE id = @id`).run({ ...row, id });
+    },
+    async deleteWebhook(id) {
+      return db.prepare("DELETE FROM webhooks WHERE id = ?").run(id).changes === 1;
+    },
+    async listWebhooks(filter = {}) {
+      const { clause, params } = filterClause(WEBHOOK_COLUMNS, filter);
+      return db.prepare(`SELECT * FROM webhooks${clause} ORDER BY created_at`).all(params).map((row) => decode(WEBHOOK_COLUMNS, row));
+    },
+
+    async insertDelivery(delivery) {
+      const row = encode(DELIVERY_COLUMNS, delivery);
+      const columns = Object.keys(row);
+      const { changes } = db
+        .prepare(`INSERT INTO webhook_deliveries (${columns.join(", ")}) VALUES (${columns.map((c) => "@" + c).join(", ")}) ON CONFLICT (webhook_id, event_id) DO NOTHING`)
+        .run(row);
+      return changes === 1;
+    },
+    async getDelivery(id) {
+      return decode(DELIVERY_COLUMNS, db.prepare("SELECT * FROM webhook_deliveries WHERE id = ?").get(id));
+    },
+    async updateDelivery(id, patch) {
+      const row = encode(DELIVERY_COLUMNS, patch);
+      const columns = Object.keys(row);
+      if (!columns.length) return;
+      db.prepare(`UPDATE webhook_deliveries SET ${columns.map((c) => `${c} = @${c}`).join(", ")} WHERE id = @id`).run({ ...row, id });
+    },
+    async listDeliveries(filter = {}, limit = 100) {
+      const { clause, params } = filterClause(DELIVERY_COLUMNS, filter);
+      return db
+        .prepare(`SELECT * FROM webhook_deliveries${clause} ORDER BY created_at DESC LIMIT @limit`)
+        .all({ ...params, limit })
+        .map((row) => decode(DELIVERY_COLUMNS, row));
+    },
+    async dueDeliveries(now = Date.now(), limit = 100) {
+      return db
+        .prepare("SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at LIMIT ?")
+        .all(now, limit)
+        .map((row) => decode(DELIVERY_COLUMNS, row));
+    },
+
+    async putInstance(instance) {
+      const row = encode(INSTANCE_COLUMNS, instance);
+      const columns = Object.keys(row);
+      db.prepare(`INSERT OR REPLACE INTO app_instances (${columns.join(", ")}) VALUES (${columns.map((c) => "@" + c).join(", ")})`).run(row);
+    },
+    async getInstance({ chainId, contract, tokenId }) {
+      const row = db.prepare("SELECT * FROM app_instances WHERE chain_id = ? AND contract = ? AND token_id = ?").get(chainId, contract, tokenId);
+      return decode(INSTANCE_COLUMNS, row);
+    },
+    async updateInstance({ chainId, contract, tokenId }, patch) {
+      const row = encode(INSTANCE_COLUMNS, patch);
+      const columns = Object.keys(row);
+      if (!columns.length) return;
+      db.prepare(
+        `UPDATE app_instances SET ${columns.map((c) => `${c} = @${c}`).join(", ")} WHERE chain_id = @key_chain_id AND contract = @key_contract AND token_id = @key_token_id`
+      ).run({ ...row, key_chain_id: chainId, key_contract: contract, key_token_id: tokenId });
+    },
+    async listInstances(filter = {}) {
+      const { clause, params } = filterClause(INSTANCE_COLUMNS, filter);
+      return db.prepare(`SELECT * FROM app_instances${clause} ORDER BY chain_id, contract, CAST(token_id AS INTEGER)`).all(params).map((row) => decode(INSTANCE_COLUMNS, row));
+    }
+  };
+}
@@ -0,0 +1,313 @@
+/**
+ * backend/webhooks.js
+ * Publisher webhooks for license lifecycle events, so apps can provision
+ * accounts or send emails without running their own chain listener.
+ * Webhooks are registered per appId (admin API) and subscribe to some or all
+ * of WEBHOOK_EVENTS. Each event is a JSON POST:
+ *   { id, type, createdAt, appId, data: { tokenId, appId, owner, expiry,
+ *     soulbound, ephemeral, redeemed, chainId, contract, ... } }
+ * signed with the webhook's secret: the `AppBound-Signature` header is
+ * `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">` (verify it with
+ * @appbound/sdk's verifyWebhook).
+ *
+ * Deliveries are stored before they are sent. A non-2xx answer, timeout or
+ * network error is retried with exponential backoff (`retryBaseSeconds`
+ * doubling up to `retryMaxSeconds`); after `maxAttempts` the delivery is
+ * `dead` (the dead-letter queue) until an admin redelivers it. Every attempt
+ * is kept in the delivery's log.
+ *
+ * Events come from the chain indexers (watchDeployment); expiries have no
+ * chain event, so indexed tokens are scanned for them. Each event has a
+ * stable eventId (chain, contract, tx and log index; or token and expiry),
+ * and a webhook gets at most one delivery per eventId, so replays after a
+ * restart or reorg are not sent twice. Receivers should still dedupe on `id`.
+ */
+import crypto from "crypto";
+
+export const WEBHOOK_EVENTS = ["license.minted", "license.transferred", "license.redeemed", "license.renewed", "license.burned", "license.expired"];
+export const SIGNATURE_HEADER = "AppBound-Signature";
+const LOG_LIMIT = 20;
+
+export class WebhookError extends Error {
+  /** code: INVALID_URL | INVALID_EVENTS | APP_ID_REQUIRED | UNKNOWN_WEBHOOK | UNKNOWN_DELIVERY */
+  constructor(message, code) {
+    super(message);
+    this.name = "WebhookError";
+    this.code = code;
+  }
+}
+
+/** `t=<seconds>,v1=<hex>` for a raw JSON body. */
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function checkUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new WebhookError(`Invalid webhook URL: ${url}`, "INVALID_URL");
+  }
+  if (parsed.protocol !== "https:" && parsed.protocol !== "http:") throw new WebhookError("Webhook URL must be http(s)", "INVALID_URL");
+  return parsed.toString();
+}
+
+function checkEvents(events = WEBHOOK_EVENTS) {
+  if (!Array.isArray(events) || !events.length) throw new WebhookError("events must be a non-empty array", "INVALID_EVENTS");
+  const unknown = events.filter((e) => !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length) throw new WebhookError(`Unknown event(s) ${unknown.join(", ")} (available: ${WEBHOOK_EVENTS.join(", ")})`, "INVALID_EVENTS");
+  return [...new Set(events)];
+}
+
+// The secret is only shown when a webhook is created or its secret rotated.
+function publicWebhook({ secret, ...webhook }) {
+  return webhook;
+}
+
+export function createWebhookService({
+  store,
+  fetch: fetchImpl = globalThis.fetch,
+  maxAttempts = 8,
+  retryBaseSeconds = 30,
+  retryMaxSeconds = 6 * 3600,
+  timeoutMs = 10_000,
+  pollSeconds = 5,
+  expiryLookbackSeconds = 24 * 3600
+}) {
+  let processing = null;
+  let pending = false;
+  let timer = null;
+
+  function retryDelay(attempts) {
+    return Math.min(retryBaseSeconds * 2 ** (attempts - 1), retryMaxSeconds) * 1000;
+  }
+
+  async function attempt(delivery) {
+    const webhook = await store.getWebhook(delivery.webhookId);
+    const now = Date.now();
+    if (!webhook) {
+      await store.updateDelivery(delivery.id, { status: "dead", lastError: "webhook removed", nextAttemptAt: null });
+      return;
+    }
+    const body = JSON.stringify(delivery.payload);
+    const started = Date.now();
+    let status = null;
+    let error = null;
+    try {
+      const res = await fetchImpl(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "AppBound-Webhooks/1",
+          "AppBound-Event": delivery.event,
+          "AppBound-Delivery": delivery.id,
+          [SIGNATURE_HEADER]: signPayload(webhook.secret, body)
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      status = res.status;
+      if (!res.ok) error = `HTTP ${res.status}`;
+    } catch (e) {
+      error = e.name === "TimeoutError" ? `timed out after ${timeoutMs} ms` : e.cause?.code || e.message;
+    }
+    const attempts = delivery.attempts + 1;
+    const log = [...delivery.log, { at: now, status, error, durationMs: Date.now() - started }].slice(-LOG_LIMIT);
+    const patch = { attempts, log, lastStatus: status, lastError: error };
+    if (!error) Object.assign(patch, { status: "delivered", deliveredAt: Date.now(), nextAttemptAt: null });
+    else if (attempts >= maxAttempts) Object.assign(patch, { status: "dead", nextAttemptAt: null });
+    else patch.nextAttemptAt = Date.now() + retryDelay(attempts);
+    await store.updateDelivery(delivery.id, patch);
+  }
+
+  /** Sends every due delivery; concurrent calls coalesce into one follow-up run. */
+  function processDue() {
+    if (processing) {
+      pending = true;
+      return processing;
+    }
+    processing = (async () => {
+      try {
+        do {
+          pending = false;
+          for (;;) {
+            const due = await store.dueDeliveries(Date.now(), 20);
+            if (!due.length) break;
+            for (const delivery of due) await attempt(delivery);
+          }
+        } while (pending);
+      } finally {
+        processing = null;
+      }
+    })();
+    return processing;
+  }
+
+  function kick() {
+    processDue().catch((e) => console.error("Webhook delivery failed:", e));
+  }
+
+  /** Queues `type` for every active webhook of appId subscribed to it. Resolves the number queued. */
+  async function emit(appId, type, data, eventId) {
+    const webhooks = (await store.listWebhooks({ appId })).filter((w) => w.active && w.events.includes(type));
+    let queued = 0;
+    for (const webhook of webhooks) {
+      // Expiries are found by scanning, so only report those after the webhook was registered.
+      if (type === "license.expired" && data.expiry * 1000 < webhook.createdAt) continue;
+      const id = crypto.randomUUID();
+      const createdAt = Date.now();
+      const inserted = await store.insertDelivery({
+        id,
+        webhookId: webhook.id,
+        appId,
+        event: type,
+        eventId,
+        payload: { id, type, createdAt: Math.floor(createdAt / 1000), appId, data },
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: createdAt,
+        lastStatus: null,
+        lastError: null,
+        log: [],
+        createdAt,
+        deliveredAt: null
+      });
+      if (inserted) queued++;
+    }
+    if (queued) kick();
+    return queued;
+  }
+
+  return {
+    emit,
+    processDue,
+
+    async register({ appId, url, events }) {
+      if (!appId) throw new WebhookError("appId required", "APP_ID_REQUIRED");
+      const webhook = {
+        id: crypto.randomUUID(),
+        appId,
+        url: checkUrl(url),
+        secret: `whsec_${crypto.randomBytes(24).toString("base64url")}`,
+        events: checkEvents(events),
+        active: true,
+        createdAt: Date.now()
+      };
+      await store.insertWebhook(webhook);
+      return webhook;
+    },
+
+    async list(filter = {}) {
+      return (await store.listWebhooks(filter)).map(publicWebhook);
+    },
+
+    async get(id) {
+      const webhook = await store.getWebhook(id);
+      if (!webhook) throw new WebhookError("Unknown webhook", "UNKNOWN_WEBHOOK");
+      return publicWebhook(webhook);
+    },
+
+    /** patch: { url?, events?, active? } */
+    async update(id, { url, events, active }) {
+      if (!(await store.getWebhook(id))) throw new WebhookError("Unknown webhook", "UNKNOWN_WEBHOOK");
+      const patch = {};
+      if (url !== undefined) patch.url = checkUrl(url);
+      if (events !== undefined) patch.events = checkEvents(events);
+      if (active !== undefined) patch.active = Boolean(active);
+      await store.updateWebhook(id, patch);
+      return publicWebhook(await store.getWebhook(id));
+    },
+
+    async rotateSecret(id) {
+      if (!(await store.getWebhook(id))) throw new WebhookError("Unknown webhook", "UNKNOWN_WEBHOOK");
+      const secret = `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+      await store.updateWebhook(id, { secret });
+      return { ...publicWebhook(await store.getWebhook(id)), secret };
+    },
+
+    async remove(id) {
+      if (!(await store.deleteWebhook(id))) throw new WebhookError("Unknown webhook", "UNKNOWN_WEBHOOK");
+    },
+
+    /** Delivery log; filter: { webhookId?, appId?, status? } (status "dead" is the dead-letter queue). */
+    deliveries(filter = {}, limit = 100) {
+      return store.listDeliveries(filter, limit);
+    },
+
+    async delivery(id) {
+      const delivery = await store.getDelivery(id);
+      if (!delivery) throw new WebhookError("Unknown delivery", "UNKNOWN_DELIVERY");
+      return delivery;
+    },
+
+    /** Sends a delivery again now, whatever its status; attempts restart from zero. Resolves the updated delivery. */
+    async redeliver(id) {
+      if (!(await store.getDelivery(id))) throw new WebhookError("Unknown delivery", "UNKNOWN_DELIVERY");
+      await store.updateDelivery(id, { status: "pending", attempts: 0, nextAttemptAt: Date.now() });
+      await processDue();
+      return store.getDelivery(id);
+    },
+
+    /**
+     * Emits webhooks for one deployment's indexer ({ indexer, contract,
+     * chainId, address }). Returns its expiry scan, to pass to start().
+     */
+    watchDeployment({ indexer, contract, chainId, address }) {
+      const eventId = ({ txHash, logIndex }) => `${chainId}:${address}:${txHash}:${logIndex}`;
+
+      // The license as stored on chain; a burned license is gone, so the indexed record stands in.
+      async function licenseData(tokenId, fallback) {
+        const lic = await contract.licenses(tokenId).catch(() => null);
+        const redeemed = Boolean(indexer.getToken(tokenId)?.redeemed);
+        const base = { tokenId, chainId, contract: address, redeemed };
+        if (!lic?.appId) return { ...base, appId: fallback.appId, expiry: fallback.expiry ?? 0 };
+        return { ...base, appId: lic.appId, expiry: Number(lic.expiry), soulbound: lic.soulbound, ephemeral: lic.ephemeral, seats: Number(lic.seats) };
+      }
+
+      function forward(type, event, extra) {
+        licenseData(event.tokenId, event)
+          .then((data) => emit(data.appId, type, { ...data, ...extra, txHash: event.txHash, blockNumber: event.blockNumber }, eventId(event)))
+          .catch((e) => console.error(`Webhook ${type} for #${event.tokenId} failed:`, e));
+      }
+
+      indexer.on("license", (e) => {
+        if (e.from) forward("license.transferred", e, { owner: e.owner, from: e.from, to: e.owner });
+        else forward("license.minted", e, { owner: e.owner });
+      });
+      indexer.on("redeem", (e) => forward("license.redeemed", e, { owner: e.wallet }));
+      indexer.on("renew", (e) => forward("license.renewed", e, { owner: e.owner, previousExpiry: e.previousExpiry }));
+      indexer.on("burn", (e) => forward("license.burned", e, { owner: e.owner }));
+
+      let scannedUntil = Math.floor(Date.now() / 1000) - expiryLookbackSeconds;
+      return async function scanExpiries() {
+        const now = Math.floor(Date.now() / 1000);
+        for (const [tokenId, token] of indexer.tokens()) {
+          if (!token.appId || token.revoked || !token.expiry || token.expiry <= scannedUntil || token.expiry > now) continue;
+          const data = { tokenId, appId: token.appId, owner: token.owner, expiry: token.expiry, chainId, contract: address, redeemed: Boolean(token.redeemed) };
+          await emit(token.appId, "license.expired", data, `${chainId}:${address}:expired:${tokenId}:${token.expiry}`);
+        }
+        scannedUntil = now;
+      };
+    },
+
+    /** Retries due deliveries and runs `tasks` (e.g. expiry scans) every pollSeconds. */
+    start(tasks = []) {
+      const tick = async () => {
+        for (const task of tasks) await task();
+        await processDue();
+      };
+      timer = setInterval(() => tick().catch((e) => console.error("Webhook worker failed:", e)), pollSeconds * 1000);
+      timer.unref();
+      kick();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+      return processing;
+    }
+  };
+}
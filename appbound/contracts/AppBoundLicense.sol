@@ -8,22 +8,43 @@ import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/token/common/ERC2981.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
 import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./IERC4907.sol";
+import "./LicenseVouchers.sol";
 
 /**
  * @title Collectible License NFT (Ultimate Edition)
  * @author James Chapman 
  * @notice Fully ERC721-compliant, modular, and highly adoptable license NFT with soulbound, ephemeral, royalty, and batch minting support.
+ * Licenses can be rented out (ERC-4907): the user gets access until the rental expires while the owner keeps the NFT.
+ * Gasless mints and redeems (EIP-712) go through the LicenseVouchers contract this one deploys (vouchers()).
  */
 contract CollectibleLicenseNFT is
     ERC721Enumerable,
     ERC721URIStorage,
     ERC2981,
     AccessControl,
-    ReentrancyGuard
+    ReentrancyGuard,
+    Pausable,
+    IERC4907
 {
     // --- Roles ---
     bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    /// @dev Per-app roles are derived with publisherRole(appId); DEFAULT_ADMIN_ROLE manages them.
+    bytes32 public constant PUBLISHER_ROLE = keccak256("PUBLISHER_ROLE");
+
+    // --- App Registry ---
+    struct App {
+        address publisher; // receives the app's default royalty
+        uint96 royaltyBps;
+        uint64 maxSupply; // 0 = only the global MAX_SUPPLY applies
+        uint64 supply; // live licenses (burns free a slot)
+        string metadataURI;
+    }
+    mapping(bytes32 => App) public apps; // keccak256(appId) => app
+    string[] public registeredAppIds;
 
     // --- License Data ---
     struct License {
@@ -31,22 +52,62 @@ contract CollectibleLicenseNFT is
         uint64 expiry;
         bool soulbound;
         bool ephemeral;
+        uint32 seats; // delegate wallets the owner may assign (team licenses); the owner always has access
     }
     mapping(uint256 => License) public licenses;
     mapping(address => mapping(bytes32 => uint256)) public userAppToken;
     mapping(uint256 => bool) public redeemed;
+    mapping(uint256 => bool) public revoked; // admin-revoked licenses stay as collectibles but grant no access
+    mapping(bytes32 => bool) public appSuspended; // keccak256(appId) => suspended
+
+    // --- Seats ---
+    /// @dev Seat n is slot n-1; freed slots are reused so a delegate keeps its seat number.
+    /// Cleared when the token changes hands. Wallets are found through DelegateSet events.
+    mapping(uint256 => address[]) private _delegates;
+
+    // --- Rentals (ERC-4907) ---
+    struct Rental {
+        address user;
+        uint64 expires;
+    }
+    /// @dev Cleared when the token changes hands, like seats.
+    mapping(uint256 => Rental) private _rentals;
 
     // --- Token Counter ---
     uint256 public nextTokenId;
     uint256 public immutable MAX_SUPPLY;
 
+    // --- Meta-transactions (EIP-712) ---
+    LicenseVouchers public immutable vouchers; // holds MINTER_ROLE; calls redeemFor
+
     // --- Minting Controls ---
     bool public openMinting = false;
     bytes32 public merkleRoot; // For allowlist (optional)
 
+    // --- Metadata ---
+    /// @dev Tokens minted with an empty URI resolve to baseURI + tokenId (e.g. the backend's /metadata/).
+    string public baseURI;
+
+    // --- Subscriptions ---
+    struct RenewalPlan {
+        uint256 price; // wei per period
+        uint64 period; // seconds; 0 = app not renewable
+    }
+    mapping(bytes32 => RenewalPlan) public renewalPlans; // keccak256(appId) => plan
+
     // --- Events ---
     event LicenseMinted(address indexed to, uint256 indexed tokenId, string appId, uint64 expiry);
     event Redeemed(address indexed user, uint256 indexed tokenId);
+    event ExpiryExtended(uint256 indexed tokenId, uint64 previousExpiry, uint64 newExpiry, address indexed payer);
+    event RenewalPlanSet(string appId, uint256 price, uint64 period);
+    event Withdrawn(address indexed to, uint256 amount);
+    event AppRegistered(string appId, address indexed publisher, string metadataURI, uint96 royaltyBps, uint64 maxSupply);
+    event AppUpdated(string appId, string metadataURI, uint96 royaltyBps, uint64 maxSupply);
+    event LicenseRevoked(uint256 indexed tokenId, address indexed owner, string reason);
+    event AppSuspensionSet(string appId, bool suspended);
+    event SeatsSet(uint256 indexed tokenId, uint32 seats);
+    event DelegateSet(uint256 indexed tokenId, address indexed delegate, uint256 seat);
+    event DelegateRemoved(uint256 indexed tokenId, address indexed delegate, uint256 seat);
 
     // --- Constructor ---
     constructor(
@@ -58,11 +119,25 @@ contract CollectibleLicenseNFT is
     ) ERC721(name_, symbol_) {
         _setupRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _setupRole(MINTER_ROLE, msg.sender);
+        _setupRole(TREASURER_ROLE, msg.sender);
         MAX_SUPPLY = maxSupply_;
+        vouchers = new LicenseVouchers(name_);
+        _setupRole(MINTER_ROLE, address(vouchers));
         _setDefaultRoyalty(royaltyReceiver, royaltyFeeNumerator);
     }
 
     // --- Minting ---
+    /// @notice Single-app license mint (AppBoundLicense-compatible): transferable, non-ephemeral, app royalty.
+    function mintTo(
+        address to,
+        string calldata appId,
+        string calldata tokenURI_,
+        uint64 expiry
+    ) external returns (uint256) {
+        require(bytes(appId).length > 0, "appId required");
+        return mintCollectible(to, tokenURI_, appId, expiry, false, false, address(0), 0);
+    }
+
     function mintCollectible(
         address to,
         string calldata tokenURI_,
@@ -72,20 +147,9 @@ contract CollectibleLicenseNFT is
         bool ephemeral,
         address royaltyReceiver,
         uint96 royaltyFraction
-    ) external onlyRole(MINTER_ROLE) returns (uint256) {
-        require(nextTokenId < MAX_SUPPLY, "Max supply reached");
-        uint256 tokenId = ++nextTokenId;
-        _safeMint(to, tokenId);
-        _setTokenURI(tokenId, tokenURI_);
-
-        // License logic
-        if (bytes(appId).length > 0) {
-            bytes32 aHash = keccak256(bytes(appId));
-            require(userAppToken[to][aHash] == 0, "User already owns this app");
-            licenses[tokenId] = License(appId, expiry, soulbound, ephemeral);
-            userAppToken[to][aHash] = tokenId;
-            emit LicenseMinted(to, tokenId, appId, expiry);
-        }
+    ) public returns (uint256) {
+        require(canMint(msg.sender, appId), "Not a minter for this app");
+        uint256 tokenId = _mintLicense(to, tokenURI_, appId, expiry, soulbound, ephemeral);
 
         // Royalty logic
         if (royaltyReceiver != address(0)) {
@@ -104,7 +168,6 @@ contract CollectibleLicenseNFT is
         bytes32[] calldata merkleProof
     ) external nonReentrant returns (uint256) {
         require(openMinting, "Open minting disabled");
-        require(nextTokenId < MAX_SUPPLY, "Max supply reached");
 
         // Optional allowlist check
         if (merkleRoot != 0) {
@@ -112,18 +175,38 @@ contract CollectibleLicenseNFT is
             require(MerkleProof.verify(merkleProof, merkleRoot, leaf), "Not allowlisted");
         }
 
-        uint256 tokenId = ++nextTokenId;
-        _safeMint(msg.sender, tokenId);
-        _setTokenURI(tokenId, tokenURI_);
+        return _mintLicense(msg.sender, tokenURI_, appId, expiry, soulbound, ephemeral);
+    }
+
+    function _mintLicense(
+        address to,
+        string calldata tokenURI_,
+        string calldata appId,
+        uint64 expiry,
+        bool soulbound,
+        bool ephemeral
+    ) internal returns (uint256 tokenId) {
+        require(nextTokenId < MAX_SUPPLY, "Max supply reached");
+        tokenId = ++nextTokenId;
+        _safeMint(to, tokenId);
+        if (bytes(tokenURI_).length > 0) _setTokenURI(tokenId, tokenURI_);
 
+        // License logic
         if (bytes(appId).length > 0) {
             bytes32 aHash = keccak256(bytes(appId));
-            require(userAppToken[msg.sender][aHash] == 0, "User already owns this app");
-            licenses[tokenId] = License(appId, expiry, soulbound, ephemeral);
-            userAppToken[msg.sender][aHash] = tokenId;
-            emit LicenseMinted(msg.sender, tokenId, appId, expiry);
+            App storage app = apps[aHash];
+            require(app.publisher != address(0), "Unknown app");
+            require(!appSuspended[aHash], "App suspended");
+            require(app.maxSupply == 0 || app.supply < app.maxSupply, "App supply reached");
+            require(userAppToken[to][aHash] == 0, "User already owns this app");
+            app.supply++;
+            if (app.royaltyBps > 0) {
+                _setTokenRoyalty(tokenId, app.publisher, app.royaltyBps);
+            }
+            licenses[tokenId] = License(appId, expiry, soulbound, ephemeral, 0);
+            userAppToken[to][aHash] = tokenId;
+            emit LicenseMinted(to, tokenId, appId, expiry);
         }
-        return tokenId;
     }
 
     // --- Batch Minting ---
@@ -136,7 +219,7 @@ contract CollectibleLicenseNFT is
         bool[] calldata ephemerals,
         address[] calldata royaltyReceivers,
         uint96[] calldata royaltyFractions
-    ) external onlyRole(MINTER_ROLE) {
+    ) external {
         require(
             recipients.length == uris.length &&
             uris.length == appIds.length &&
@@ -162,23 +245,145 @@ contract CollectibleLicenseNFT is
     }
 
     // --- Redeem Ephemeral Content ---
-    function redeem(uint256 tokenId) external nonReentrant {
-        require(ownerOf(tokenId) == msg.sender, "Not owner");
-        License memory lic = licenses[tokenId];
-        require(lic.ephemeral, "Not ephemeral");
+    function redeem(uint256 tokenId) external whenNotPaused {
+        _requireOwner(tokenId);
+        _redeem(msg.sender, tokenId);
+    }
+
+    /// @notice Signed redeem, submitted through vouchers.redeemWithSig once it has checked the owner's signature.
+    function redeemFor(address owner, uint256 tokenId) external whenNotPaused {
+        require(msg.sender == address(vouchers), "Not the vouchers contract");
+        _redeem(owner, tokenId);
+    }
+
+    function _redeem(address owner, uint256 tokenId) internal {
+        require(licenses[tokenId].ephemeral, "Not ephemeral");
         require(!redeemed[tokenId], "Already redeemed");
+        require(!revoked[tokenId], "License revoked");
+        require(!appSuspended[keccak256(bytes(licenses[tokenId].appId))], "App suspended");
 
         redeemed[tokenId] = true;
-        emit Redeemed(msg.sender, tokenId);
+        emit Redeemed(owner, tokenId);
+    }
+
+    // --- Renewals ---
+    /// @notice Pays for `periods` more periods of the app's plan. Extends from the current expiry,
+    /// or from now when the license has already lapsed. Anyone may pay for any license.
+    function renew(uint256 tokenId, uint32 periods) external payable whenNotPaused {
+        License storage lic = licenses[tokenId];
+        _requireLicense(tokenId);
+        require(!revoked[tokenId], "License revoked");
+        require(lic.expiry != 0, "License is perpetual");
+        RenewalPlan memory plan = renewalPlans[keccak256(bytes(lic.appId))];
+        require(plan.period > 0, "App not renewable");
+        require(periods > 0, "periods required");
+        require(msg.value == plan.price * periods, "Wrong payment");
+
+        uint64 base = lic.expiry > block.timestamp ? lic.expiry : uint64(block.timestamp);
+        _setExpiry(tokenId, base + plan.period * periods);
+    }
+
+    /// @notice Minter override, e.g. for off-chain payments or support credits.
+    function extendExpiry(uint256 tokenId, uint64 newExpiry) external onlyRole(MINTER_ROLE) {
+        License storage lic = licenses[tokenId];
+        _requireLicense(tokenId);
+        require(lic.expiry != 0 && newExpiry > lic.expiry, "Expiry must increase");
+        _setExpiry(tokenId, newExpiry);
+    }
+
+    function _setExpiry(uint256 tokenId, uint64 newExpiry) internal {
+        License storage lic = licenses[tokenId];
+        emit ExpiryExtended(tokenId, lic.expiry, newExpiry, msg.sender);
+        lic.expiry = newExpiry;
+    }
+
+    // --- Revocation ---
+    /// @notice Admin revoke (chargeback, abuse): the token stays with its owner but no longer
+    /// resolves through userAppToken/checkLicense, and cannot be renewed or redeemed.
+    function revokeLicense(uint256 tokenId, string calldata reason) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        License memory lic = licenses[tokenId];
+        _requireLicense(tokenId);
+        require(!revoked[tokenId], "Already revoked");
+        revoked[tokenId] = true;
+        address owner = ownerOf(tokenId);
+        bytes32 aHash = keccak256(bytes(lic.appId));
+        if (userAppToken[owner][aHash] == tokenId) {
+            delete userAppToken[owner][aHash];
+        }
+        emit LicenseRevoked(tokenId, owner, reason);
+    }
+
+    // --- Seats (delegated wallets) ---
+    /// @notice Seat cap for a team license; set by the app's publisher or an admin.
+    function setSeats(uint256 tokenId, uint32 seats) external onlyAppAdmin(licenses[tokenId].appId) {
+        require(seats >= _delegates[tokenId].length, "Seats in use");
+        licenses[tokenId].seats = seats;
+        emit SeatsSet(tokenId, seats);
+    }
+
+    /// @notice Assigns `delegate` to a free seat. Works for soulbound licenses; the NFT does not move.
+    function setDelegate(uint256 tokenId, address delegate) external returns (uint256 seat) {
+        _requireOwner(tokenId);
+        require(delegate != address(0) && delegate != msg.sender && seatOf(tokenId, delegate) == 0, "Invalid delegate");
+        address[] storage list = _delegates[tokenId];
+        while (seat < list.length && list[seat] != address(0)) seat++;
+        require(seat < licenses[tokenId].seats, "No free seat");
+        if (seat == list.length) list.push(delegate);
+        else list[seat] = delegate;
+        emit DelegateSet(tokenId, delegate, ++seat);
+    }
+
+    function removeDelegate(uint256 tokenId, address delegate) external {
+        _requireOwner(tokenId);
+        uint256 seat = seatOf(tokenId, delegate);
+        require(seat != 0, "Not a delegate");
+        address[] storage list = _delegates[tokenId];
+        delete list[seat - 1];
+        while (list.length > 0 && list[list.length - 1] == address(0)) list.pop();
+        emit DelegateRemoved(tokenId, delegate, seat);
+    }
+
+    /// @notice Seat holders of a license; index i is seat i+1, address(0) marks a free seat.
+    function delegatesOf(uint256 tokenId) external view returns (address[] memory) {
+        return _delegates[tokenId];
+    }
+
+    /// @notice Seat (1-based) `wallet` holds on a license, 0 when it is not a delegate.
+    function seatOf(uint256 tokenId, address wallet) public view returns (uint256) {
+        address[] storage list = _delegates[tokenId];
+        for (uint256 i = 0; i < list.length; i++) {
+            if (list[i] == wallet) return i + 1;
+        }
+        return 0;
+    }
+
+    // --- Rentals (ERC-4907) ---
+    /// @notice Rents the license to `user` until `expires`; user address(0) ends a rental. Soulbound licenses cannot be rented.
+    function setUser(uint256 tokenId, address user, uint64 expires) external whenNotPaused {
+        require(_isApprovedOrOwner(msg.sender, tokenId), "Not owner");
+        require(!licenses[tokenId].soulbound, "Token is soulbound");
+        _rentals[tokenId] = Rental(user, expires);
+        emit UpdateUser(tokenId, user, expires);
+    }
+
+    function userOf(uint256 tokenId) external view returns (address) {
+        return _rentals[tokenId].expires >= block.timestamp ? _rentals[tokenId].user : address(0);
+    }
+
+    function userExpires(uint256 tokenId) external view returns (uint256) {
+        return _rentals[tokenId].expires;
     }
 
     // --- Burn ---
-    function burn(uint256 tokenId) external nonReentrant {
-        require(ownerOf(tokenId) == msg.sender, "Not owner");
+    function burn(uint256 tokenId) external {
+        _requireOwner(tokenId);
         License memory lic = licenses[tokenId];
         if (bytes(lic.appId).length > 0) {
             bytes32 aHash = keccak256(bytes(lic.appId));
-            delete userAppToken[msg.sender][aHash];
+            if (userAppToken[msg.sender][aHash] == tokenId) {
+                delete userAppToken[msg.sender][aHash];
+            }
+            apps[aHash].supply--;
             delete licenses[tokenId];
         }
         _burn(tokenId);
@@ -190,6 +395,14 @@ contract CollectibleLicenseNFT is
         override(ERC721, ERC721Enumerable)
     {
         super._beforeTokenTransfer(from, to, tokenId, batchSize);
+        _requireNotPaused(); // covers mint, transfer and burn
+        if (from != address(0)) {
+            delete _delegates[tokenId]; // seats belong to the owner, not the token
+            if (_rentals[tokenId].user != address(0)) {
+                delete _rentals[tokenId];
+                emit UpdateUser(tokenId, address(0), 0);
+            }
+        }
         if (from != address(0) && to != address(0)) {
             require(!licenses[tokenId].soulbound, "Token is soulbound");
             // Update license mapping
@@ -199,11 +412,90 @@ contract CollectibleLicenseNFT is
                 if (userAppToken[from][aHash] == tokenId) {
                     delete userAppToken[from][aHash];
                 }
-                userAppToken[to][aHash] = tokenId;
+                if (!revoked[tokenId]) {
+                    userAppToken[to][aHash] = tokenId;
+                }
             }
         }
     }
 
+    // --- Views ---
+    /// @notice Full license view for a wallet/app pair; tokenId is 0 when the wallet holds no license.
+    function checkLicense(address user, string calldata appId)
+        external
+        view
+        returns (
+            uint256 tokenId,
+            string memory metadataURI,
+            uint64 expiry,
+            bool soulbound,
+            bool ephemeral,
+            bool isRedeemed
+        )
+    {
+        tokenId = userAppToken[user][keccak256(bytes(appId))];
+        if (tokenId != 0) {
+            License memory lic = licenses[tokenId];
+            metadataURI = tokenURI(tokenId);
+            expiry = lic.expiry;
+            soulbound = lic.soulbound;
+            ephemeral = lic.ephemeral;
+            isRedeemed = redeemed[tokenId];
+        }
+    }
+
+    // --- App Registry ---
+    /// @notice Registers an app and grants `publisher` its publisher role. The publisher can mint,
+    /// sign vouchers, set renewal plans and update metadata for this app only.
+    function registerApp(
+        string calldata appId,
+        address publisher,
+        string calldata metadataURI,
+        uint96 royaltyBps,
+        uint64 maxSupply
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        bytes32 aHash = keccak256(bytes(appId));
+        require(bytes(appId).length > 0 && publisher != address(0), "appId and publisher required");
+        require(apps[aHash].publisher == address(0), "App exists");
+        require(royaltyBps <= _feeDenominator(), "Royalty too high");
+        apps[aHash] = App(publisher, royaltyBps, maxSupply, 0, metadataURI);
+        registeredAppIds.push(appId);
+        _grantRole(publisherRole(appId), publisher);
+        emit AppRegistered(appId, publisher, metadataURI, royaltyBps, maxSupply);
+    }
+
+    function updateApp(string calldata appId, string calldata metadataURI, uint96 royaltyBps, uint64 maxSupply)
+        external
+        onlyAppAdmin(appId)
+    {
+        App storage app = apps[keccak256(bytes(appId))];
+        require(app.publisher != address(0), "Unknown app");
+        require(royaltyBps <= _feeDenominator(), "Royalty too high");
+        require(maxSupply == 0 || maxSupply >= app.supply, "Below current supply");
+        app.metadataURI = metadataURI;
+        app.royaltyBps = royaltyBps;
+        app.maxSupply = maxSupply;
+        emit AppUpdated(appId, metadataURI, royaltyBps, maxSupply);
+    }
+
+    function appCount() external view returns (uint256) {
+        return registeredAppIds.length;
+    }
+
+    function publisherRole(string memory appId) public pure returns (bytes32) {
+        return keccak256(abi.encode(PUBLISHER_ROLE, keccak256(bytes(appId))));
+    }
+
+    /// @notice MINTER_ROLE mints for any app; a publisher only for its own.
+    function canMint(address account, string memory appId) public view returns (bool) {
+        return hasRole(MINTER_ROLE, account) || hasRole(publisherRole(appId), account);
+    }
+
+    modifier onlyAppAdmin(string memory appId) {
+        require(hasRole(DEFAULT_ADMIN_ROLE, msg.sender) || hasRole(publisherRole(appId), msg.sender), "Not the app's admin or publisher");
+        _;
+    }
+
     // --- Admin Controls ---
     function setOpenMinting(bool enabled) external onlyRole(DEFAULT_ADMIN_ROLE) {
         openMinting = enabled;
@@ -213,18 +505,72 @@ contract CollectibleLicenseNFT is
         merkleRoot = root;
     }
 
+    /// @notice Base for tokens without a stored URI; emits ERC-4906 so marketplaces refresh every token.
+    function setBaseURI(string calldata uri) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        baseURI = uri;
+        emit BatchMetadataUpdate(1, type(uint256).max);
+    }
+
     function setDefaultRoyalty(address receiver, uint96 feeNumerator) external onlyRole(DEFAULT_ADMIN_ROLE) {
         _setDefaultRoyalty(receiver, feeNumerator);
     }
 
+    /// @notice Emergency stop for minting, transfers, burns, renewals and redemptions.
+    function pause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _pause();
+    }
+
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _unpause();
+    }
+
+    /// @notice Suspending an app blocks new mints and redemptions for it; the backend also stops issuing sessions.
+    function setAppSuspended(string calldata appId, bool suspended) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        appSuspended[keccak256(bytes(appId))] = suspended;
+        emit AppSuspensionSet(appId, suspended);
+    }
+
+    /// @notice Sets the renewal price (wei) and period (seconds) for an app; period 0 disables renewals.
+    function setRenewalPlan(string calldata appId, uint256 price, uint64 period) external onlyAppAdmin(appId) {
+        renewalPlans[keccak256(bytes(appId))] = RenewalPlan(price, period);
+        emit RenewalPlanSet(appId, price, period);
+    }
+
+    function renewalPlan(string calldata appId) external view returns (uint256 price, uint64 period) {
+        RenewalPlan memory plan = renewalPlans[keccak256(bytes(appId))];
+        return (plan.price, plan.period);
+    }
+
+    /// @notice Sends all renewal proceeds to `to`.
+    function withdraw(address payable to) external onlyRole(TREASURER_ROLE) nonReentrant {
+        uint256 amount = address(this).balance;
+        require(amount > 0, "Nothing to withdraw");
+        (bool ok, ) = to.call{value: amount}("");
+        require(ok, "Withdraw failed");
+        emit Withdrawn(to, amount);
+    }
+
+    function _requireOwner(uint256 tokenId) internal view {
+        require(ownerOf(tokenId) == msg.sender, "Not owner");
+    }
+
+    function _requireLicense(uint256 tokenId) internal view {
+        require(bytes(licenses[tokenId].appId).length > 0, "Not a license");
+    }
+
     // --- Required Overrides ---
+    /// @dev OZ's default message hex-encodes account and role, which costs ~1.4 KB of bytecode.
+    function _checkRole(bytes32 role, address account) internal view override {
+        require(hasRole(role, account), "AccessControl: missing role");
+    }
+
     function supportsInterface(bytes4 interfaceId)
         public
         view
-        override(ERC721, ERC721Enumerable, ERC2981, AccessControl)
+        override(ERC721Enumerable, ERC721URIStorage, ERC2981, AccessControl)
         returns (bool)
     {
-        return super.supportsInterface(interfaceId);
+        return interfaceId == type(IERC4907).interfaceId || super.supportsInterface(interfaceId);
     }
 
     function _burn(uint256 tokenId) internal override(ERC721, ERC721URIStorage) {
@@ -236,8 +582,10 @@ contract CollectibleLicenseNFT is
         public
         view
         override(ERC721, ERC721URIStorage)
-        returns (string memory)
+        returns (string memory uri)
     {
-        return super.tokenURI(tokenId);
+        // _baseURI() stays empty so stored URIs are returned as they are, not appended to baseURI.
+        uri = super.tokenURI(tokenId);
+        if (bytes(uri).length == 0 && bytes(baseURI).length > 0) uri = string.concat(baseURI, Strings.toString(tokenId));
     }
 }
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: CC0-1.0
+pragma solidity ^0.8.21;
+
+/// @title ERC-4907 rentable NFT: a time-limited "user" role separate from the owner.
+/// @dev Interface id 0xad092b5c. See https://eips.ethereum.org/EIPS/eip-4907
+interface IERC4907 {
+    /// @notice Emitted when the user of an NFT or its expiry changes; user is address(0) when cleared.
+    event UpdateUser(uint256 indexed tokenId, address indexed user, uint64 expires);
+
+    /// @notice Sets the user and expiry (unix seconds) of an NFT. Owner or approved only.
+    function setUser(uint256 tokenId, address user, uint64 expires) external;
+
+    /// @notice Current user, or address(0) when there is none or the rental has expired.
+    function userOf(uint256 tokenId) external view returns (address);
+
+    /// @notice Expiry of the current user's rental (unix seconds).
+    function userExpires(uint256 tokenId) external view returns (uint256);
+}
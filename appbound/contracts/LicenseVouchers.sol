@@ -0,0 +1,87 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.21;
+
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./AppBoundLicense.sol";
+
+/**
+ * @title License Vouchers
+ * @notice EIP-712 meta-transactions for a CollectibleLicenseNFT: minter- or publisher-signed mint vouchers
+ * and owner-signed redeems, which anyone (e.g. the backend relayer) can submit.
+ * @dev Deployed by the license contract, which exposes it as vouchers(). It mints through the MINTER_ROLE
+ * the license grants it and redeems through redeemFor. Kept out of the license contract for its 24 KB
+ * (EIP-170) limit.
+ */
+contract LicenseVouchers is EIP712, ReentrancyGuard {
+    /// @dev A minter- or publisher-signed mint anyone can submit; `nonce` is any value the signer has not used yet.
+    struct MintVoucher {
+        address to;
+        string appId;
+        string tokenURI;
+        uint64 expiry;
+        bool soulbound;
+        bool ephemeral;
+        uint256 nonce;
+        uint256 deadline;
+    }
+    bytes32 public constant MINT_VOUCHER_TYPEHASH =
+        keccak256("MintVoucher(address to,string appId,string tokenURI,uint64 expiry,bool soulbound,bool ephemeral,uint256 nonce,uint256 deadline)");
+    bytes32 public constant REDEEM_TYPEHASH = keccak256("Redeem(uint256 tokenId,address owner,uint256 nonce,uint256 deadline)");
+
+    CollectibleLicenseNFT public immutable license;
+    mapping(address => mapping(uint256 => bool)) public voucherUsed; // signer => nonce => used or cancelled
+    mapping(address => uint256) public nonces; // sequential per-owner nonces for signed redeems
+
+    event VoucherRedeemed(address indexed signer, uint256 indexed nonce, uint256 indexed tokenId);
+    event VoucherCancelled(address indexed signer, uint256 indexed nonce);
+
+    /// @param name EIP-712 domain name; the license passes its own token name.
+    constructor(string memory name) EIP712(name, "1") {
+        license = CollectibleLicenseNFT(msg.sender);
+    }
+
+    /// @notice Mints the license described by a minter- or publisher-signed voucher; callable by anyone (e.g. a relayer).
+    function mintWithVoucher(MintVoucher calldata v, bytes calldata signature) external nonReentrant returns (uint256 tokenId) {
+        require(block.timestamp <= v.deadline, "Voucher expired");
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    MINT_VOUCHER_TYPEHASH,
+                    v.to,
+                    keccak256(bytes(v.appId)),
+                    keccak256(bytes(v.tokenURI)),
+                    v.expiry,
+                    v.soulbound,
+                    v.ephemeral,
+                    v.nonce,
+                    v.deadline
+                )
+            )
+        );
+        address signer = ECDSA.recover(digest, signature);
+        require(license.canMint(signer, v.appId), "Invalid voucher signer");
+        require(!voucherUsed[signer][v.nonce], "Voucher used");
+
+        voucherUsed[signer][v.nonce] = true;
+        tokenId = license.mintCollectible(v.to, v.tokenURI, v.appId, v.expiry, v.soulbound, v.ephemeral, address(0), 0);
+        emit VoucherRedeemed(signer, v.nonce, tokenId);
+    }
+
+    /// @notice Voids the caller's own voucher `nonce` before it is used; a minter or publisher cancels what it signed.
+    function cancelVoucher(uint256 nonce) external {
+        require(!voucherUsed[msg.sender][nonce], "Voucher used");
+        voucherUsed[msg.sender][nonce] = true;
+        emit VoucherCancelled(msg.sender, nonce);
+    }
+
+    /// @notice Gasless redeem: the owner signs an EIP-712 Redeem with their next nonce; anyone may submit it.
+    function redeemWithSig(uint256 tokenId, uint256 deadline, bytes calldata signature) external {
+        require(block.timestamp <= deadline, "Signature expired");
+        address owner = license.ownerOf(tokenId);
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(REDEEM_TYPEHASH, tokenId, owner, nonces[owner]++, deadline)));
+        require(ECDSA.recover(digest, signature) == owner, "Invalid signature");
+        license.redeemFor(owner, tokenId);
+    }
+}
@@ -0,0 +1,24 @@
+// frontend/lib/poll.js
+// Polling shared by the pages. Every wait has a deadline, so a dropped
+// transaction or a stalled backend ends in an error message, not a spinner.
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Calls check() every intervalMs until it returns something other than undefined; throws after timeoutMs. */
+export async function poll(check, { what, timeoutMs = 2 * 60 * 1000, intervalMs = 1500 }) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result !== undefined) return result;
+    await sleep(intervalMs);
+  }
+  throw new Error(`Timed out waiting for ${what}`);
+}
+
+/** Receipt of a transaction sent through window.ethereum. */
+export function waitForReceipt(hash, { timeoutMs = 5 * 60 * 1000 } = {}) {
+  return poll(
+    async () => (await window.ethereum.request({ method: "eth_getTransactionReceipt", params: [hash] })) ?? undefined,
+    { what: `transaction ${hash}`, timeoutMs }
+  );
+}
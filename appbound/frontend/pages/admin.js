@@ -0,0 +1,316 @@
+
+// frontend/pages/admin.js
+// License management: app registry, licenses per app and minting through the backend admin API.
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { formatEther, parseEther } from "viem";
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || "http://localhost:5000";
+const EMPTY_APP = { appId: "", publisher: "", metadataURI: "", royaltyBps: "", maxSupply: "" };
+const EMPTY_MINT = { to: "", appId: "", tokenURI: "", expiry: "", soulbound: false, ephemeral: false, royaltyReceiver: "", royaltyBps: "" };
+
+function toUnix(datetimeLocal) {
+  return datetimeLocal ? Math.floor(new Date(datetimeLocal).getTime() / 1000) : 0;
+}
+
+function formatExpiry(expiry) {
+  return expiry === 0 ? "perpetual" : new Date(expiry * 1000).toLocaleString();
+}
+
+// One license per line: to,appId,tokenURI[,expiryUnix[,soulbound[,ephemeral]]]
+function parseBulk(text) {
+  return text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [to, appId, tokenURI, expiry, soulbound, ephemeral] = line.split(",").map((v) => v.trim());
+      return { to, appId, tokenURI, expiry: Number(expiry || 0), soulbound: soulbound === "true", ephemeral: ephemeral === "true" };
+    });
+}
+
+export default function Admin() {
+  const [adminKey, setAdminKey] = useState("");
+  const [info, setInfo] = useState(null);
+  const [apps, setApps] = useState({});
+  const [suspendedApps, setSuspendedApps] = useState([]);
+  const [nextOffset, setNextOffset] = useState(null);
+  const [registry, setRegistry] = useState([]);
+  const [newApp, setNewApp] = useState(EMPTY_APP);
+  const [mint, setMint] = useState(EMPTY_MINT);
+  const [bulk, setBulk] = useState("");
+  const [plan, setPlan] = useState({ appId: "", priceEth: "", periodDays: "" });
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    setAdminKey(sessionStorage.getItem("appbound-admin-key") || "");
+  }, []);
+
+  function api() {
+    return axios.create({ baseURL: `${API_URL}/api/admin`, headers: { "x-admin-key": adminKey } });
+  }
+
+  async function run(label, fn) {
+    setMessage(`⏳ ${label}...`);
+    try {
+      const result = await fn();
+      setMessage(`✅ ${label}` + (result?.txHash ? ` — tx ${result.txHash}` : ""));
+      await refresh();
+    } catch (e) {
+      setMessage(`❌ ${label}: ` + (e.response?.data?.error || e.message));
+    }
+  }
+
+  async function refresh() {
+    sessionStorage.setItem("appbound-admin-key", adminKey);
+    const [contract, licenses, registered] = await Promise.all([
+      api().get("/contract"),
+      api().get("/licenses"),
+      axios.get(`${API_URL}/api/apps`)
+    ]);
+    setInfo(contract.data);
+    setRegistry(registered.data.apps);
+    setApps(licenses.data.apps);
+    setSuspendedApps(licenses.data.suspendedApps || []);
+    setNextOffset(licenses.data.nextOffset ?? null);
+  }
+
+  // The license listing is paged; appends the next page to the groups shown.
+  async function loadMore() {
+    try {
+      const { data } = await api().get("/licenses", { params: { offset: nextOffset } });
+      setApps((shown) => {
+        const merged = { ...shown };
+        for (const [appId, licenses] of Object.entries(data.apps)) merged[appId] = [...(merged[appId] || []), ...licenses];
+        return merged;
+      });
+      setSuspendedApps((shown) => [...new Set([...shown, ...(data.suspendedApps || [])])]);
+      setNextOffset(data.nextOffset ?? null);
+    } catch (e) {
+      setMessage("❌ Load licenses: " + (e.response?.data?.error || e.message));
+    }
+  }
+
+  function submitMint(e) {
+    e.preventDefault();
+    run("Mint", async () => {
+      const body = { ...mint, expiry: toUnix(mint.expiry), royaltyBps: Number(mint.royaltyBps || 0) };
+      const { data } = await api().post("/licenses/mint", body);
+      setMint(EMPTY_MINT);
+      return data;
+    });
+  }
+
+  function submitBulk(e) {
+    e.preventDefault();
+    run("Bulk mint", async () => {
+      const { data } = await api().post("/licenses/batch", { licenses: parseBulk(bulk) });
+      setBulk("");
+      return data;
+    });
+  }
+
+  function toggleOpenMint() {
+    run(info.openMinting ? "Disable open mint" : "Enable open mint", async () => {
+      const { data } = await api().post("/open-minting", { enabled: !info.openMinting });
+      return data;
+    });
+  }
+
+  function submitApp(e) {
+    e.preventDefault();
+    run(`Register ${newApp.appId}`, async () => {
+      const body = { ...newApp, royaltyBps: Number(newApp.royaltyBps || 0), maxSupply: Number(newApp.maxSupply || 0) };
+      const { data } = await api().post("/apps", body);
+      setNewApp(EMPTY_APP);
+      return data;
+    });
+  }
+
+  function submitPlan(e) {
+    e.preventDefault();
+    run(`Set ${plan.appId} renewal plan`, async () => {
+      const body = { appId: plan.appId, price: parseEther(plan.priceEth || "0").toString(), period: Math.round(Number(plan.periodDays || 0) * 86400) };
+      const { data } = await api().post("/plans", body);
+      return data;
+    });
+  }
+
+  function withdraw() {
+    run("Withdraw", async () => {
+      const { data } = await api().post("/withdraw", {});
+      return data;
+    });
+  }
+
+  function togglePause() {
+    run(info.paused ? "Unpause" : "Pause", async () => {
+      const { data } = await api().post("/pause", { paused: !info.paused });
+      return data;
+    });
+  }
+
+  function toggleSuspend(appId) {
+    const suspended = !suspendedApps.includes(appId);
+    run(`${suspended ? "Suspend" : "Reinstate"} ${appId}`, async () => {
+      const { data } = await api().post(`/apps/${encodeURIComponent(appId)}/suspend`, { suspended });
+      return data;
+    });
+  }
+
+  function setSeats(lic) {
+    const input = window.prompt(`Delegate seats for license #${lic.tokenId} (0 = owner only):`, String(lic.seats));
+    if (input === null) return;
+    run(`Set seats of #${lic.tokenId}`, async () => {
+      const { data } = await api().post(`/licenses/${lic.tokenId}/seats`, { seats: Number(input) });
+      return data;
+    });
+  }
+
+  function revoke(tokenId) {
+    const reason = window.prompt(`Revoke license #${tokenId}? Reason:`, "chargeback");
+    if (reason === null) return;
+    run(`Revoke #${tokenId}`, async () => {
+      const { data } = await api().post(`/licenses/${tokenId}/revoke`, { reason });
+      return data;
+    });
+  }
+
+  const field = (name, props = {}) => (
+    <input
+      {...props}
+      value={props.type === "checkbox" ? undefined : mint[name]}
+      checked={props.type === "checkbox" ? mint[name] : undefined}
+      onChange={(e) => setMint({ ...mint, [name]: props.type === "checkbox" ? e.target.checked : e.target.value })}
+      style={{ marginRight: 8 }}
+    />
+  );
+
+  return (
+    <div style={{ padding: 20, fontFamily: "system-ui, sans-serif" }}>
+      <h1>AppBound — Admin</h1>
+      <div>
+        <input type="password" placeholder="Admin API key" value={adminKey} onChange={(e) => setAdminKey(e.target.value)} />
+        <button onClick={() => run("Load", refresh)} style={{ marginLeft: 8 }}>Load</button>
+      </div>
+      <pre style={{ marginTop: 20 }}>{message}</pre>
+
+      {info && (
+        <>
+          <p>
+            {info.name} ({info.symbol}) at {info.address} — {info.totalSupply}/{info.maxSupply} minted — signer {info.signer || "not configured"}
+          </p>
+          <p>
+            Contract: <b>{info.paused ? "paused" : "active"}</b>{" "}
+            <button onClick={togglePause}>{info.paused ? "Unpause" : "Pause (emergency stop)"}</button>
+          </p>
+          <p>
+            Open minting: <b>{info.openMinting ? "enabled" : "disabled"}</b>{" "}
+            <button onClick={toggleOpenMint}>{info.openMinting ? "Disable" : "Enable"}</button>
+          </p>
+          <p>
+            Renewal proceeds: <b>{formatEther(BigInt(info.balance))} ETH</b>{" "}
+            <button onClick={withdraw} disabled={info.balance === "0"}>Withdraw to signer</button>
+          </p>
+
+          <h2>Apps</h2>
+          {registry.length === 0 && <p>No apps registered. Licenses can only be minted for registered apps.</p>}
+          {registry.length > 0 && (
+            <table cellPadding={4} style={{ borderCollapse: "collapse" }}>
+              <thead>
+                <tr><th>appId</th><th>Publisher</th><th>Supply</th><th>Royalty</th><th>Metadata</th></tr>
+              </thead>
+              <tbody>
+                {registry.map((a) => (
+                  <tr key={a.appId}>
+                    <td>{a.appId}{a.suspended && <span style={{ color: "crimson" }}> (suspended)</span>}</td>
+                    <td><code>{a.publisher}</code></td>
+                    <td>{a.supply}{a.maxSupply ? ` / ${a.maxSupply}` : ""}</td>
+                    <td>{a.royaltyBps ? `${a.royaltyBps / 100}%` : "default"}</td>
+                    <td>{a.metadataURI}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <form onSubmit={submitApp} style={{ marginTop: 12 }}>
+            <input placeholder="appId" required value={newApp.appId} onChange={(e) => setNewApp({ ...newApp, appId: e.target.value })} style={{ marginRight: 8 }} />
+            <input placeholder="Publisher 0x…" size={44} required value={newApp.publisher} onChange={(e) => setNewApp({ ...newApp, publisher: e.target.value })} style={{ marginRight: 8 }} />
+            <input placeholder="Metadata URI" value={newApp.metadataURI} onChange={(e) => setNewApp({ ...newApp, metadataURI: e.target.value })} style={{ marginRight: 8 }} />
+            <input placeholder="Royalty bps" type="number" min={0} max={10000} value={newApp.royaltyBps} onChange={(e) => setNewApp({ ...newApp, royaltyBps: e.target.value })} style={{ marginRight: 8 }} />
+            <input placeholder="Max supply (0 = none)" type="number" min={0} value={newApp.maxSupply} onChange={(e) => setNewApp({ ...newApp, maxSupply: e.target.value })} style={{ marginRight: 8 }} />
+            <button type="submit">Register app</button>
+          </form>
+
+          <h2>Licenses</h2>
+          {Object.keys(apps).length === 0 && <p>No licenses yet.</p>}
+          {Object.entries(apps).map(([appId, licenses]) => (
+            <div key={appId}>
+              <h3>
+                {appId || "(collectible, no app)"} — {licenses.length}
+                {suspendedApps.includes(appId) && <span style={{ color: "crimson" }}> (suspended)</span>}{" "}
+                {appId && <button onClick={() => toggleSuspend(appId)}>{suspendedApps.includes(appId) ? "Reinstate" : "Suspend"}</button>}
+              </h3>
+              <table cellPadding={4} style={{ borderCollapse: "collapse" }}>
+                <thead>
+                  <tr><th>#</th><th>Owner</th><th>Expiry</th><th>Soulbound</th><th>Ephemeral</th><th>Seats</th><th>Redeemed</th><th>URI</th><th /></tr>
+                </thead>
+                <tbody>
+                  {licenses.map((l) => (
+                    <tr key={l.tokenId}>
+                      <td>{l.tokenId}</td>
+                      <td><code>{l.owner}</code></td>
+                      <td>{formatExpiry(l.expiry)}</td>
+                      <td>{l.soulbound ? "yes" : ""}</td>
+                      <td>{l.ephemeral ? "yes" : ""}</td>
+                      <td>{l.appId && <button onClick={() => setSeats(l)}>{l.seats || "—"}</button>}</td>
+                      <td>{l.redeemed ? "yes" : ""}</td>
+                      <td>{l.tokenURI}</td>
+                      <td>{l.revoked ? <span style={{ color: "crimson" }}>revoked</span> : l.appId && <button onClick={() => revoke(l.tokenId)}>Revoke</button>}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+          {nextOffset !== null && <button onClick={loadMore}>Load more licenses</button>}
+
+          <h2>Mint license</h2>
+          <form onSubmit={submitMint}>
+            <p>
+              {field("to", { placeholder: "Recipient 0x…", size: 44, required: true })}
+              {field("appId", { placeholder: "appId", required: true })}
+              {field("tokenURI", { placeholder: "ipfs://…" })}
+            </p>
+            <p>
+              Expiry {field("expiry", { type: "datetime-local" })}
+              <label>{field("soulbound", { type: "checkbox" })}Soulbound</label>{" "}
+              <label>{field("ephemeral", { type: "checkbox" })}Ephemeral</label>
+            </p>
+            <p>
+              {field("royaltyReceiver", { placeholder: "Royalty receiver (optional)", size: 44 })}
+              {field("royaltyBps", { placeholder: "Royalty bps", type: "number", min: 0, max: 10000 })}
+            </p>
+            <button type="submit">Mint</button>
+          </form>
+
+          <h2>Renewal plan</h2>
+          <form onSubmit={submitPlan}>
+            <p style={{ color: "#666" }}>Price per period; a period of 0 disables renewals for the app.</p>
+            <input placeholder="appId" required value={plan.appId} onChange={(e) => setPlan({ ...plan, appId: e.target.value })} style={{ marginRight: 8 }} />
+            <input placeholder="Price (ETH)" value={plan.priceEth} onChange={(e) => setPlan({ ...plan, priceEth: e.target.value })} style={{ marginRight: 8 }} />
+            <input placeholder="Period (days)" type="number" min={0} value={plan.periodDays} onChange={(e) => setPlan({ ...plan, periodDays: e.target.value })} style={{ marginRight: 8 }} />
+            <button type="submit">Save plan</button>
+          </form>
+
+          <h2>Bulk mint</h2>
+          <form onSubmit={submitBulk}>
+            <p style={{ color: "#666" }}>One per line: <code>to,appId,tokenURI[,expiryUnix[,soulbound[,ephemeral]]]</code></p>
+            <textarea rows={6} cols={100} value={bulk} onChange={(e) => setBulk(e.target.value)} />
+            <p><button type="submit">Mint all</button></p>
+          </form>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,11 +1,84 @@
 
 // frontend/pages/index.js
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import axios from "axios";
+import { getAddress, encodeFunctionData, parseAbi, formatEther, toHex } from "viem";
+import { buildSiweMessage } from "@appbound/sdk/client";
+import { poll, waitForReceipt } from "../lib/poll";
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || "http://localhost:5000";
+const LICENSE_ABI = parseAbi([
+  "function openMint(string tokenURI_, string appId, uint64 expiry, bool soulbound, bool ephemeral, bytes32[] merkleProof) returns (uint256)",
+  "function renew(uint256 tokenId, uint32 periods) payable",
+  "function redeem(uint256 tokenId)"
+]);
+
+function formatRemaining(seconds) {
+  if (seconds === null) return "perpetual";
+  if (seconds === 0) return "expired";
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  return days ? `${days}d ${hours}h` : `${hours}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+// Moves the wallet to the deployment's chain, adding the chain first when the
+// wallet does not know it (error 4902) and the backend published a public RPC URL.
+async function switchChain({ chainId, name, publicRpcUrl }) {
+  const current = parseInt(await window.ethereum.request({ method: "eth_chainId" }), 16);
+  if (current === chainId) return;
+  try {
+    await window.ethereum.request({ method: "wallet_switchEthereumChain", params: [{ chainId: toHex(chainId) }] });
+  } catch (e) {
+    if (e.code !== 4902 || !publicRpcUrl) throw e;
+    await window.ethereum.request({
+      method: "wallet_addEthereumChain",
+      params: [{ chainId: toHex(chainId), chainName: name, rpcUrls: [publicRpcUrl], nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 } }]
+    });
+  }
+}
 
 export default function Home() {
   const [address, setAddress] = useState(null);
   const [message, setMessage] = useState("");
+  const [license, setLicense] = useState(null);
+  const [contentUrl, setContentUrl] = useState(null);
+  const [deployments, setDeployments] = useState([]);
+  const [deployment, setDeployment] = useState(null);
+
+  // Selects the deployment (chain + contract) every API call and transaction targets.
+  const query = () => (deployment ? `?chainId=${deployment.chainId}&contract=${deployment.contract}` : "");
+
+  async function loadLicense() {
+    try {
+      const { data } = await axios.get(`${API_URL}/api/license/demo-app/${address}${query()}`);
+      setLicense(data);
+    } catch {
+      setLicense(null);
+    }
+  }
+
+  useEffect(() => {
+    axios.get(`${API_URL}/api/deployments`).then(({ data }) => {
+      setDeployments(data.deployments);
+      setDeployment(data.deployments.find((d) => d.primary) || data.deployments[0]);
+    });
+  }, []);
+
+  useEffect(() => {
+    if (address && deployment) loadLicense();
+  }, [address, deployment]);
+
+  async function selectDeployment(id) {
+    const next = deployments.find((d) => d.id === id);
+    setDeployment(next);
+    setContentUrl(null);
+    try {
+      await switchChain(next);
+      setMessage(`Switched to ${next.name}`);
+    } catch (e) {
+      setMessage("❌ Could not switch chain: " + e.message);
+    }
+  }
 
   async function connectWallet() {
     if (!window.ethereum) return alert("Install MetaMask");
@@ -13,17 +86,109 @@ export default function Home() {
     setAddress(accounts[0]);
   }
 
+  // Fetches a nonce and has the wallet sign a SIWE message with it, on the selected chain.
+  async function signSiwe(statement) {
+    await switchChain(deployment);
+    const { data: { nonce } } = await axios.get(`${API_URL}/api/nonce`);
+    const chainId = parseInt(await window.ethereum.request({ method: "eth_chainId" }), 16);
+    const message = buildSiweMessage({
+      domain: window.location.host,
+      address: getAddress(address),
+      uri: window.location.origin,
+      chainId,
+      nonce,
+      statement
+    });
+    const signature = await window.ethereum.request({ method: "personal_sign", params: [message, address] });
+    return { message, signature };
+  }
+
   async function checkAccess() {
     if (!address) return alert("Connect wallet first");
     try {
-      const res = await axios.post("http://localhost:5000/api/auth", { wallet: address, appId: "demo-app" });
-      if (res.data.success) setMessage("✅ Access granted — token: " + res.data.accessToken);
+      const { message, signature } = await signSiwe("Sign in to AppBound to access demo-app.");
+      const res = await axios.post(`${API_URL}/api/auth`, { message, signature, appId: "demo-app", chainId: deployment.chainId, contract: deployment.contract });
+      if (res.data.success) setMessage(`✅ Access granted on ${deployment.name} — token: ` + res.data.accessToken);
       else setMessage("❌ No license");
     } catch (e) {
       setMessage("❌ Error: " + (e.response?.data?.error || e.message));
     }
   }
 
+  // Fetches this wallet's allowlist proof from the backend and calls openMint.
+  async function mintLicense() {
+    if (!address) return alert("Connect wallet first");
+    try {
+      setMessage("⏳ Fetching allowlist proof...");
+      await switchChain(deployment);
+      const { data } = await axios.get(`${API_URL}/api/allowlist/${address}/proof${query()}`);
+      if (!data.openMinting) return setMessage("❌ Open minting is disabled");
+      const calldata = encodeFunctionData({
+        abi: LICENSE_ABI,
+        functionName: "openMint",
+        args: ["", "demo-app", 0n, false, false, data.proof]
+      });
+      setMessage("⏳ Confirm the mint in your wallet...");
+      const hash = await window.ethereum.request({ method: "eth_sendTransaction", params: [{ from: address, to: data.contract, data: calldata }] });
+      setMessage("⏳ Waiting for " + hash);
+      const receipt = await waitForReceipt(hash);
+      setMessage(receipt.status === "0x1" ? "✅ Minted demo-app license — tx " + hash : "❌ Mint reverted — tx " + hash);
+      await loadLicense();
+    } catch (e) {
+      setMessage("❌ Error: " + (e.response?.data?.error || e.message));
+    }
+  }
+
+  // Redeems an ephemeral license on chain (skipped if already redeemed), waits for the
+  // backend to index the Redeemed event, then claims the one-time content grant.
+  async function redeemLicense() {
+    try {
+      await switchChain(deployment);
+      if (!license.redeemed) {
+        const calldata = encodeFunctionData({ abi: LICENSE_ABI, functionName: "redeem", args: [BigInt(license.tokenId)] });
+        setMessage("⏳ Confirm the redemption in your wallet...");
+        const hash = await window.ethereum.request({ method: "eth_sendTransaction", params: [{ from: address, to: license.contract, data: calldata }] });
+        setMessage("⏳ Waiting for " + hash);
+        if ((await waitForReceipt(hash)).status !== "0x1") return setMessage("❌ Redeem reverted — tx " + hash);
+      }
+      setMessage("⏳ Waiting for the backend to see the redemption...");
+      const status = await poll(
+        async () => {
+          const { data } = await axios.get(`${API_URL}/api/redemptions/${license.tokenId}${query()}`);
+          return data.status === "unredeemed" ? undefined : data.status;
+        },
+        { what: "the backend to index the redemption; try again shortly" }
+      );
+      if (status === "claimed") return setMessage("❌ This license's content was already unlocked");
+      const { message, signature } = await signSiwe(`Claim the redeemed content of license #${license.tokenId}.`);
+      const { data } = await axios.post(`${API_URL}/api/redemptions/${license.tokenId}/claim${query()}`, { message, signature });
+      setContentUrl(data.contentUrl);
+      setMessage("✅ Content unlocked (single use)");
+      await loadLicense();
+    } catch (e) {
+      setMessage("❌ Error: " + (e.response?.data?.error || e.message));
+    }
+  }
+
+  // Pays for one more period of the app's renewal plan.
+  async function renewLicense() {
+    try {
+      await switchChain(deployment);
+      const calldata = encodeFunctionData({ abi: LICENSE_ABI, functionName: "renew", args: [BigInt(license.tokenId), 1] });
+      setMessage("⏳ Confirm the renewal in your wallet...");
+      const hash = await window.ethereum.request({
+        method: "eth_sendTransaction",
+        params: [{ from: address, to: license.contract, data: calldata, value: toHex(BigInt(license.renewal.price)) }]
+      });
+      setMessage("⏳ Waiting for " + hash);
+      const receipt = await waitForReceipt(hash);
+      setMessage(receipt.status === "0x1" ? "✅ Renewed — tx " + hash : "❌ Renewal reverted — tx " + hash);
+      await loadLicense();
+    } catch (e) {
+      setMessage("❌ Error: " + (e.response?.data?.error || e.message));
+    }
+  }
+
   return (
     <div style={{ padding: 20, fontFamily: "system-ui, sans-serif" }}>
       <h1>AppBound — Demo</h1>
@@ -32,7 +197,31 @@ export default function Home() {
       ) : (
         <div>
           <p>Connected: {address}</p>
+          {deployments.length > 1 && (
+            <p>
+              Chain:{" "}
+              <select value={deployment?.id} onChange={(e) => selectDeployment(e.target.value)}>
+                {deployments.map((d) => (
+                  <option key={d.id} value={d.id}>{d.name} ({d.chainId})</option>
+                ))}
+              </select>
+            </p>
+          )}
           <button onClick={checkAccess}>Check Demo License</button>
+          <button onClick={mintLicense} style={{ marginLeft: 8 }}>Mint Demo License</button>
+          {license && (
+            <p>
+              License #{license.tokenId} — time remaining: <b>{formatRemaining(license.secondsRemaining)}</b>{" "}
+              {license.renewal && (
+                <button onClick={renewLicense}>
+                  Renew +{formatRemaining(license.renewal.period)} for {formatEther(BigInt(license.renewal.price))} ETH
+                </button>
+              )}
+              {license.ephemeral && <button onClick={redeemLicense}>Redeem</button>}
+            </p>
+          )}
+          {contentUrl && <p>Unlocked content: <a href={contentUrl}>{contentUrl}</a></p>}
+          <p><a href="/seats">Manage team seats</a> · <a href="/lend">Lend license</a></p>
         </div>
       )}
       <pre style={{ marginTop: 20 }}>{message}</pre>
@@ -0,0 +1,96 @@
+// frontend/pages/lend.js
+// Lend license: the owner rents the license to another wallet for a number of
+// days (ERC-4907 setUser) without transferring the NFT. The renter signs in as
+// usual; the owner has no access until the rental ends.
+import React, { useState } from "react";
+import axios from "axios";
+import { encodeFunctionData, isAddress, parseAbi, zeroAddress } from "viem";
+import { waitForReceipt } from "../lib/poll";
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || "http://localhost:5000";
+const RENTAL_ABI = parseAbi(["function setUser(uint256 tokenId, address user, uint64 expires)"]);
+
+export default function Lend() {
+  const [address, setAddress] = useState(null);
+  const [appId, setAppId] = useState("demo-app");
+  const [license, setLicense] = useState(null);
+  const [renter, setRenter] = useState("");
+  const [days, setDays] = useState("7");
+  const [message, setMessage] = useState("");
+
+  async function connectWallet() {
+    if (!window.ethereum) return alert("Install MetaMask");
+    const accounts = await window.ethereum.request({ method: "eth_requestAccounts" });
+    setAddress(accounts[0]);
+  }
+
+  async function load() {
+    try {
+      const { data: lic } = await axios.get(`${API_URL}/api/license/${encodeURIComponent(appId)}/${address}`);
+      const { data } = await axios.get(`${API_URL}/api/rentals/${lic.tokenId}`);
+      setLicense(data);
+      setMessage(data.soulbound ? "ℹ️ Soulbound licenses cannot be lent" : "");
+    } catch (e) {
+      setLicense(null);
+      setMessage("❌ " + (e.response?.data?.error || e.message));
+    }
+  }
+
+  async function setUser(label, user, expires) {
+    try {
+      const data = encodeFunctionData({ abi: RENTAL_ABI, functionName: "setUser", args: [BigInt(license.tokenId), user, BigInt(expires)] });
+      setMessage(`⏳ Confirm ${label} in your wallet...`);
+      const hash = await window.ethereum.request({ method: "eth_sendTransaction", params: [{ from: address, to: license.contract, data }] });
+      setMessage("⏳ Waiting for " + hash);
+      const receipt = await waitForReceipt(hash);
+      setMessage(receipt.status === "0x1" ? `✅ ${label} — tx ${hash}` : `❌ ${label} reverted — tx ${hash}`);
+      await load();
+    } catch (e) {
+      setMessage("❌ Error: " + (e.response?.data?.error || e.message));
+    }
+  }
+
+  function lend(e) {
+    e.preventDefault();
+    if (!isAddress(renter)) return setMessage("❌ Not an address");
+    const seconds = Math.round(Number(days) * 24 * 3600);
+    if (!(seconds > 0)) return setMessage("❌ Enter a number of days");
+    setUser(`Lend to ${renter}`, renter, Math.floor(Date.now() / 1000) + seconds).then(() => setRenter(""));
+  }
+
+  return (
+    <div style={{ padding: 20, fontFamily: "system-ui, sans-serif" }}>
+      <h1>AppBound — Lend license</h1>
+      {!address ? (
+        <button onClick={connectWallet}>Connect MetaMask</button>
+      ) : (
+        <div>
+          <p>Connected: {address}</p>
+          <input value={appId} onChange={(e) => setAppId(e.target.value)} placeholder="appId" style={{ marginRight: 8 }} />
+          <button onClick={load}>Load license</button>
+        </div>
+      )}
+      {license && (
+        <>
+          <h2>{license.appId} #{license.tokenId}</h2>
+          {license.user ? (
+            <p>
+              Lent to <code>{license.user}</code> until <b>{new Date(license.expires * 1000).toLocaleString()}</b>. You have no access until then.{" "}
+              <button onClick={() => setUser("End rental", zeroAddress, 0)}>End rental</button>
+            </p>
+          ) : (
+            <p style={{ color: "#666" }}>Not lent out.</p>
+          )}
+          {!license.soulbound && (
+            <form onSubmit={lend} style={{ marginTop: 12 }}>
+              <input placeholder="Renter wallet 0x…" size={44} value={renter} onChange={(e) => setRenter(e.target.value)} style={{ marginRight: 8 }} />
+              <input type="number" min="1" value={days} onChange={(e) => setDays(e.target.value)} style={{ width: 60, marginRight: 4 }} /> days{" "}
+              <button type="submit">Lend license</button>
+            </form>
+          )}
+        </>
+      )}
+      <pre style={{ marginTop: 20 }}>{message}</pre>
+    </div>
+  );
+}
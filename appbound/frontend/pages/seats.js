@@ -0,0 +1,99 @@
+// frontend/pages/seats.js
+// Seat management for team licenses: the owner assigns delegate wallets to seats
+// (setDelegate / removeDelegate) without transferring the NFT.
+import React, { useState } from "react";
+import axios from "axios";
+import { encodeFunctionData, isAddress, parseAbi } from "viem";
+import { waitForReceipt } from "../lib/poll";
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || "http://localhost:5000";
+const SEATS_ABI = parseAbi([
+  "function setDelegate(uint256 tokenId, address delegate) returns (uint256)",
+  "function removeDelegate(uint256 tokenId, address delegate)"
+]);
+
+export default function Seats() {
+  const [address, setAddress] = useState(null);
+  const [appId, setAppId] = useState("demo-app");
+  const [license, setLicense] = useState(null);
+  const [delegate, setDelegate] = useState("");
+  const [message, setMessage] = useState("");
+
+  async function connectWallet() {
+    if (!window.ethereum) return alert("Install MetaMask");
+    const accounts = await window.ethereum.request({ method: "eth_requestAccounts" });
+    setAddress(accounts[0]);
+  }
+
+  async function load() {
+    try {
+      const { data: lic } = await axios.get(`${API_URL}/api/license/${encodeURIComponent(appId)}/${address}`);
+      const { data } = await axios.get(`${API_URL}/api/seats/${lic.tokenId}`);
+      setLicense(data);
+      setMessage(data.owner.toLowerCase() === address.toLowerCase() ? "" : "ℹ️ Only the owner can change seats");
+    } catch (e) {
+      setLicense(null);
+      setMessage("❌ " + (e.response?.data?.error || e.message));
+    }
+  }
+
+  async function send(label, functionName, wallet) {
+    try {
+      const data = encodeFunctionData({ abi: SEATS_ABI, functionName, args: [BigInt(license.tokenId), wallet] });
+      setMessage(`⏳ Confirm ${label} in your wallet...`);
+      const hash = await window.ethereum.request({ method: "eth_sendTransaction", params: [{ from: address, to: license.contract, data }] });
+      setMessage("⏳ Waiting for " + hash);
+      const receipt = await waitForReceipt(hash);
+      setMessage(receipt.status === "0x1" ? `✅ ${label} — tx ${hash}` : `❌ ${label} reverted — tx ${hash}`);
+      await load();
+    } catch (e) {
+      setMessage("❌ Error: " + (e.response?.data?.error || e.message));
+    }
+  }
+
+  function assign(e) {
+    e.preventDefault();
+    if (!isAddress(delegate)) return setMessage("❌ Not an address");
+    send(`Assign ${delegate}`, "setDelegate", delegate).then(() => setDelegate(""));
+  }
+
+  return (
+    <div style={{ padding: 20, fontFamily: "system-ui, sans-serif" }}>
+      <h1>AppBound — Team seats</h1>
+      {!address ? (
+        <button onClick={connectWallet}>Connect MetaMask</button>
+      ) : (
+        <div>
+          <p>Connected: {address}</p>
+          <input value={appId} onChange={(e) => setAppId(e.target.value)} placeholder="appId" style={{ marginRight: 8 }} />
+          <button onClick={load}>Load license</button>
+        </div>
+      )}
+      {license && (
+        <>
+          <h2>{license.appId} #{license.tokenId} — {license.delegates.length}/{license.seats} seats used</h2>
+          {license.seats === 0 && <p style={{ color: "#666" }}>This license has no delegate seats; ask the publisher to add some.</p>}
+          <table cellPadding={4} style={{ borderCollapse: "collapse" }}>
+            <tbody>
+              <tr><td>owner</td><td><code>{license.owner}</code></td><td /></tr>
+              {license.delegates.map((d) => (
+                <tr key={d.seat}>
+                  <td>seat {d.seat}</td>
+                  <td><code>{d.wallet}</code></td>
+                  <td><button onClick={() => send(`Remove ${d.wallet}`, "removeDelegate", d.wallet)}>Remove</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {license.delegates.length < license.seats && (
+            <form onSubmit={assign} style={{ marginTop: 12 }}>
+              <input placeholder="Delegate wallet 0x…" size={44} value={delegate} onChange={(e) => setDelegate(e.target.value)} style={{ marginRight: 8 }} />
+              <button type="submit">Assign seat</button>
+            </form>
+          )}
+        </>
+      )}
+      <pre style={{ marginTop: 20 }}>{message}</pre>
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+
+// CommonJS on purpose: Hardhat loads its config with require() in ESM projects.
+require("@nomicfoundation/hardhat-toolbox");
+const fs = require("fs");
+const { task } = require("hardhat/config");
+
+// Publishes the openMint allowlist root built by scripts/allowlist.js (or an explicit --root).
+task("allowlist:set-root", "Calls setMerkleRoot on the license contract")
+  .addOptionalParam("file", "Allowlist JSON written by scripts/allowlist.js", "./backend/data/allowlist.json")
+  .addOptionalParam("root", "32-byte root; overrides --file (0x00…00 disables the allowlist)")
+  .addOptionalParam("address", "Contract address (default: CONTRACT_ADDRESS from .env or backend/.env)")
+  .setAction(async ({ file, root, address }, hre) => {
+    const dotenv = require("dotenv");
+    dotenv.config();
+    dotenv.config({ path: "./backend/.env" });
+    const contractAddress = address || process.env.CONTRACT_ADDRESS;
+    if (!contractAddress) throw new Error("CONTRACT_ADDRESS not set; pass --address");
+    const merkleRoot = root || JSON.parse(fs.readFileSync(file, "utf8")).root;
+    if (!hre.ethers.isHexString(merkleRoot, 32)) throw new Error(`Invalid root: ${merkleRoot}`);
+
+    const license = await hre.ethers.getContractAt(process.env.CONTRACT_NAME || "CollectibleLicenseNFT", contractAddress);
+    const tx = await license.setMerkleRoot(merkleRoot);
+    await tx.wait();
+    console.log(`✅ merkleRoot set to ${merkleRoot} (tx ${tx.hash})`);
+    if (!(await license.openMinting())) console.log("ℹ️  openMinting is disabled; enable it from the admin API or dashboard.");
+  });
+
+module.exports = {
+  solidity: {
+    version: "0.8.21",
+    // viaIR: batchMint's eight calldata arrays overflow the legacy pipeline's stack.
+    // runs: 1 optimizes for code size; the license contract is close to the 24 KB (EIP-170) limit.
+    // paris: no PUSH0 (solc 0.8.20+ targets shanghai by default), so one build deploys on chains without Shanghai too.
+    settings: { optimizer: { enabled: true, runs: 1 }, viaIR: true, evmVersion: "paris" }
+  },
+  networks: {
+    hardhat: {},
+    localhost: { url: "http://127.0.0.1:8545" }
+  },
+  paths: {
+    sources: "./contracts",
+    tests: "./test",
+    cache: "./cache",
+    artifacts: "./artifacts"
+  }
+};
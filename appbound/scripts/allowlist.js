@@ -0,0 +1,43 @@
+// Builds the openMint allowlist: node scripts/allowlist.js <allowlist.csv|json> [out.json]
+// CSV: one address per line (first column; a header row is skipped). JSON: an array of
+// addresses or of { address } objects. Writes { root, count, proofs } for the backend
+// (default backend/data/allowlist.json); publish the root with `npx hardhat allowlist:set-root`.
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+import { buildAllowlist, verifyProof } from "./merkle.js";
+
+function readAddresses(file) {
+  const text = fs.readFileSync(file, "utf8");
+  if (file.endsWith(".json")) {
+    return JSON.parse(text).map((entry) => (typeof entry === "string" ? entry : entry.address));
+  }
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.split(",")[0].trim())
+    .filter((value, i) => value && !(i === 0 && !ethers.isAddress(value)));
+}
+
+function main() {
+  const [input, output = "./backend/data/allowlist.json"] = process.argv.slice(2);
+  if (!input) throw new Error("usage: node scripts/allowlist.js <allowlist.csv|json> [out.json]");
+  const addresses = readAddresses(input);
+  const invalid = addresses.filter((a) => !ethers.isAddress(a));
+  if (invalid.length) throw new Error(`Invalid addresses: ${invalid.join(", ")}`);
+
+  const allowlist = buildAllowlist(addresses);
+  for (const [address, proof] of Object.entries(allowlist.proofs)) {
+    if (!verifyProof(proof, allowlist.root, address)) throw new Error(`Proof self-check failed for ${address}`);
+  }
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  fs.writeFileSync(output, JSON.stringify(allowlist, null, 2));
+  console.log(`✅ ${allowlist.count} addresses, root ${allowlist.root}`);
+  console.log("Proofs written to", output);
+}
+
+try {
+  main();
+} catch (e) {
+  console.error("❌", e.message);
+  process.exit(1);
+}
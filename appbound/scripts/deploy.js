@@ -1,14 +1,34 @@
 
-import { ethers, artifacts } from "hardhat";
+// Deploys the license contract. Constructor args come from env (see README "Deploy parameters").
+import hre from "hardhat";
 import fs from "fs";
+import dotenv from "dotenv";
+dotenv.config();
+dotenv.config({ path: "./backend/.env" });
+const { ethers, artifacts } = hre;
+
 async function main() {
+  const [deployer] = await ethers.getSigners();
+  const contractName = process.env.CONTRACT_NAME || "CollectibleLicenseNFT";
+  const name = process.env.TOKEN_NAME || "AppBoundLicense";
+  const symbol = process.env.TOKEN_SYMBOL || "ABND";
+  const maxSupply = BigInt(process.env.MAX_SUPPLY || 10000);
+  const royaltyReceiver = process.env.ROYALTY_RECEIVER || deployer.address;
+  const royaltyBps = BigInt(process.env.ROYALTY_BPS || 500);
+
   console.log("Compiling + deploying...");
-  const License = await ethers.getContractFactory("AppBoundLicense");
-  const license = await License.deploy();
+  console.log(`${contractName}("${name}", "${symbol}", ${maxSupply}, ${royaltyReceiver}, ${royaltyBps})`);
+  const License = await ethers.getContractFactory(contractName);
+  const license = await License.deploy(name, symbol, maxSupply, royaltyReceiver, royaltyBps);
   await license.waitForDeployment();
   const address = await license.getAddress();
-  console.log("✅ Deployed AppBoundLicense at:", address);
-  const artifact = await artifacts.readArtifact("AppBoundLicense");
+  console.log(`✅ Deployed ${contractName} at:`, address);
+  console.log("   LicenseVouchers (gasless mints and redeems) at:", await license.vouchers());
+  if (process.env.METADATA_BASE_URI) {
+    await (await license.setBaseURI(process.env.METADATA_BASE_URI)).wait();
+    console.log("✅ Base URI set to", process.env.METADATA_BASE_URI);
+  }
+  const artifact = await artifacts.readArtifact(contractName);
   fs.writeFileSync("./backend/AppBoundLicenseABI.json", JSON.stringify(artifact.abi, null, 2));
   console.log("\nAdd to your backend/.env: CONTRACT_ADDRESS=" + address);
 }
@@ -0,0 +1,44 @@
+// Exports token metadata for IPFS pinning: node scripts/export-metadata.js [outDir]
+// Renders every live token the way /metadata/:tokenId does (CONTRACT_ADDRESS and
+// PROVIDER_URL from .env or backend/.env) and writes <outDir>/<tokenId> (JSON, no
+// extension so a base URI can point at the directory), <outDir>/images/<tokenId>.svg
+// and <outDir>/manifest.json with each file's CIDv1. The JSON links its card by CID.
+// The export is a snapshot: renewals, redemptions and revocations after it are not reflected.
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { ethers } from "ethers";
+import { createMetadataService, MetadataError } from "../backend/metadata.js";
+dotenv.config();
+dotenv.config({ path: "./backend/.env" });
+
+async function main() {
+  const out = process.argv[2] || "./backend/data/metadata-export";
+  if (!process.env.CONTRACT_ADDRESS) throw new Error("CONTRACT_ADDRESS not set in .env");
+  const abi = JSON.parse(fs.readFileSync(process.env.ABI_PATH || "./backend/AppBoundLicenseABI.json", "utf8"));
+  const provider = new ethers.JsonRpcProvider(process.env.PROVIDER_URL || "http://127.0.0.1:8545");
+  const contract = new ethers.Contract(process.env.CONTRACT_ADDRESS, abi, provider);
+  const metadata = createMetadataService({ contract });
+
+  fs.mkdirSync(path.join(out, "images"), { recursive: true });
+  const tokens = {};
+  const last = Number(await contract.nextTokenId());
+  for (let tokenId = 1; tokenId <= last; tokenId++) {
+    let entry;
+    try {
+      entry = await metadata.export(tokenId);
+    } catch (e) {
+      if (e instanceof MetadataError) continue; // burned
+      throw e;
+    }
+    fs.writeFileSync(path.join(out, String(tokenId)), entry.json);
+    fs.writeFileSync(path.join(out, "images", `${tokenId}.svg`), entry.svg);
+    tokens[tokenId] = { metadata: `ipfs://${entry.metadataCid}`, image: `ipfs://${entry.imageCid}` };
+  }
+  const { chainId } = await provider.getNetwork();
+  const manifest = { contract: await contract.getAddress(), chainId: Number(chainId), exportedAt: new Date().toISOString(), tokens };
+  fs.writeFileSync(path.join(out, "manifest.json"), JSON.stringify(manifest, null, 2));
+  console.log(`✅ Exported ${Object.keys(tokens).length} token(s) to ${out}`);
+  console.log("Pin with: ipfs add -r --cid-version 1 --raw-leaves " + out);
+}
+main().catch((e) => { console.error(e); process.exit(1); });
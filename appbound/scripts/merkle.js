@@ -0,0 +1,43 @@
+// Merkle tree compatible with OpenZeppelin's MerkleProof (sorted-pair keccak256).
+// Leaves match openMint: keccak256(abi.encodePacked(address)).
+import { ethers } from "ethers";
+
+export function leafHash(address) {
+  return ethers.solidityPackedKeccak256(["address"], [address]);
+}
+
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b) ? ethers.concat([a, b]) : ethers.concat([b, a]);
+}
+
+/** Builds the tree; returns the root and a proof per checksummed address. */
+export function buildAllowlist(addresses) {
+  const unique = [...new Set(addresses.map((a) => ethers.getAddress(a)))];
+  if (!unique.length) throw new Error("Allowlist is empty");
+  const leaves = unique.map((address) => ({ address, hash: leafHash(address) })).sort((a, b) => (BigInt(a.hash) < BigInt(b.hash) ? -1 : 1));
+
+  // layers[0] = leaves; an odd node out is carried up unchanged (no sibling in its proof).
+  const layers = [leaves.map((l) => l.hash)];
+  while (layers[layers.length - 1].length > 1) {
+    const level = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) next.push(i + 1 < level.length ? ethers.keccak256(hashPair(level[i], level[i + 1])) : level[i]);
+    layers.push(next);
+  }
+
+  const proofs = {};
+  leaves.forEach(({ address }, index) => {
+    const proof = [];
+    for (let depth = 0, i = index; depth < layers.length - 1; depth++, i = Math.floor(i / 2)) {
+      const sibling = i ^ 1;
+      if (sibling < layers[depth].length) proof.push(layers[depth][sibling]);
+    }
+    proofs[address] = proof;
+  });
+  return { root: layers[layers.length - 1][0], count: leaves.length, proofs };
+}
+
+/** Mirrors MerkleProof.verify. */
+export function verifyProof(proof, root, address) {
+  return proof.reduce((node, sibling) => ethers.keccak256(hashPair(node, sibling)), leafHash(address)) === root;
+}
@@ -1,23 +1,34 @@
 
-import { ethers } from "hardhat";
-import fs from "fs";
+// Registers the demo app (if needed) and mints a license to a test account.
+// APP_ID, APP_METADATA_URI, TOKEN_URI, EXPIRY and SEED_RECIPIENT are optional.
+import hre from "hardhat";
 import dotenv from "dotenv";
 dotenv.config();
+dotenv.config({ path: "./backend/.env" });
+const { ethers } = hre;
+
 async function main() {
   const contractAddress = process.env.CONTRACT_ADDRESS;
   if (!contractAddress) throw new Error("CONTRACT_ADDRESS not set in .env");
   const [deployer, user] = await ethers.getSigners();
+  const recipient = process.env.SEED_RECIPIENT || user.address;
+  const appId = process.env.APP_ID || "demo-app";
   console.log("Deployer:", deployer.address);
-  console.log("User (demo recipient):", user.address);
-  const License = await ethers.getContractFactory("AppBoundLicense");
+  console.log("User (demo recipient):", recipient);
+  const License = await ethers.getContractFactory(process.env.CONTRACT_NAME || "CollectibleLicenseNFT");
   const license = License.attach(contractAddress);
+  if ((await license.apps(ethers.id(appId))).publisher === ethers.ZeroAddress) {
+    await (await license.connect(deployer).registerApp(appId, deployer.address, process.env.APP_METADATA_URI || "", 0, 0)).wait();
+    console.log(`✅ Registered ${appId} (publisher ${deployer.address})`);
+  }
   const tx = await license.connect(deployer).mintTo(
-    user.address,
-    "demo-app",
-    "ipfs://demo-metadata",
-    0
+    recipient,
+    appId,
+    process.env.TOKEN_URI ?? "ipfs://demo-metadata", // TOKEN_URI= (empty) resolves through the base URI
+    BigInt(process.env.EXPIRY || 0)
   );
   await tx.wait();
-  console.log("✅ Minted demo license to", user.address);
+  const { tokenId } = await license.checkLicense(recipient, appId);
+  console.log(`✅ Minted ${appId} license #${tokenId} to`, recipient);
 }
 main().catch((e)=>{ console.error(e); process.exit(1); });
@@ -0,0 +1,34 @@
+// Local webhook receiver for development: node scripts/webhook-receiver.js [port]
+// Register http://localhost:<port>/ as a webhook (POST /api/admin/webhooks), put the
+// secret it returns in WEBHOOK_SECRET (.env or the environment) and every delivery is
+// verified with the SDK and printed. WEBHOOK_FAIL=1 answers 500 to exercise retries.
+import http from "http";
+import dotenv from "dotenv";
+import { verifyWebhook } from "../sdk/webhooks.js";
+import { WebhookSignatureError } from "../sdk/errors.js";
+dotenv.config();
+
+const port = Number(process.argv[2] || process.env.WEBHOOK_RECEIVER_PORT || 4000);
+const secret = process.env.WEBHOOK_SECRET;
+if (!secret) {
+  console.error("❌ WEBHOOK_SECRET not set (the secret returned when the webhook was registered)");
+  process.exit(1);
+}
+
+http
+  .createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      try {
+        const event = verifyWebhook(Buffer.concat(chunks), req.headers["appbound-signature"], secret);
+        console.log(`✅ ${event.type} ${event.id} (delivery ${req.headers["appbound-delivery"]})`);
+        console.log(JSON.stringify(event.data, null, 2));
+        res.writeHead(process.env.WEBHOOK_FAIL ? 500 : 204).end();
+      } catch (e) {
+        console.error(`❌ Rejected: ${e.message}`);
+        res.writeHead(e instanceof WebhookSignatureError ? 400 : 500).end();
+      }
+    });
+  })
+  .listen(port, () => console.log(`Webhook receiver listening on http://localhost:${port}/`));
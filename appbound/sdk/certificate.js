@@ -0,0 +1,127 @@
+/**
+ * sdk/certificate.js
+ * Offline license checks for desktop and CLI apps (Node). The app trades an
+ * access token for a certificate bound to this machine once, then verifies it
+ * locally against the backend's pinned public key, with no network access,
+ * until it expires plus the offline grace period. The revocation list (CRL)
+ * is synced whenever the machine is online; verification uses the last copy.
+ */
+import crypto from "crypto";
+import os from "os";
+import { decodeJwt, importJWK, importSPKI, jwtVerify, errors } from "jose";
+import { InvalidTokenError, LicenseExpiredError, LicenseRevokedError, fromResponse } from "./errors.js";
+
+const CERTIFICATE_TYPE = "license-cert+jwt";
+const CRL_TYPE = "license-crl+jwt";
+const ISSUER = "appbound";
+
+/**
+ * Stable, non-reversible id of this machine: hostname, OS, CPU and hardware
+ * addresses, hashed. Pass the appId so fingerprints differ between apps.
+ */
+export function machineFingerprint({ appId = "" } = {}) {
+  const macs = Object.values(os.networkInterfaces())
+    .flat()
+    .filter((i) => !i.internal && i.mac !== "00:00:00:00:00:00")
+    .map((i) => i.mac);
+  const parts = [appId, os.hostname(), os.platform(), os.arch(), os.cpus()[0]?.model ?? "", os.totalmem(), ...new Set(macs.sort())];
+  return crypto.createHash("sha256").update(parts.join("\n")).digest("base64url");
+}
+
+// The pinned key: GET /api/certificates/public-key as returned, its jwk, or its PEM.
+async function importPublicKey(publicKey) {
+  if (typeof publicKey === "string") return importSPKI(publicKey, "EdDSA");
+  if (publicKey?.jwk) return importJWK(publicKey.jwk, "EdDSA");
+  if (publicKey?.kty) return importJWK(publicKey, "EdDSA");
+  throw new Error("publicKey (JWK or PEM) is required");
+}
+
+/**
+ * Verifies a signed CRL; resolves { revoked: Set of certificate ids, issuedAt,
+ * nextUpdate, stale }. A stale list (past nextUpdate) is still usable, but
+ * should be replaced as soon as the machine is online.
+ */
+export async function verifyCrl(crl, { publicKey, now = Date.now() }) {
+  let payload;
+  try {
+    ({ payload } = await jwtVerify(crl, await importPublicKey(publicKey), { algorithms: ["EdDSA"], typ: CRL_TYPE, issuer: ISSUER }));
+  } catch (e) {
+    if (e instanceof errors.JOSEError) throw new InvalidTokenError("Invalid revocation list");
+    throw e;
+  }
+  return {
+    revoked: new Set(payload.revoked.map((r) => r.jti)),
+    issuedAt: payload.iat,
+    nextUpdate: payload.nextUpdate,
+    stale: now / 1000 > payload.nextUpdate
+  };
+}
+
+/** Downloads and verifies the backend's CRL; keep the result for offline use. */
+export async function fetchCrl({ authUrl, publicKey, fetch: fetchImpl = globalThis.fetch }) {
+  const res = await fetchImpl(new URL("/api/certificates/crl", authUrl));
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw fromResponse(body, res.status);
+  return { ...(await verifyCrl(body.crl, { publicKey })), crl: body.crl };
+}
+
+/**
+ * Asks the backend for a certificate for this machine with a valid access
+ * token; resolves { certificate, certificateId, expiresAt, graceUntil, licenseExpiry }.
+ */
+export async function requestLicenseCertificate({ authUrl, accessToken, fingerprint, fetch: fetchImpl = globalThis.fetch }) {
+  const res = await fetchImpl(new URL("/api/certificates", authUrl), {
+    method: "POST",
+    headers: { Authorization: `Bearer ${accessToken}`, "Content-Type": "application/json" },
+    body: JSON.stringify({ fingerprint })
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw fromResponse(body, res.status);
+  const { certificate, certificateId, expiresAt, graceUntil, licenseExpiry } = body;
+  return { certificate, certificateId, expiresAt, graceUntil, licenseExpiry };
+}
+
+/**
+ * Verifies a certificate offline: signature against the pinned key, appId,
+ * machine fingerprint, expiry (plus the grace period the certificate carries)
+ * and, when given, a CRL from verifyCrl/fetchCrl. `fingerprint` is required;
+ * pass `anyMachine: true` instead to accept the certificate on any machine.
+ * Resolves { status, wallet, appId, tokenId, chainId, contract, certificateId,
+ * expiresAt, graceUntil, licenseExpiry }; status is "valid", or "grace" once
+ * the certificate has expired and the app should renew it when it can.
+ */
+export async function verifyLicenseCertificate(certificate, { publicKey, appId, fingerprint, anyMachine = false, crl, now = Date.now() }) {
+  if (!fingerprint && !anyMachine) throw new Error("fingerprint is required (or anyMachine: true to skip the machine binding)");
+  if (!certificate) throw new InvalidTokenError("Certificate required");
+  let payload;
+  try {
+    const { grace = 0 } = decodeJwt(certificate);
+    ({ payload } = await jwtVerify(certificate, await importPublicKey(publicKey), {
+      algorithms: ["EdDSA"],
+      typ: CERTIFICATE_TYPE,
+      issuer: ISSUER,
+      currentDate: new Date(now),
+      clockTolerance: grace
+    }));
+  } catch (e) {
+    if (e instanceof errors.JWTExpired) throw new LicenseExpiredError("Certificate expired and past its offline grace period");
+    if (e instanceof errors.JOSEError) throw new InvalidTokenError("Invalid certificate");
+    throw e;
+  }
+  if (appId && payload.appId !== appId) throw new InvalidTokenError(`Certificate was issued for ${payload.appId}, not ${appId}`);
+  if (!anyMachine && payload.fp !== fingerprint) throw new InvalidTokenError("Certificate was issued for another machine");
+  if (crl?.revoked.has(payload.jti)) throw new LicenseRevokedError("Certificate revoked");
+  const { sub: wallet, tokenId, chainId, contract, jti: certificateId, exp: expiresAt, licenseExpiry } = payload;
+  return {
+    status: now / 1000 < expiresAt ? "valid" : "grace",
+    wallet,
+    appId: payload.appId,
+    tokenId,
+    chainId,
+    contract,
+    certificateId,
+    expiresAt,
+    graceUntil: expiresAt + payload.grace,
+    licenseExpiry
+  };
+}
@@ -0,0 +1,137 @@
+/**
+ * sdk/client.js
+ * Browser client for the AppBound sign-in cycle:
+ * nonce -> SIWE message -> personal_sign -> /api/auth, then transparent
+ * refresh-token rotation. Depends only on fetch and an EIP-1193 provider.
+ *
+ *   const appbound = createAppBoundClient({ apiUrl: "http://localhost:5000", appId: "demo-app" });
+ *   await appbound.signIn();
+ *
+ * By default the backend looks for the license on every deployment it
+ * serves; pass chainId (and contract) to pin one. The wallet is then switched
+ * to that chain with wallet_switchEthereumChain before signing.
+ *   const res = await appbound.fetch("https://my-app.example/api/data");
+ */
+import { AppBoundError, LicenseMissingError, fromResponse } from "./errors.js";
+
+/** Builds an EIP-4361 message accepted by the AppBound backend. */
+export function buildSiweMessage({ domain, address, statement, uri, chainId, nonce, issuedAt = new Date(), ttlSeconds = 300 }) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    "",
+    ...(statement ? [statement, ""] : [""]),
+    `URI: ${uri}`,
+    "Version: 1",
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    `Expiration Time: ${new Date(issuedAt.getTime() + ttlSeconds * 1000).toISOString()}`
+  ].join("\n");
+}
+
+function decodeExp(token) {
+  const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+  return JSON.parse(atob(payload)).exp;
+}
+
+export function createAppBoundClient({
+  apiUrl,
+  appId,
+  chainId: pinnedChainId,
+  contract,
+  ethereum = globalThis.window?.ethereum,
+  domain = globalThis.location?.host,
+  uri = globalThis.location?.origin,
+  statement = `Sign in to AppBound to access ${appId}.`,
+  refreshLeewaySeconds = 60,
+  fetch: fetchImpl = globalThis.fetch.bind(globalThis)
+}) {
+  let tokens = null; // { accessToken, refreshToken, wallet, tokenId, chainId, contract, exp }
+  let refreshing = null;
+
+  async function call(path, body) {
+    const res = await fetchImpl(`${apiUrl}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw fromResponse(data, res.status);
+    return data;
+  }
+
+  function store(data) {
+    tokens = {
+      accessToken: data.accessToken,
+      refreshToken: data.refreshToken,
+      wallet: data.wallet ?? tokens?.wallet,
+      tokenId: data.tokenId ?? tokens?.tokenId,
+      chainId: data.chainId ?? tokens?.chainId,
+      contract: data.contract ?? tokens?.contract,
+      exp: decodeExp(data.accessToken)
+    };
+    return tokens;
+  }
+
+  async function signIn() {
+    if (!ethereum) throw new AppBoundError("No injected wallet (window.ethereum) found", { code: "NO_WALLET", status: 400 });
+    const [address] = await ethereum.request({ method: "eth_requestAccounts" });
+    let chainId = parseInt(await ethereum.request({ method: "eth_chainId" }), 16);
+    if (pinnedChainId && chainId !== Number(pinnedChainId)) {
+      await ethereum.request({ method: "wallet_switchEthereumChain", params: [{ chainId: `0x${Number(pinnedChainId).toString(16)}` }] });
+      chainId = Number(pinnedChainId);
+    }
+    const nonceRes = await fetchImpl(`${apiUrl}/api/nonce`);
+    if (!nonceRes.ok) throw fromResponse(await nonceRes.json().catch(() => ({})), nonceRes.status);
+    const { nonce } = await nonceRes.json();
+    const message = buildSiweMessage({ domain, address, statement, uri, chainId, nonce });
+    const signature = await ethereum.request({ method: "personal_sign", params: [message, address] });
+    return store(await call("/api/auth", { message, signature, appId, chainId: pinnedChainId, contract }));
+  }
+
+  async function refresh() {
+    if (!tokens) throw new LicenseMissingError("Not signed in");
+    if (!refreshing) {
+      refreshing = call("/api/refresh", { refreshToken: tokens.refreshToken })
+        .then(store, (err) => {
+          tokens = null;
+          throw err;
+        })
+        .finally(() => {
+          refreshing = null;
+        });
+    }
+    return refreshing;
+  }
+
+  /** Returns a valid access token, refreshing it when it is about to expire. */
+  async function getAccessToken() {
+    if (!tokens) throw new LicenseMissingError("Not signed in");
+    if (tokens.exp - refreshLeewaySeconds <= Date.now() / 1000) await refresh();
+    return tokens.accessToken;
+  }
+
+  async function logout() {
+    if (!tokens) return;
+    const { refreshToken } = tokens;
+    tokens = null;
+    await call("/api/logout", { refreshToken }).catch(() => {});
+  }
+
+  return {
+    signIn,
+    refresh,
+    getAccessToken,
+    logout,
+    get session() {
+      return tokens && { wallet: tokens.wallet, tokenId: tokens.tokenId, chainId: tokens.chainId, contract: tokens.contract, exp: tokens.exp };
+    },
+    /** fetch() with the current access token in the Authorization header. */
+    async fetch(input, init = {}) {
+      const headers = new Headers(init.headers);
+      headers.set("Authorization", `Bearer ${await getAccessToken()}`);
+      return fetchImpl(input, { ...init, headers });
+    }
+  };
+}
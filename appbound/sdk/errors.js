@@ -0,0 +1,88 @@
+/**
+ * sdk/errors.js
+ * Typed errors shared by the middleware and the browser client. `code`
+ * matches the codes the AppBound backend puts in its error responses.
+ */
+export class AppBoundError extends Error {
+  constructor(message, { code = "APPBOUND_ERROR", status = 401 } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/** No token was presented, or the wallet holds no license for this app. */
+export class LicenseMissingError extends AppBoundError {
+  constructor(message = "License required") {
+    super(message, { code: "LICENSE_MISSING", status: 401 });
+  }
+}
+
+/** The access token or the underlying license has expired. */
+export class LicenseExpiredError extends AppBoundError {
+  constructor(message = "License expired") {
+    super(message, { code: "LICENSE_EXPIRED", status: 401 });
+  }
+}
+
+/** The session was revoked (logout, transfer, burn, admin action). */
+export class LicenseRevokedError extends AppBoundError {
+  constructor(message = "License revoked") {
+    super(message, { code: "LICENSE_REVOKED", status: 401 });
+  }
+}
+
+/** The token is malformed, forged or issued for another app. */
+export class InvalidTokenError extends AppBoundError {
+  constructor(message = "Invalid token") {
+    super(message, { code: "INVALID_TOKEN", status: 401 });
+  }
+}
+
+/** The license or app went over its per-minute request limit. */
+export class RateLimitedError extends AppBoundError {
+  constructor(message = "Rate limit exceeded", retryAfter) {
+    super(message, { code: "RATE_LIMITED", status: 429 });
+    this.retryAfter = retryAfter;
+  }
+}
+
+/** The license or app used up its monthly units. */
+export class QuotaExceededError extends AppBoundError {
+  constructor(message = "Quota exceeded", retryAfter) {
+    super(message, { code: "QUOTA_EXCEEDED", status: 429 });
+    this.retryAfter = retryAfter;
+  }
+}
+
+/** A webhook's AppBound-Signature header is missing, forged or too old. */
+export class WebhookSignatureError extends AppBoundError {
+  constructor(message = "Invalid webhook signature") {
+    super(message, { code: "INVALID_SIGNATURE", status: 400 });
+  }
+}
+
+/** Maps a backend `{ error, code }` response body to a typed error. */
+export function fromResponse(body = {}, status) {
+  const message = body.error || `AppBound request failed (${status})`;
+  switch (body.code) {
+    case "SESSION_EXPIRED":
+    case "LICENSE_EXPIRED":
+    case "RENTAL_ENDED":
+      return new LicenseExpiredError(message);
+    case "SESSION_REVOKED":
+      return new LicenseRevokedError(message);
+    case "LICENSE_MISSING":
+    case "LICENSE_RENTED":
+      return new LicenseMissingError(message);
+    case "INVALID_TOKEN":
+      return new InvalidTokenError(message);
+    case "RATE_LIMITED":
+      return new RateLimitedError(message, body.retryAfter);
+    case "QUOTA_EXCEEDED":
+      return new QuotaExceededError(message, body.retryAfter);
+    default:
+      return new AppBoundError(message, { status: status || 500 });
+  }
+}
@@ -0,0 +1,9 @@
+/**
+ * @appbound/sdk
+ * Server entry point. Browser code should import "@appbound/sdk/client".
+ */
+export { requireLicense } from "./middleware.js";
+export { verifyAccessToken, createKeyResolver, createRevocationChecker, createUsageReporter } from "./verify.js";
+export { machineFingerprint, requestLicenseCertificate, verifyLicenseCertificate, verifyCrl, fetchCrl } from "./certificate.js";
+export { verifyWebhook } from "./webhooks.js";
+export * from "./errors.js";
@@ -0,0 +1,71 @@
+/**
+ * sdk/middleware.js
+ * Express/Connect middleware for apps protected by AppBound licenses.
+ *
+ *   app.use(requireLicense({ appId: "demo-app" }));
+ *   app.get("/", (req, res) => res.send(`hello ${req.license.wallet}`));
+ */
+import { AppBoundError, LicenseMissingError } from "./errors.js";
+import { verifyAccessToken, createRevocationChecker, createKeyResolver, createUsageReporter } from "./verify.js";
+
+function tokenFrom(req) {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  if (scheme === "Bearer" && token) return token;
+  return null;
+}
+
+function defaultOnError(err, req, res) {
+  res.statusCode = err.status;
+  if (err.retryAfter) res.setHeader("Retry-After", String(err.retryAfter));
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify({ error: err.message, code: err.code }));
+}
+
+/**
+ * Options:
+ *   appId          required; tokens for other apps are rejected
+ *   authUrl        AppBound backend URL (default: APPBOUND_AUTH_URL)
+ *   jwksUrl        public keys (default: <authUrl>/.well-known/jwks.json)
+ *   secret         legacy HS256 shared secret (default: APPBOUND_JWT_SECRET), used when there is no jwksUrl
+ *   checkRevocation  default true when authUrl is set
+ *   cacheSeconds   how long a positive revocation check is trusted (default 30)
+ *   meter          units to report to /api/usage per request: a number or (req) => number
+ *                  (default 0: no metering); over-quota requests get a 429
+ *   getToken(req)  custom token extraction (default: Authorization: Bearer)
+ *   onError(err, req, res, next)  custom error response (default: JSON with status/code)
+ */
+export function requireLicense({
+  appId,
+  authUrl = process.env.APPBOUND_AUTH_URL,
+  jwksUrl = authUrl && new URL("/.well-known/jwks.json", authUrl).href,
+  secret = process.env.APPBOUND_JWT_SECRET,
+  checkRevocation = Boolean(authUrl),
+  cacheSeconds = 30,
+  meter = 0,
+  getToken = tokenFrom,
+  onError = defaultOnError
+} = {}) {
+  if (!appId) throw new Error("requireLicense: appId is required");
+  if (!jwksUrl && !secret) throw new Error("requireLicense: authUrl, jwksUrl or secret is required");
+  if (checkRevocation && !authUrl) throw new Error("requireLicense: authUrl is required for revocation checks");
+  const keys = createKeyResolver({ jwksUrl, secret });
+  const assertActive = checkRevocation ? createRevocationChecker({ authUrl, cacheSeconds }) : null;
+  if (meter && !authUrl) throw new Error("requireLicense: authUrl is required for metering");
+  const report = meter ? createUsageReporter({ authUrl }) : null;
+
+  return async function appBoundLicense(req, res, next) {
+    try {
+      const token = getToken(req);
+      if (!token) throw new LicenseMissingError("Access token required");
+      const { wallet, tokenId, chainId, contract, sessionId } = await verifyAccessToken(token, { keys, appId });
+      if (assertActive) await assertActive(token);
+      const units = typeof meter === "function" ? meter(req) : meter;
+      const usage = report && units > 0 ? await report(token, units) : undefined;
+      req.license = { wallet, appId, tokenId, chainId, contract, sessionId, usage };
+      return next();
+    } catch (err) {
+      if (!(err instanceof AppBoundError)) return next(err);
+      return onError(err, req, res, next);
+    }
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * sdk/verify.js
+ * Server-side token checks: local JWT verification (against the backend's
+ * JWKS, or a shared secret in legacy HS256 mode) plus an optional revocation
+ * check against the backend's /api/session introspection and usage
+ * reporting to /api/usage.
+ */
+import { createRemoteJWKSet, jwtVerify, errors } from "jose";
+import { InvalidTokenError, LicenseExpiredError, LicenseMissingError, fromResponse } from "./errors.js";
+
+/**
+ * Returns the key argument for verifyAccessToken. The remote JWKS is cached
+ * and re-fetched when a token carries an unknown `kid` (key rotation).
+ */
+export function createKeyResolver({ jwksUrl, secret }) {
+  if (jwksUrl) return { key: createRemoteJWKSet(new URL(jwksUrl)), algorithms: ["ES256", "EdDSA"] };
+  if (secret) return { key: new TextEncoder().encode(secret), algorithms: ["HS256"] };
+  throw new Error("jwksUrl or secret is required");
+}
+
+/**
+ * Verifies signature, expiry and appId locally; resolves { wallet, appId,
+ * tokenId, chainId, contract, sessionId, exp }. chainId and contract name the
+ * deployment whose license granted access.
+ */
+export async function verifyAccessToken(token, { keys, appId }) {
+  if (!token) throw new LicenseMissingError("Access token required");
+  let payload;
+  try {
+    ({ payload } = await jwtVerify(token, keys.key, { algorithms: keys.algorithms }));
+  } catch (e) {
+    if (e instanceof errors.JWTExpired) throw new LicenseExpiredError("Access token expired");
+    if (e instanceof errors.JOSEError) throw new InvalidTokenError();
+    throw e;
+  }
+  if (appId && payload.appId !== appId) throw new InvalidTokenError(`Token was issued for ${payload.appId}, not ${appId}`);
+  const { wallet, tokenId, chainId, contract, sid: sessionId, exp } = payload;
+  return { wallet, appId: payload.appId, tokenId, chainId, contract, sessionId, exp };
+}
+
+/**
+ * Returns a checker that asks the backend whether a token's session is still
+ * valid. Positive answers are cached for `cacheSeconds` to keep latency low;
+ * revocations are never cached away.
+ */
+export function createRevocationChecker({ authUrl, cacheSeconds = 30, fetch: fetchImpl = globalThis.fetch }) {
+  const cache = new Map();
+  return async function assertActive(token) {
+    const now = Date.now();
+    const cachedUntil = cache.get(token);
+    if (cachedUntil > now) return;
+    const res = await fetchImpl(new URL("/api/session", authUrl), { headers: { Authorization: `Bearer ${token}` } });
+    if (!res.ok) {
+      cache.delete(token);
+      throw fromResponse(await res.json().catch(() => ({})), res.status);
+    }
+    for (const [t, until] of cache) if (until <= now) cache.delete(t);
+    cache.set(token, now + cacheSeconds * 1000);
+  };
+}
+
+/**
+ * Returns report(token, units) which records consumption against the token's
+ * license and resolves its usage status. Throws RateLimitedError or
+ * QuotaExceededError when the backend refuses the report.
+ */
+export function createUsageReporter({ authUrl, fetch: fetchImpl = globalThis.fetch }) {
+  return async function report(token, units = 1) {
+    const res = await fetchImpl(new URL("/api/usage", authUrl), {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+      body: JSON.stringify({ units })
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) throw fromResponse(body, res.status);
+    return body.usage;
+  };
+}
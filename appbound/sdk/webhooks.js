@@ -0,0 +1,35 @@
+/**
+ * sdk/webhooks.js
+ * Verifies AppBound publisher webhooks (Node). The backend signs each POST
+ * with the webhook's secret: `AppBound-Signature: t=<unix seconds>,v1=<hex>`,
+ * where v1 is HMAC-SHA256 of "<t>.<raw body>". Verify the raw body, before
+ * any JSON parsing, and reject old timestamps so captured requests cannot be
+ * replayed.
+ */
+import crypto from "crypto";
+import { WebhookSignatureError } from "./errors.js";
+
+function parseHeader(header) {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.trim().split("="))
+      .filter(([key, value]) => key && value)
+  );
+  return { timestamp: Number(parts.t), signature: parts.v1 };
+}
+
+/**
+ * Checks `signatureHeader` against the raw body (string or Buffer) and
+ * returns the parsed event { id, type, createdAt, appId, data }.
+ */
+export function verifyWebhook(rawBody, signatureHeader, secret, { toleranceSeconds = 300, now = Date.now() } = {}) {
+  if (!secret) throw new Error("webhook secret is required");
+  const { timestamp, signature } = parseHeader(signatureHeader);
+  if (!Number.isFinite(timestamp) || !/^[0-9a-f]{64}$/.test(signature ?? "")) throw new WebhookSignatureError("Missing or malformed signature");
+  const body = Buffer.isBuffer(rawBody) ? rawBody.toString("utf8") : String(rawBody);
+  const expected = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest();
+  if (!crypto.timingSafeEqual(expected, Buffer.from(signature, "hex"))) throw new WebhookSignatureError();
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) throw new WebhookSignatureError("Signature timestamp outside the tolerance");
+  return JSON.parse(body);
+}
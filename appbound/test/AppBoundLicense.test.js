@@ -0,0 +1,447 @@
+import hre from "hardhat";
+import { expect } from "chai";
+import { loadFixture, time } from "@nomicfoundation/hardhat-toolbox/network-helpers.js";
+import { buildAllowlist } from "../scripts/merkle.js";
+
+const { ethers } = hre;
+const APP = "demo-app";
+const appHash = ethers.id(APP);
+
+async function deploy({ maxSupply = 100 } = {}) {
+  const [admin, alice, bob, carol, publisher] = await ethers.getSigners();
+  const License = await ethers.getContractFactory("CollectibleLicenseNFT");
+  const license = await License.deploy("AppBoundLicense", "ABND", maxSupply, admin.address, 500);
+  await license.registerApp(APP, publisher.address, "ipfs://demo-app", 0, 0);
+  return { license, admin, alice, bob, carol, publisher };
+}
+
+const deployFixture = () => deploy();
+const tinyFixture = () => deploy({ maxSupply: 2 });
+
+// batchMint columns for `rows` of { to, appId, uri?, expiry?, soulbound?, ephemeral?, royaltyReceiver?, royaltyBps? }.
+function batchColumns(rows) {
+  return [
+    rows.map((r) => r.to),
+    rows.map((r) => r.uri ?? ""),
+    rows.map((r) => r.appId),
+    rows.map((r) => r.expiry ?? 0),
+    rows.map((r) => r.soulbound ?? false),
+    rows.map((r) => r.ephemeral ?? false),
+    rows.map((r) => r.royaltyReceiver ?? ethers.ZeroAddress),
+    rows.map((r) => r.royaltyBps ?? 0)
+  ];
+}
+
+describe("CollectibleLicenseNFT", function () {
+  describe("minting", function () {
+    it("mints a license and indexes it for the holder", async function () {
+      const { license, alice } = await loadFixture(deployFixture);
+      await expect(license.mintTo(alice.address, APP, "ipfs://token-1", 1900000000))
+        .to.emit(license, "LicenseMinted")
+        .withArgs(alice.address, 1n, APP, 1900000000n);
+
+      const view = await license.checkLicense(alice.address, APP);
+      expect(view.tokenId).to.equal(1n);
+      expect(view.metadataURI).to.equal("ipfs://token-1");
+      expect(view.expiry).to.equal(1900000000n);
+      expect(await license.ownerOf(1)).to.equal(alice.address);
+      expect(await license.totalSupply()).to.equal(1n);
+      expect((await license.apps(appHash)).supply).to.equal(1n);
+    });
+
+    it("requires a registered app and a minter", async function () {
+      const { license, alice } = await loadFixture(deployFixture);
+      await expect(license.mintTo(alice.address, "unknown-app", "", 0)).to.be.revertedWith("Unknown app");
+      await expect(license.connect(alice).mintTo(alice.address, APP, "", 0)).to.be.revertedWith("Not a minter for this app");
+    });
+
+    it("lets the publisher mint for its own app only", async function () {
+      const { license, alice, publisher } = await loadFixture(deployFixture);
+      await license.registerApp("other-app", alice.address, "", 0, 0);
+      await expect(license.connect(publisher).mintTo(alice.address, APP, "", 0)).to.emit(license, "LicenseMinted");
+      await expect(license.connect(publisher).mintTo(alice.address, "other-app", "", 0)).to.be.revertedWith("Not a minter for this app");
+    });
+
+    it("rejects a second license for the same app", async function () {
+      const { license, alice } = await loadFixture(deployFixture);
+      await license.mintTo(alice.address, APP, "", 0);
+      await expect(license.mintTo(alice.address, APP, "", 0)).to.be.revertedWith("User already owns this app");
+    });
+
+    it("stops at MAX_SUPPLY", async function () {
+      const { license, alice, bob, carol } = await loadFixture(tinyFixture);
+      await license.mintTo(alice.address, APP, "", 0);
+      await license.mintTo(bob.address, APP, "", 0);
+      await expect(license.mintTo(carol.address, APP, "", 0)).to.be.revertedWith("Max supply reached");
+    });
+
+    it("stops at the app's own supply cap", async function () {
+      const { license, alice, bob } = await loadFixture(deployFixture);
+      await license.updateApp(APP, "ipfs://demo-app", 0, 1);
+      await license.mintTo(alice.address, APP, "", 0);
+      await expect(license.mintTo(bob.address, APP, "", 0)).to.be.revertedWith("App supply reached");
+    });
+  });
+
+  describe("enumeration", function () {
+    it("lists live tokens through ERC721Enumerable", async function () {
+      const { license, alice, bob } = await loadFixture(deployFixture);
+      await license.mintTo(alice.address, APP, "", 0);
+      await license.mintTo(bob.address, APP, "", 0);
+      await license.connect(alice).burn(1);
+
+      expect(await license.supportsInterface("0x780e9d63")).to.equal(true);
+      expect(await license.totalSupply()).to.equal(1n);
+      expect(await license.tokenByIndex(0)).to.equal(2n);
+      expect(await license.tokenOfOwnerByIndex(bob.address, 0)).to.equal(2n);
+    });
+  });
+
+  describe("batchMint", function () {
+    it("mints every row", async function () {
+      const { license, alice, bob } = await loadFixture(deployFixture);
+      await license.batchMint(...batchColumns([{ to: alice.address, appId: APP }, { to: bob.address, appId: APP, soulbound: true }]));
+      expect((await license.checkLicense(alice.address, APP)).tokenId).to.equal(1n);
+      expect((await license.checkLicense(bob.address, APP)).soulbound).to.equal(true);
+    });
+
+    it("rejects columns of different lengths", async function () {
+      const { license, alice, bob } = await loadFixture(deployFixture);
+      const columns = batchColumns([{ to: alice.address, appId: APP }, { to: bob.address, appId: APP }]);
+      for (let i = 0; i < columns.length; i++) {
+        const short = columns.map((column, j) => (j === i ? column.slice(1) : column));
+        await expect(license.batchMint(...short)).to.be.revertedWith("Array length mismatch");
+      }
+    });
+
+    it("is all or nothing", async function () {
+      const { license, alice } = await loadFixture(deployFixture);
+      await expect(license.batchMint(...batchColumns([{ to: alice.address, appId: APP }, { to: alice.address, appId: APP }])))
+        .to.be.revertedWith("User already owns this app");
+      expect(await license.totalSupply()).to.equal(0n);
+    });
+  });
+
+  describe("transfers", function () {
+    it("moves the license to the new owner", async function () {
+      const { license, alice, bob } = await loadFixture(deployFixture);
+      await license.mintTo(alice.address, APP, "", 0);
+      await license.connect(alice).transferFrom(alice.address, bob.address, 1);
+
+      expect(await license.userAppToken(alice.address, appHash)).to.equal(0n);
+      expect(await license.userAppToken(bob.address, appHash)).to.equal(1n);
+      expect((await license.checkLicense(alice.address, APP)).tokenId).to.equal(0n);
+      expect((await license.checkLicense(bob.address, APP)).tokenId).to.equal(1n);
+    });
+
+    it("reverts for soulbound licenses", async function () {
+      const { license, alice, bob } = await loadFixture(deployFixture);
+      await license.mintCollectible(alice.address, "", APP, 0, true, false, ethers.ZeroAddress, 0);
+      await expect(license.connect(alice).transferFrom(alice.address, bob.address, 1)).to.be.revertedWith("Token is soulbound");
+    });
+
+    it("does not re-bind a revoked license", async function () {
+      const { license, alice, bob } = await loadFixture(deployFixture);
+      await license.mintTo(alice.address, APP, "", 0);
+      await license.revokeLicense(1, "chargeback");
+      await license.connect(alice).transferFrom(alice.address, bob.address, 1);
+      expect(await license.userAppToken(bob.address, appHash)).to.equal(0n);
+    });
+  });
+
+  describe("rentals (ERC-4907)", function () {
+    it("lends a license until the rental expires", async function () {
+      const { license, alice, bob } = await loadFixture(deployFixture);
+      await license.mintTo(alice.address, APP, "", 0);
+      const expires = (await time.latest()) + 7 * 24 * 3600;
+      await expect(license.connect(alice).setUser(1, bob.address, expires)).to.emit(license, "UpdateUser").withArgs(1n, bob.address, expires);
+
+      expect(await license.userOf(1)).to.equal(bob.address);
+      expect(await license.userExpires(1)).to.equal(BigInt(expires));
+      expect(await license.ownerOf(1)).to.equal(alice.address);
+      expect(await license.supportsInterface("0xad092b5c")).to.equal(true);
+
+      await time.increaseTo(expires + 1);
+      expect(await license.userOf(1)).to.equal(ethers.ZeroAddress);
+    });
+
+    it("is owner-only and refuses soulbound licenses", async function () {
+      const { license, alice, bob } = await loadFixture(deployFixture);
+      await license.mintTo(alice.address, APP, "", 0);
+      await license.registerApp("bound-app", alice.address, "", 0, 0);
+      await license.mintCollectible(bob.address, "", "bound-app", 0, true, false, ethers.ZeroAddress, 0);
+      const expires = (await time.latest()) + 3600;
+
+      await expect(license.connect(bob).setUser(1, bob.address, expires)).to.be.revertedWith("Not owner");
+      await expect(license.connect(bob).setUser(2, alice.address, expires)).to.be.revertedWith("Token is soulbound");
+    });
+
+    it("ends the rental when the license changes hands", async function () {
+      const { license, alice, bob, carol } = await loadFixture(deployFixture);
+      await license.mintTo(alice.address, APP, "", 0);
+      await license.connect(alice).setUser(1, bob.address, (await time.latest()) + 3600);
+
+      await expect(license.connect(alice).transferFrom(alice.address, carol.address, 1))
+        .to.emit(license, "UpdateUser")
+        .withArgs(1n, ethers.ZeroAddress, 0n);
+      expect(await license.userOf(1)).to.equal(ethers.ZeroAddress);
+    });
+  });
+
+  describe("seats", function () {
+    it("lets the app's publisher or an admin set the seat cap", async function () {
+      const { license, alice, publisher } = await loadFixture(deployFixture);
+      await license.mintTo(alice.address, APP, "", 0);
+      await expect(license.connect(publisher).setSeats(1, 2)).to.emit(license, "SeatsSet").withArgs(1n, 2);
+      await expect(license.connect(alice).setSeats(1, 5)).to.be.revertedWith("Not the app's admin or publisher");
+      expect((await license.licenses(1)).seats).to.equal(2n);
+    });
+
+    it("assigns delegates up to the cap and reuses freed seats", async function () {
+      const { license, alice, bob, carol, publisher } = await loadFixture(deployFixture);
+      await license.mintTo(alice.address, APP, "", 0);
+      await license.setSeats(1, 2);
+
+      await expect(license.connect(alice).setDelegate(1, bob.address)).to.emit(license, "DelegateSet").withArgs(1n, bob.address, 1n);
+      await license.connect(alice).setDelegate(1, carol.address);
+      await expect(license.connect(alice).setDelegate(1, publisher.address)).to.be.revertedWith("No free seat");
+      await expect(license.connect(alice).setDelegate(1, bob.address)).to.be.revertedWith("Invalid delegate");
+      await expect(license.connect(alice).setDelegate(1, alice.address)).to.be.revertedWith("Invalid delegate");
+      await expect(license.connect(bob).setDelegate(1, publisher.address)).to.be.revertedWith("Not owner");
+
+      await expect(license.connect(alice).removeDelegate(1, bob.address)).to.emit(license, "DelegateRemoved").withArgs(1n, bob.address, 1n);
+      expect(await license.delegatesOf(1)).to.deep.equal([ethers.ZeroAddress, carol.address]);
+      expect(await license.seatOf(1, bob.address)).to.equal(0n);
+      await license.connect(alice).setDelegate(1, publisher.address);
+      expect(await license.seatOf(1, publisher.address)).to.equal(1n);
+      expect(await license.seatOf(1, carol.address)).to.equal(2n);
+      await expect(license.connect(alice).removeDelegate(1, bob.address)).to.be.revertedWith("Not a delegate");
+    });
+
+    it("keeps the cap above the seats in use", async function () {
+      const { license, alice, bob, carol } = await loadFixture(deployFixture);
+      await license.mintTo(alice.address, APP, "", 0);
+      await license.setSeats(1, 2);
+      await license.connect(alice).setDelegate(1, bob.address);
+      await license.connect(alice).setDelegate(1, carol.address);
+      await expect(license.setSeats(1, 1)).to.be.revertedWith("Seats in use");
+      await license.connect(alice).removeDelegate(1, carol.address);
+      await license.setSeats(1, 1);
+    });
+
+    it("clears the delegates when the license changes hands", async function () {
+      const { license, alice, bob, carol } = await loadFixture(deployFixture);
+      await license.mintTo(alice.address, APP, "", 0);
+      await license.setSeats(1, 1);
+      await license.connect(alice).setDelegate(1, carol.address);
+      await license.connect(alice).transferFrom(alice.address, bob.address, 1);
+      expect(await license.delegatesOf(1)).to.deep.equal([]);
+      expect(await license.seatOf(1, carol.address)).to.equal(0n);
+    });
+  });
+
+  describe("redeem", function () {
+    it("redeems an ephemeral license once", async function () {
+      const { license, alice } = await loadFixture(deployFixture);
+      await license.mintCollectible(alice.address, "", APP, 0, false, true, ethers.ZeroAddress, 0);
+      await expect(license.connect(alice).redeem(1)).to.emit(license, "Redeemed").withArgs(alice.address, 1n);
+      expect(await license.redeemed(1)).to.equal(true);
+      expect((await license.checkLicense(alice.address, APP)).isRedeemed).to.equal(true);
+      await expect(license.connect(alice).redeem(1)).to.be.revertedWith("Already redeemed");
+    });
+
+    it("only redeems the owner's ephemeral licenses", async function () {
+      const { license, alice, bob } = await loadFixture(deployFixture);
+      await license.mintTo(alice.address, APP, "", 0);
+      await license.mintCollectible(bob.address, "", APP, 0, false, true, ethers.ZeroAddress, 0);
+      await expect(license.connect(alice).redeem(1)).to.be.revertedWith("Not ephemeral");
+      await expect(license.connect(alice).redeem(2)).to.be.revertedWith("Not owner");
+    });
+  });
+
+  describe("burn", function () {
+    it("frees the app slot and the holder mapping", async function () {
+      const { license, alice } = await loadFixture(deployFixture);
+      await license.mintTo(alice.address, APP, "", 0);
+      await license.connect(alice).burn(1);
+
+      await expect(license.ownerOf(1)).to.be.reverted;
+      expect(await license.totalSupply()).to.equal(0n);
+      expect((await license.apps(appHash)).supply).to.equal(0n);
+      expect(await license.userAppToken(alice.address, appHash)).to.equal(0n);
+      await expect(license.mintTo(alice.address, APP, "", 0)).to.emit(license, "LicenseMinted");
+    });
+
+    it("is owner-only", async function () {
+      const { license, alice, bob } = await loadFixture(deployFixture);
+      await license.mintTo(alice.address, APP, "", 0);
+      await expect(license.connect(bob).burn(1)).to.be.revertedWith("Not owner");
+    });
+  });
+
+  describe("pause and suspension", function () {
+    it("stops mints, transfers, burns and redemptions while paused", async function () {
+      const { license, alice, bob, carol } = await loadFixture(deployFixture);
+      await license.mintTo(alice.address, APP, "", 0);
+      await license.mintCollectible(bob.address, "", APP, 0, false, true, ethers.ZeroAddress, 0);
+      await expect(license.connect(alice).pause()).to.be.revertedWith("AccessControl: missing role");
+      await license.pause();
+
+      await expect(license.mintTo(carol.address, APP, "", 0)).to.be.revertedWith("Pausable: paused");
+      await expect(license.connect(alice).transferFrom(alice.address, bob.address, 1)).to.be.revertedWith("Pausable: paused");
+      await expect(license.connect(alice).burn(1)).to.be.revertedWith("Pausable: paused");
+      await expect(license.connect(bob).redeem(2)).to.be.revertedWith("Pausable: paused");
+
+      await expect(license.connect(alice).unpause()).to.be.revertedWith("AccessControl: missing role");
+      await license.unpause();
+      await license.connect(bob).redeem(2);
+      await license.connect(alice).burn(1);
+    });
+
+    it("blocks mints and redemptions for a suspended app only", async function () {
+      const { license, alice, bob, publisher } = await loadFixture(deployFixture);
+      await license.registerApp("other-app", publisher.address, "", 0, 0);
+      await license.mintCollectible(alice.address, "", APP, 0, false, true, ethers.ZeroAddress, 0);
+      await expect(license.connect(publisher).setAppSuspended(APP, true)).to.be.revertedWith("AccessControl: missing role");
+      await expect(license.setAppSuspended(APP, true)).to.emit(license, "AppSuspensionSet").withArgs(APP, true);
+
+      expect(await license.appSuspended(appHash)).to.equal(true);
+      await expect(license.mintTo(bob.address, APP, "", 0)).to.be.revertedWith("App suspended");
+      await expect(license.connect(alice).redeem(1)).to.be.revertedWith("App suspended");
+      await license.mintTo(bob.address, "other-app", "", 0);
+      await license.connect(alice).transferFrom(alice.address, bob.address, 1);
+
+      await license.setAppSuspended(APP, false);
+      await license.connect(bob).redeem(1);
+    });
+  });
+
+  describe("renewals", function () {
+    const PRICE = ethers.parseEther("0.01");
+    const PERIOD = 30 * 24 * 3600;
+
+    async function renewableFixture() {
+      const deployed = await deploy();
+      await deployed.license.connect(deployed.publisher).setRenewalPlan(APP, PRICE, PERIOD);
+      return deployed;
+    }
+
+    it("extends from the current expiry for the plan's price per period", async function () {
+      const { license, alice, bob } = await loadFixture(renewableFixture);
+      const expiry = (await time.latest()) + 3600;
+      await license.mintTo(alice.address, APP, "", expiry);
+
+      await expect(license.connect(bob).renew(1, 2, { value: PRICE })).to.be.revertedWith("Wrong payment");
+      await expect(license.connect(bob).renew(1, 2, { value: PRICE * 2n }))
+        .to.emit(license, "ExpiryExtended")
+        .withArgs(1n, BigInt(expiry), BigInt(expiry + 2 * PERIOD), bob.address);
+      expect((await license.licenses(1)).expiry).to.equal(BigInt(expiry + 2 * PERIOD));
+      expect(await ethers.provider.getBalance(await license.getAddress())).to.equal(PRICE * 2n);
+      await expect(license.renew(1, 0)).to.be.revertedWith("periods required");
+    });
+
+    it("extends a lapsed license from now", async function () {
+      const { license, alice } = await loadFixture(renewableFixture);
+      await license.mintTo(alice.address, APP, "", (await time.latest()) + 60);
+      await time.increase(3600);
+      await license.connect(alice).renew(1, 1, { value: PRICE });
+      expect((await license.licenses(1)).expiry).to.equal(BigInt((await time.latest()) + PERIOD));
+    });
+
+    it("refuses perpetual, revoked and plan-less licenses", async function () {
+      const { license, alice, bob, carol } = await loadFixture(renewableFixture);
+      const expiry = (await time.latest()) + 3600;
+      await license.mintTo(alice.address, APP, "", 0);
+      await license.mintTo(bob.address, APP, "", expiry);
+      await license.registerApp("free-app", carol.address, "", 0, 0);
+      await license.mintTo(carol.address, "free-app", "", expiry);
+      await license.revokeLicense(2, "refund");
+
+      await expect(license.renew(1, 1, { value: PRICE })).to.be.revertedWith("License is perpetual");
+      await expect(license.renew(2, 1, { value: PRICE })).to.be.revertedWith("License revoked");
+      await expect(license.renew(3, 1)).to.be.revertedWith("App not renewable");
+      await expect(license.extendExpiry(1, expiry + PERIOD)).to.be.revertedWith("Expiry must increase");
+    });
+
+    it("lets only the app's publisher or an admin set the plan", async function () {
+      const { license, alice } = await loadFixture(renewableFixture);
+      await expect(license.connect(alice).setRenewalPlan(APP, 0, PERIOD)).to.be.revertedWith("Not the app's admin or publisher");
+      await expect(license.setRenewalPlan(APP, 1, PERIOD)).to.emit(license, "RenewalPlanSet").withArgs(APP, 1n, BigInt(PERIOD));
+    });
+
+    it("pays renewals out to the treasurer's chosen address only", async function () {
+      const { license, alice, bob } = await loadFixture(renewableFixture);
+      await expect(license.withdraw(bob.address)).to.be.revertedWith("Nothing to withdraw");
+      await license.mintTo(alice.address, APP, "", (await time.latest()) + 3600);
+      await license.connect(alice).renew(1, 1, { value: PRICE });
+
+      await expect(license.connect(alice).withdraw(alice.address)).to.be.revertedWith("AccessControl: missing role");
+      await expect(license.withdraw(bob.address)).to.changeEtherBalances([license, bob], [-PRICE, PRICE]);
+      await expect(license.withdraw(bob.address)).to.be.revertedWith("Nothing to withdraw");
+    });
+  });
+
+  describe("royalties", function () {
+    it("pays the contract default, the app's publisher, or an explicit receiver", async function () {
+      const { license, admin, alice, bob, carol, publisher } = await loadFixture(deployFixture);
+      await license.registerApp("royalty-app", publisher.address, "", 1000, 0);
+      await license.mintTo(alice.address, APP, "", 0);
+      await license.mintTo(alice.address, "royalty-app", "", 0);
+      await license.mintCollectible(bob.address, "", APP, 0, false, false, carol.address, 250);
+
+      expect(await license.royaltyInfo(1, 10000)).to.deep.equal([admin.address, 500n]);
+      expect(await license.royaltyInfo(2, 10000)).to.deep.equal([publisher.address, 1000n]);
+      expect(await license.royaltyInfo(3, 10000)).to.deep.equal([carol.address, 250n]);
+    });
+
+    it("rejects app royalties above 100%", async function () {
+      const { license, publisher } = await loadFixture(deployFixture);
+      await expect(license.registerApp("greedy-app", publisher.address, "", 10001, 0)).to.be.revertedWith("Royalty too high");
+    });
+  });
+
+  describe("openMint", function () {
+    it("is disabled until an admin enables it", async function () {
+      const { license, alice } = await loadFixture(deployFixture);
+      await expect(license.connect(alice).openMint("", APP, 0, false, false, [])).to.be.revertedWith("Open minting disabled");
+    });
+
+    it("mints to allowlisted wallets with a valid proof", async function () {
+      const { license, alice, bob, carol } = await loadFixture(deployFixture);
+      const allowlist = buildAllowlist([alice.address, bob.address]);
+      await license.setOpenMinting(true);
+      await license.setMerkleRoot(allowlist.root);
+
+      await expect(license.connect(alice).openMint("", APP, 0, false, false, allowlist.proofs[alice.address])).to.emit(license, "LicenseMinted");
+      await expect(license.connect(carol).openMint("", APP, 0, false, false, allowlist.proofs[bob.address]))
+        .to.be.revertedWith("Not allowlisted");
+      await expect(license.connect(bob).openMint("", APP, 0, false, false, [])).to.be.revertedWith("Not allowlisted");
+    });
+
+    it("is open to everyone without a root", async function () {
+      const { license, carol } = await loadFixture(deployFixture);
+      await license.setOpenMinting(true);
+      await expect(license.connect(carol).openMint("", APP, 0, false, false, [])).to.emit(license, "LicenseMinted");
+    });
+  });
+
+  describe("token URIs", function () {
+    it("falls back to baseURI + tokenId for tokens minted without a URI", async function () {
+      const { license, alice, bob } = await loadFixture(deployFixture);
+      await license.mintTo(alice.address, APP, "", 0);
+      await license.mintTo(bob.address, APP, "ipfs://stored", 0);
+      expect(await license.tokenURI(1)).to.equal("");
+
+      await expect(license.setBaseURI("https://api.example.com/metadata/"))
+        .to.emit(license, "BatchMetadataUpdate")
+        .withArgs(1n, ethers.MaxUint256);
+      expect(await license.tokenURI(1)).to.equal("https://api.example.com/metadata/1");
+      expect(await license.tokenURI(2)).to.equal("ipfs://stored");
+    });
+
+    it("lets only admins set the base URI", async function () {
+      const { license, alice } = await loadFixture(deployFixture);
+      await expect(license.connect(alice).setBaseURI("https://evil.example/")).to.be.revertedWith("AccessControl: missing role");
+    });
+  });
+});
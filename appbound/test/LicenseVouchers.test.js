@@ -0,0 +1,154 @@
+import hre from "hardhat";
+import { expect } from "chai";
+import { loadFixture, time } from "@nomicfoundation/hardhat-toolbox/network-helpers.js";
+
+const { ethers } = hre;
+const APP = "demo-app";
+
+// Mirrors LicenseVouchers' MINT_VOUCHER_TYPEHASH and REDEEM_TYPEHASH.
+const MINT_VOUCHER_TYPES = {
+  MintVoucher: [
+    { name: "to", type: "address" },
+    { name: "appId", type: "string" },
+    { name: "tokenURI", type: "string" },
+    { name: "expiry", type: "uint64" },
+    { name: "soulbound", type: "bool" },
+    { name: "ephemeral", type: "bool" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+const REDEEM_TYPES = {
+  Redeem: [
+    { name: "tokenId", type: "uint256" },
+    { name: "owner", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+async function deployFixture() {
+  const [admin, alice, bob, carol, publisher, relayer] = await ethers.getSigners();
+  const License = await ethers.getContractFactory("CollectibleLicenseNFT");
+  const license = await License.deploy("AppBoundLicense", "ABND", 100, admin.address, 500);
+  await license.registerApp(APP, publisher.address, "", 0, 0);
+  await license.registerApp("other-app", admin.address, "", 0, 0);
+  const vouchers = await ethers.getContractAt("LicenseVouchers", await license.vouchers());
+  const { name, version, chainId, verifyingContract } = await vouchers.eip712Domain();
+  const domain = { name, version, chainId, verifyingContract };
+  return { license, vouchers, domain, admin, alice, bob, carol, publisher, relayer };
+}
+
+async function voucherFor(to, { appId = APP, nonce = 1n, deadline, ephemeral = false } = {}) {
+  return { to, appId, tokenURI: "ipfs://voucher", expiry: 0, soulbound: false, ephemeral, nonce, deadline: deadline ?? (await time.latest()) + 3600 };
+}
+
+describe("LicenseVouchers", function () {
+  describe("mintWithVoucher", function () {
+    it("mints a minter-signed voucher submitted by anyone", async function () {
+      const { license, vouchers, domain, admin, alice, bob } = await loadFixture(deployFixture);
+      const voucher = await voucherFor(alice.address);
+      const signature = await admin.signTypedData(domain, MINT_VOUCHER_TYPES, voucher);
+
+      await expect(vouchers.connect(bob).mintWithVoucher(voucher, signature))
+        .to.emit(vouchers, "VoucherRedeemed")
+        .withArgs(admin.address, 1n, 1n);
+      expect(await license.ownerOf(1)).to.equal(alice.address);
+      expect(await license.tokenURI(1)).to.equal("ipfs://voucher");
+      expect(await vouchers.voucherUsed(admin.address, 1n)).to.equal(true);
+    });
+
+    it("refuses a replayed, expired, tampered or foreign voucher", async function () {
+      const { vouchers, domain, admin, alice, bob, carol } = await loadFixture(deployFixture);
+      const voucher = await voucherFor(alice.address);
+      const signature = await admin.signTypedData(domain, MINT_VOUCHER_TYPES, voucher);
+      await vouchers.mintWithVoucher(voucher, signature);
+      await expect(vouchers.mintWithVoucher(voucher, signature)).to.be.revertedWith("Voucher used");
+
+      const late = await voucherFor(bob.address, { nonce: 2n, deadline: (await time.latest()) + 60 });
+      const lateSignature = await admin.signTypedData(domain, MINT_VOUCHER_TYPES, late);
+      await time.increase(61);
+      await expect(vouchers.mintWithVoucher(late, lateSignature)).to.be.revertedWith("Voucher expired");
+
+      const fresh = await voucherFor(bob.address, { nonce: 3n });
+      const freshSignature = await admin.signTypedData(domain, MINT_VOUCHER_TYPES, fresh);
+      await expect(vouchers.mintWithVoucher({ ...fresh, to: carol.address }, freshSignature)).to.be.revertedWith("Invalid voucher signer");
+      const forged = await carol.signTypedData(domain, MINT_VOUCHER_TYPES, fresh);
+      await expect(vouchers.mintWithVoucher(fresh, forged)).to.be.revertedWith("Invalid voucher signer");
+    });
+
+    it("accepts a publisher's vouchers for its own app only", async function () {
+      const { license, vouchers, domain, alice, publisher } = await loadFixture(deployFixture);
+      const own = await voucherFor(alice.address);
+      await vouchers.mintWithVoucher(own, await publisher.signTypedData(domain, MINT_VOUCHER_TYPES, own));
+      expect((await license.checkLicense(alice.address, APP)).tokenId).to.equal(1n);
+
+      const other = await voucherFor(alice.address, { appId: "other-app", nonce: 2n });
+      await expect(vouchers.mintWithVoucher(other, await publisher.signTypedData(domain, MINT_VOUCHER_TYPES, other))).to.be.revertedWith(
+        "Invalid voucher signer"
+      );
+    });
+
+    it("tracks nonces per signer", async function () {
+      const { vouchers, domain, admin, alice, bob, publisher } = await loadFixture(deployFixture);
+      const fromAdmin = await voucherFor(alice.address, { nonce: 7n });
+      const fromPublisher = await voucherFor(bob.address, { nonce: 7n });
+      await vouchers.mintWithVoucher(fromAdmin, await admin.signTypedData(domain, MINT_VOUCHER_TYPES, fromAdmin));
+      await expect(vouchers.mintWithVoucher(fromPublisher, await publisher.signTypedData(domain, MINT_VOUCHER_TYPES, fromPublisher)))
+        .to.emit(vouchers, "VoucherRedeemed")
+        .withArgs(publisher.address, 7n, 2n);
+    });
+  });
+
+  describe("cancelVoucher", function () {
+    it("lets a signer void its own unused voucher only", async function () {
+      const { vouchers, domain, admin, alice, publisher } = await loadFixture(deployFixture);
+      const voucher = await voucherFor(alice.address);
+      const signature = await publisher.signTypedData(domain, MINT_VOUCHER_TYPES, voucher);
+
+      await expect(vouchers.connect(admin).cancelVoucher(1n)).to.emit(vouchers, "VoucherCancelled").withArgs(admin.address, 1n);
+      expect(await vouchers.voucherUsed(publisher.address, 1n)).to.equal(false);
+      await expect(vouchers.connect(publisher).cancelVoucher(1n)).to.emit(vouchers, "VoucherCancelled").withArgs(publisher.address, 1n);
+      await expect(vouchers.mintWithVoucher(voucher, signature)).to.be.revertedWith("Voucher used");
+      await expect(vouchers.connect(publisher).cancelVoucher(1n)).to.be.revertedWith("Voucher used");
+    });
+  });
+
+  describe("redeemWithSig", function () {
+    async function ephemeralFixture() {
+      const deployed = await deployFixture();
+      await deployed.license.mintCollectible(deployed.alice.address, "", APP, 0, false, true, ethers.ZeroAddress, 0);
+      return deployed;
+    }
+
+    async function signRedeem(signer, domain, { tokenId = 1n, owner, nonce = 0n, deadline }) {
+      const message = { tokenId, owner: owner ?? signer.address, nonce, deadline: deadline ?? (await time.latest()) + 3600 };
+      return { deadline: message.deadline, signature: await signer.signTypedData(domain, REDEEM_TYPES, message) };
+    }
+
+    it("redeems for the owner once and consumes their nonce", async function () {
+      const { license, vouchers, domain, alice, bob } = await loadFixture(ephemeralFixture);
+      const { deadline, signature } = await signRedeem(alice, domain, {});
+
+      await expect(vouchers.connect(bob).redeemWithSig(1, deadline, signature)).to.emit(license, "Redeemed").withArgs(alice.address, 1n);
+      expect(await license.redeemed(1)).to.equal(true);
+      expect(await vouchers.nonces(alice.address)).to.equal(1n);
+      await expect(vouchers.redeemWithSig(1, deadline, signature)).to.be.revertedWith("Invalid signature");
+    });
+
+    it("refuses an expired signature or one not from the owner", async function () {
+      const { vouchers, domain, alice, bob } = await loadFixture(ephemeralFixture);
+      const late = await signRedeem(alice, domain, { deadline: (await time.latest()) + 60 });
+      await time.increase(61);
+      await expect(vouchers.redeemWithSig(1, late.deadline, late.signature)).to.be.revertedWith("Signature expired");
+
+      const forged = await signRedeem(bob, domain, { owner: alice.address });
+      await expect(vouchers.redeemWithSig(1, forged.deadline, forged.signature)).to.be.revertedWith("Invalid signature");
+    });
+
+    it("is the only way around redeem's owner check", async function () {
+      const { license, alice } = await loadFixture(ephemeralFixture);
+      await expect(license.connect(alice).redeemFor(alice.address, 1)).to.be.revertedWith("Not the vouchers contract");
+    });
+  });
+});
@@ -0,0 +1,599 @@
+// /api/auth against the backend in-process, backed by the Hardhat network served
+// over JSON-RPC on a random port. The backend reads its config from env on import.
+import hre from "hardhat";
+import { TASK_NODE_CREATE_SERVER } from "hardhat/builtin-tasks/task-names.js";
+import { time } from "@nomicfoundation/hardhat-toolbox/network-helpers.js";
+import { expect } from "chai";
+import request from "supertest";
+import { execFile } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { promisify } from "util";
+import { REDEEM_TYPES, typedDataDomain, vouchersContract } from "../backend/eip712.js";
+import { rawCid } from "../backend/metadata.js";
+import { buildSiweMessage } from "../sdk/client.js";
+import { verifyLicenseCertificate, verifyCrl } from "../sdk/certificate.js";
+
+const { ethers } = hre;
+const APP = "demo-app";
+const DOMAIN = "localhost:3000";
+const ORIGIN = "http://localhost:3000";
+const GATEWAY_APP = "gateway-app";
+const CONTENT_URL = "https://cdn.example.com/demo/{tokenId}?grant={grant}";
+
+describe("backend /api/auth", function () {
+  let server, dir, license, app, deployment;
+  let admin, alice, bob, carol, dave, erin;
+
+  before(async function () {
+    [admin, alice, bob, carol, dave, erin] = await ethers.getSigners();
+    const License = await ethers.getContractFactory("CollectibleLicenseNFT");
+    license = await License.deploy("AppBoundLicense", "ABND", 100, admin.address, 500);
+    await license.registerApp(APP, admin.address, "", 0, 0);
+    await license.registerApp(GATEWAY_APP, admin.address, "", 0, 0);
+
+    const relayerKey = ethers.Wallet.createRandom();
+    await admin.sendTransaction({ to: relayerKey.address, value: ethers.parseEther("10") });
+
+    server = await hre.run(TASK_NODE_CREATE_SERVER, { hostname: "127.0.0.1", port: 0, provider: hre.network.provider });
+    const { port } = await server.listen();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "appbound-test-"));
+    const { abi } = await hre.artifacts.readArtifact("CollectibleLicenseNFT");
+    fs.writeFileSync(path.join(dir, "abi.json"), JSON.stringify(abi));
+
+    Object.assign(process.env, {
+      CONTRACT_ADDRESS: await license.getAddress(),
+      PROVIDER_URL: `http://127.0.0.1:${port}`,
+      FALLBACK_PROVIDER_URLS: "",
+      CHAIN_ID: "31337",
+      ABI_PATH: path.join(dir, "abi.json"),
+      DEPLOYMENTS_FILE: path.join(dir, "deployments.json"),
+      INDEXER_STATE_FILE: path.join(dir, "indexer-state.json"),
+      KEYS_FILE: path.join(dir, "signing-keys.json"),
+      CERT_KEY_FILE: path.join(dir, "certificate-key.json"),
+      ALLOWLIST_FILE: path.join(dir, "allowlist.json"),
+      STORE: "memory",
+      JWT_ALG: "ES256",
+      SIWE_DOMAIN: DOMAIN,
+      SIWE_URI: ORIGIN,
+      AUTH_RATE_LIMIT_PER_MINUTE: "0",
+      ADMIN_PRIVATE_KEY: "",
+      RELAYER_PRIVATE_KEY: relayerKey.privateKey,
+      REDEMPTION_CONTENT_URLS: JSON.stringify({ [APP]: CONTENT_URL }),
+      APP_INSTANCES: JSON.stringify({ [GATEWAY_APP]: { mode: "dedicated" } })
+    });
+    let deployments;
+    ({ app, deployments } = await import("../backend/index.js"));
+    [deployment] = deployments;
+  });
+
+  after(async function () {
+    await server?.close();
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function signIn(signer, status, appId = APP) {
+    const { body } = await request(app).get("/api/nonce").expect(200);
+    const message = buildSiweMessage({ domain: DOMAIN, address: signer.address, uri: ORIGIN, chainId: 31337, nonce: body.nonce });
+    return request(app).post("/api/auth").send({ message, signature: await signer.signMessage(message), appId }).expect(status);
+  }
+
+  // The backend's provider caches the block number briefly; sync until the indexer reaches the head.
+  async function indexed() {
+    const head = await ethers.provider.getBlockNumber();
+    while (deployment.indexer.lastBlock < head) {
+      await deployment.indexer.sync();
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+  }
+
+  function session(accessToken) {
+    return request(app).get("/api/session").set("Authorization", `Bearer ${accessToken}`);
+  }
+
+  it("issues a session for a valid license", async function () {
+    await license.mintTo(alice.address, APP, "", 0);
+    const res = await signIn(alice, 200);
+    expect(res.body).to.include({ success: true, wallet: alice.address, seat: 0, chainId: 31337 });
+    expect(String(res.body.tokenId)).to.equal("1");
+
+    const check = await session(res.body.accessToken).expect(200);
+    expect(check.body).to.include({ active: true, wallet: alice.address, appId: APP });
+  });
+
+  it("refuses a wallet without a license", async function () {
+    const res = await signIn(dave, 403);
+    expect(res.body.code).to.equal("LICENSE_MISSING");
+  });
+
+  it("refuses an expired license", async function () {
+    await license.mintTo(erin.address, APP, "", Math.floor(Date.now() / 1000) - 60);
+    const res = await signIn(erin, 403);
+    expect(res.body.code).to.equal("LICENSE_EXPIRED");
+  });
+
+  it("follows a transfer to the new holder and revokes the old session", async function () {
+    await license.mintTo(bob.address, APP, "", 0);
+    const { tokenId } = await license.checkLicense(bob.address, APP);
+    const before = await signIn(bob, 200);
+
+    await license.connect(bob).transferFrom(bob.address, dave.address, tokenId);
+    expect((await signIn(bob, 403)).body.code).to.equal("LICENSE_MISSING");
+    expect(String((await signIn(dave, 200)).body.tokenId)).to.equal(tokenId.toString());
+
+    await indexed();
+    await session(before.body.accessToken).expect(401);
+  });
+
+  it("refuses a burned license and revokes its session", async function () {
+    await license.mintTo(carol.address, APP, "", 0);
+    const { tokenId } = await license.checkLicense(carol.address, APP);
+    const before = await signIn(carol, 200);
+
+    await license.connect(carol).burn(tokenId);
+    expect((await signIn(carol, 403)).body.code).to.equal("LICENSE_MISSING");
+
+    await indexed();
+    await session(before.body.accessToken).expect(401);
+  });
+
+  it("rejects signatures from another wallet and replayed messages", async function () {
+    const { body } = await request(app).get("/api/nonce").expect(200);
+    const message = buildSiweMessage({ domain: DOMAIN, address: alice.address, uri: ORIGIN, chainId: 31337, nonce: body.nonce });
+    await request(app).post("/api/auth").send({ message, signature: await bob.signMessage(message), appId: APP }).expect(401);
+
+    const signature = await alice.signMessage(message);
+    await request(app).post("/api/auth").send({ message, signature, appId: APP }).expect(200);
+    await request(app).post("/api/auth").send({ message, signature, appId: APP }).expect(401);
+  });
+
+  describe("sessions", function () {
+    function refresh(refreshToken) {
+      return request(app).post("/api/refresh").send({ refreshToken });
+    }
+
+    it("rotates the refresh token on every refresh", async function () {
+      const { body } = await signIn(alice, 200);
+      const first = await refresh(body.refreshToken).expect(200);
+      expect(first.body.sessionId).to.equal(body.sessionId);
+      expect(first.body.refreshToken).to.not.equal(body.refreshToken);
+      await session(first.body.accessToken).expect(200);
+
+      const second = await refresh(first.body.refreshToken).expect(200);
+      expect(second.body.refreshToken).to.not.equal(first.body.refreshToken);
+    });
+
+    it("revokes the whole session when a rotated refresh token is replayed", async function () {
+      const { body } = await signIn(alice, 200);
+      const rotated = await refresh(body.refreshToken).expect(200);
+
+      expect((await refresh(body.refreshToken).expect(401)).body.code).to.equal("SESSION_REVOKED");
+      expect((await refresh(rotated.body.refreshToken).expect(401)).body.code).to.equal("SESSION_REVOKED");
+      expect((await session(rotated.body.accessToken).expect(401)).body.code).to.equal("SESSION_REVOKED");
+      expect((await session(body.accessToken).expect(401)).body.code).to.equal("SESSION_REVOKED");
+    });
+
+    it("lets only one of two concurrent refreshes with the same token rotate it, and revokes the session", async function () {
+      const { body } = await signIn(alice, 200);
+      const responses = await Promise.all([refresh(body.refreshToken), refresh(body.refreshToken)]);
+
+      expect(responses.map((r) => r.status).sort()).to.deep.equal([200, 401]);
+      const winner = responses.find((r) => r.status === 200);
+      expect(responses.find((r) => r.status === 401).body.code).to.equal("SESSION_REVOKED");
+      expect((await refresh(winner.body.refreshToken).expect(401)).body.code).to.equal("SESSION_REVOKED");
+    });
+
+    it("revokes the session on logout with either token", async function () {
+      const byAccess = await signIn(alice, 200);
+      await request(app).post("/api/logout").set("Authorization", `Bearer ${byAccess.body.accessToken}`).expect(200);
+      await session(byAccess.body.accessToken).expect(401);
+      expect((await refresh(byAccess.body.refreshToken).expect(401)).body.code).to.equal("SESSION_REVOKED");
+
+      const byRefresh = await signIn(alice, 200);
+      await request(app).post("/api/logout").send({ refreshToken: byRefresh.body.refreshToken }).expect(200);
+      await session(byRefresh.body.accessToken).expect(401);
+      await request(app).post("/api/logout").send({}).expect(400);
+    });
+  });
+
+  describe("offline certificates", function () {
+    const FINGERPRINT = "machine-0123456789abcdef";
+    let frank, grace, publicKey;
+
+    before(async function () {
+      [frank, grace] = (await ethers.getSigners()).slice(6);
+      ({ body: publicKey } = await request(app).get("/api/certificates/public-key").expect(200));
+    });
+
+    async function issue(signer, status) {
+      const { body } = await signIn(signer, 200);
+      return request(app).post("/api/certificates").set("Authorization", `Bearer ${body.accessToken}`).send({ fingerprint: FINGERPRINT }).expect(status);
+    }
+
+    it("issues a certificate that verifies offline for this app and machine only", async function () {
+      await license.mintTo(frank.address, APP, "", 0);
+      const { body } = await issue(frank, 200);
+
+      const verified = await verifyLicenseCertificate(body.certificate, { publicKey, appId: APP, fingerprint: FINGERPRINT });
+      expect(verified).to.include({ status: "valid", wallet: frank.address, appId: APP, chainId: 31337, certificateId: body.certificateId });
+
+      const inGrace = await verifyLicenseCertificate(body.certificate, { publicKey, fingerprint: FINGERPRINT, now: (body.expiresAt + 60) * 1000 });
+      expect(inGrace.status).to.equal("grace");
+      await expectCode(verifyLicenseCertificate(body.certificate, { publicKey, fingerprint: FINGERPRINT, now: (body.graceUntil + 60) * 1000 }), "LICENSE_EXPIRED");
+      await expectCode(verifyLicenseCertificate(body.certificate, { publicKey, fingerprint: "another-machine-0123" }), "INVALID_TOKEN");
+      await expectCode(verifyLicenseCertificate(body.certificate, { publicKey, fingerprint: FINGERPRINT, appId: "other-app" }), "INVALID_TOKEN");
+    });
+
+    it("requires a fingerprint to verify unless the machine binding is waived", async function () {
+      const { body } = await issue(frank, 200);
+      const error = await verifyLicenseCertificate(body.certificate, { publicKey }).then(() => null, (e) => e);
+      expect(error?.message).to.match(/fingerprint is required/);
+      expect((await verifyLicenseCertificate(body.certificate, { publicKey, anyMachine: true })).wallet).to.equal(frank.address);
+    });
+
+    it("refuses a missing fingerprint", async function () {
+      const { body } = await signIn(frank, 200);
+      const res = await request(app).post("/api/certificates").set("Authorization", `Bearer ${body.accessToken}`).send({}).expect(400);
+      expect(res.body.code).to.equal("INVALID_FINGERPRINT");
+    });
+
+    it("lists the certificates of a transferred license on the CRL", async function () {
+      await license.mintTo(grace.address, APP, "", 0);
+      const { tokenId } = await license.checkLicense(grace.address, APP);
+      const { body } = await issue(grace, 200);
+
+      await license.connect(grace).transferFrom(grace.address, dave.address, tokenId);
+      await indexed();
+
+      const { body: list } = await request(app).get("/api/certificates/crl").expect(200);
+      const crl = await verifyCrl(list.crl, { publicKey });
+      expect(crl.revoked.has(body.certificateId)).to.equal(true);
+      await expectCode(verifyLicenseCertificate(body.certificate, { publicKey, fingerprint: FINGERPRINT, crl }), "LICENSE_REVOKED");
+    });
+  });
+
+  describe("rentals", function () {
+    let owner, renter;
+
+    before(async function () {
+      [owner, renter] = (await ethers.getSigners()).slice(8);
+    });
+
+    it("grants the renter and refuses the owner while the license is rented out", async function () {
+      await license.mintTo(owner.address, APP, "", 0);
+      const { tokenId } = await license.checkLicense(owner.address, APP);
+      const before = await signIn(owner, 200);
+      expect((await signIn(renter, 403)).body.code).to.equal("LICENSE_MISSING");
+
+      const expires = (await time.latest()) + 3600;
+      await license.connect(owner).setUser(tokenId, renter.address, expires);
+      await indexed();
+
+      const rented = await signIn(renter, 200);
+      expect(rented.body).to.include({ wallet: renter.address, seat: 0, rentedUntil: expires, tokenId: tokenId.toString() });
+      await session(rented.body.accessToken).expect(200);
+      expect((await signIn(owner, 403)).body.code).to.equal("LICENSE_RENTED");
+      await session(before.body.accessToken).expect(401);
+
+      const { body } = await request(app).get(`/api/rentals/${tokenId}`).expect(200);
+      expect(body).to.include({ owner: owner.address, user: renter.address, expires });
+    });
+
+    it("answers 404 for malformed and unknown token ids", async function () {
+      await request(app).get("/api/rentals/abc").expect(404);
+      await request(app).get("/api/rentals/1e3").expect(404);
+      await request(app).get("/api/rentals/9999").expect(404);
+    });
+
+    it("hands access back to the owner once the rental ends", async function () {
+      const { tokenId } = await license.checkLicense(owner.address, APP);
+      await time.increase(3601);
+      expect((await signIn(renter, 403)).body.code).to.equal("LICENSE_MISSING");
+      await signIn(owner, 200);
+
+      await license.connect(owner).setUser(tokenId, renter.address, (await time.latest()) + 3600);
+      await indexed();
+      const rented = await signIn(renter, 200);
+      await license.connect(owner).setUser(tokenId, ethers.ZeroAddress, 0);
+      await indexed();
+      await session(rented.body.accessToken).expect(401);
+      await signIn(owner, 200);
+    });
+  });
+
+  describe("seats", function () {
+    let lead, member;
+
+    before(async function () {
+      [lead, member] = (await ethers.getSigners()).slice(11);
+    });
+
+    it("lets a delegate sign in on the owner's seat until the seat is taken back", async function () {
+      await license.mintTo(lead.address, APP, "", 0);
+      const { tokenId } = await license.checkLicense(lead.address, APP);
+      await license.setSeats(tokenId, 1);
+      expect((await signIn(member, 403)).body.code).to.equal("LICENSE_MISSING");
+
+      await license.connect(lead).setDelegate(tokenId, member.address);
+      await indexed();
+      const seated = await signIn(member, 200);
+      expect(seated.body).to.include({ wallet: member.address, seat: 1, tokenId: tokenId.toString() });
+      await session(seated.body.accessToken).expect(200);
+
+      await license.connect(lead).removeDelegate(tokenId, member.address);
+      await indexed();
+      await session(seated.body.accessToken).expect(401);
+      expect((await signIn(member, 403)).body.code).to.equal("LICENSE_MISSING");
+    });
+
+    it("answers 404 for malformed and unknown token ids", async function () {
+      await request(app).get("/api/seats/abc").expect(404);
+      await request(app).get("/api/seats/-1").expect(404);
+      await request(app).get("/api/seats/9999").expect(404);
+    });
+
+    it("checks the seat on chain rather than trusting the index", async function () {
+      const { tokenId } = await license.checkLicense(lead.address, APP);
+      await license.connect(lead).setDelegate(tokenId, member.address);
+      await indexed();
+      await license.connect(lead).removeDelegate(tokenId, member.address);
+      // Not indexed yet: the index still lists the seat, the contract does not.
+      expect((await signIn(member, 403)).body.code).to.equal("LICENSE_MISSING");
+      await indexed();
+    });
+  });
+
+  describe("pause and suspension", function () {
+    const SUSPENDED_APP = "suspended-app";
+    let holder;
+
+    before(async function () {
+      [holder] = (await ethers.getSigners()).slice(13);
+      await license.registerApp(SUSPENDED_APP, admin.address, "", 0, 0);
+      await license.mintTo(holder.address, SUSPENDED_APP, "", 0);
+    });
+
+    it("refuses sign-ins and live sessions of a suspended app until it is reinstated", async function () {
+      const { body } = await signIn(holder, 200, SUSPENDED_APP);
+      await license.setAppSuspended(SUSPENDED_APP, true);
+      await indexed();
+
+      expect((await signIn(holder, 403, SUSPENDED_APP)).body.code).to.equal("APP_SUSPENDED");
+      expect((await session(body.accessToken).expect(403)).body.code).to.equal("APP_SUSPENDED");
+      await signIn(alice, 200);
+
+      await license.setAppSuspended(SUSPENDED_APP, false);
+      await indexed();
+      await session(body.accessToken).expect(200);
+      await signIn(holder, 200, SUSPENDED_APP);
+    });
+
+    it("refuses every sign-in and session while the contract is paused", async function () {
+      const { body } = await signIn(holder, 200, SUSPENDED_APP);
+      await license.pause();
+      await indexed();
+
+      try {
+        expect((await signIn(holder, 403, SUSPENDED_APP)).body.code).to.equal("CONTRACT_PAUSED");
+        expect((await signIn(alice, 403)).body.code).to.equal("CONTRACT_PAUSED");
+        expect((await session(body.accessToken).expect(403)).body.code).to.equal("CONTRACT_PAUSED");
+      } finally {
+        await license.unpause();
+        await indexed();
+      }
+      await session(body.accessToken).expect(200);
+    });
+  });
+
+  describe("redemptions", function () {
+    let holder, other, gasless;
+
+    before(async function () {
+      [holder, other, gasless] = (await ethers.getSigners()).slice(14);
+    });
+
+    async function mintEphemeral(to) {
+      await license.mintCollectible(to.address, "", APP, 0, false, true, ethers.ZeroAddress, 0);
+      return (await license.checkLicense(to.address, APP)).tokenId.toString();
+    }
+
+    async function claim(signer, tokenId, status) {
+      const { body } = await request(app).get("/api/nonce").expect(200);
+      const message = buildSiweMessage({ domain: DOMAIN, address: signer.address, uri: ORIGIN, chainId: 31337, nonce: body.nonce });
+      return request(app).post(`/api/redemptions/${tokenId}/claim`).send({ message, signature: await signer.signMessage(message) }).expect(status);
+    }
+
+    it("hands the redeemer exactly one grant once Redeemed is indexed", async function () {
+      const tokenId = await mintEphemeral(holder);
+      expect((await request(app).get(`/api/redemptions/${tokenId}`).expect(200)).body).to.include({ status: "unredeemed", ephemeral: true });
+      expect((await claim(holder, tokenId, 409)).body.code).to.equal("NOT_REDEEMED");
+
+      await license.connect(holder).redeem(tokenId);
+      await indexed();
+      expect((await request(app).get(`/api/redemptions/${tokenId}`).expect(200)).body).to.include({ status: "redeemed", redeemedBy: holder.address });
+      expect((await claim(other, tokenId, 403)).body.code).to.equal("NOT_REDEEMER");
+
+      const { body } = await claim(holder, tokenId, 200);
+      expect(body).to.include({ tokenId, appId: APP });
+      expect(body.contentUrl).to.equal(CONTENT_URL.replace("{tokenId}", tokenId).replace("{grant}", encodeURIComponent(body.grantToken)));
+      expect((await request(app).get(`/api/redemptions/${tokenId}`).expect(200)).body.status).to.equal("claimed");
+      expect((await claim(holder, tokenId, 410)).body.code).to.equal("ALREADY_CLAIMED");
+    });
+
+    it("hands out the grant of a relayed redeem", async function () {
+      const tokenId = await mintEphemeral(gasless);
+      const vouchers = await vouchersContract(license);
+      const deadline = (await time.latest()) + 3600;
+      const message = { tokenId: BigInt(tokenId), owner: gasless.address, nonce: 0n, deadline };
+      const signature = await gasless.signTypedData(await typedDataDomain(vouchers), REDEEM_TYPES, message);
+
+      const relayed = await request(app).post("/api/relay").send({ type: "redeem", tokenId, deadline, signature }).expect(200);
+      expect(relayed.body.wallet).to.equal(gasless.address);
+      await indexed();
+      expect((await request(app).get(`/api/redemptions/${tokenId}`).expect(200)).body).to.include({ status: "redeemed", redeemedBy: gasless.address });
+      expect((await claim(gasless, tokenId, 200)).body.grantToken).to.be.a("string");
+    });
+
+    it("refuses malformed and unknown token ids", async function () {
+      expect((await request(app).get("/api/redemptions/abc").expect(404)).body.code).to.equal("UNKNOWN_TOKEN");
+      expect((await request(app).get("/api/redemptions/1.5").expect(404)).body.code).to.equal("UNKNOWN_TOKEN");
+      expect((await request(app).get("/api/redemptions/9999").expect(404)).body.code).to.equal("UNKNOWN_TOKEN");
+      expect((await claim(holder, "abc", 404)).body.code).to.equal("UNKNOWN_TOKEN");
+    });
+  });
+
+  describe("token metadata", function () {
+    let collector, tokenId, expiry;
+
+    before(async function () {
+      [collector] = (await ethers.getSigners()).slice(17);
+      expiry = (await time.latest()) + 30 * 24 * 3600;
+      await license.mintCollectible(collector.address, "", APP, expiry, true, true, ethers.ZeroAddress, 0);
+      tokenId = (await license.checkLicense(collector.address, APP)).tokenId.toString();
+    });
+
+    function attribute(body, trait) {
+      return body.attributes.find((a) => a.trait_type === trait);
+    }
+
+    it("renders the license's live state as ERC-721 metadata", async function () {
+      const before = (await request(app).get(`/metadata/${tokenId}`).expect(200)).body;
+      expect(before.name).to.equal(`${APP} license #${tokenId}`);
+      expect(before.image).to.match(new RegExp(`/metadata/${tokenId}/image\\.svg$`));
+      expect(attribute(before, "App").value).to.equal(APP);
+      expect(attribute(before, "Expires")).to.deep.equal({ trait_type: "Expires", display_type: "date", value: expiry });
+      expect(attribute(before, "Soulbound").value).to.equal("Yes");
+      expect(attribute(before, "Ephemeral").value).to.equal("Yes");
+      expect(attribute(before, "Redeemed").value).to.equal("No");
+      expect(attribute(before, "Status").value).to.equal("Active");
+
+      await license.connect(collector).redeem(tokenId);
+      const after = (await request(app).get(`/metadata/${tokenId}`).expect(200)).body;
+      expect(attribute(after, "Redeemed").value).to.equal("Yes");
+      expect(attribute(after, "Status").value).to.equal("Redeemed");
+    });
+
+    it("serves the license card as SVG", async function () {
+      const res = await request(app).get(`/metadata/${tokenId}/image.svg`).expect(200);
+      expect(res.headers["content-type"]).to.match(/^image\/svg\+xml/);
+      const svg = res.body.toString();
+      expect(svg).to.match(/^<svg /);
+      expect(svg).to.include(`License #${tokenId}`).and.include("SOULBOUND").and.include("EPHEMERAL");
+    });
+
+    it("answers 404 for unknown and malformed token ids", async function () {
+      for (const id of ["9999", "abc"]) {
+        expect((await request(app).get(`/metadata/${id}`).expect(404)).body.code).to.equal("UNKNOWN_TOKEN");
+        await request(app).get(`/metadata/${id}/image.svg`).expect(404);
+      }
+    });
+
+    it("exports every live token with content ids for IPFS", async function () {
+      expect(rawCid("")).to.equal("bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku");
+      const out = path.join(dir, "metadata-export");
+      await promisify(execFile)(process.execPath, ["scripts/export-metadata.js", out], { env: process.env });
+
+      const manifest = JSON.parse(fs.readFileSync(path.join(out, "manifest.json"), "utf8"));
+      expect(manifest).to.include({ contract: await license.getAddress(), chainId: 31337 });
+      const json = fs.readFileSync(path.join(out, tokenId), "utf8");
+      const svg = fs.readFileSync(path.join(out, "images", `${tokenId}.svg`), "utf8");
+      expect(manifest.tokens[tokenId]).to.deep.equal({ metadata: `ipfs://${rawCid(json)}`, image: `ipfs://${rawCid(svg)}` });
+      expect(JSON.parse(json).image).to.equal(`ipfs://${rawCid(svg)}`);
+      expect(attribute(JSON.parse(json), "App").value).to.equal(APP);
+    });
+  });
+
+  describe("openMint allowlist", function () {
+    let listed, unlisted;
+
+    before(async function () {
+      [listed, unlisted] = (await ethers.getSigners()).slice(18);
+    });
+
+    after(async function () {
+      await license.setMerkleRoot(ethers.ZeroHash);
+      await license.setOpenMinting(false);
+    });
+
+    function proof(address) {
+      return request(app).get(`/api/allowlist/${address}/proof`);
+    }
+
+    it("serves proofs that openMint accepts once the root is published", async function () {
+      expect((await proof(listed.address).expect(200)).body).to.include({ required: false, root: ethers.ZeroHash });
+      const input = path.join(dir, "allowlist-input.json");
+      fs.writeFileSync(input, JSON.stringify([listed.address]));
+      await promisify(execFile)(process.execPath, ["scripts/allowlist.js", input, process.env.ALLOWLIST_FILE]);
+      await hre.run("allowlist:set-root", { file: process.env.ALLOWLIST_FILE, address: await license.getAddress() });
+      await license.setOpenMinting(true);
+
+      const { body } = await proof(listed.address).expect(200);
+      expect(body).to.include({ required: true, openMinting: true, root: await license.merkleRoot() });
+      await expect(license.connect(listed).openMint("", APP, 0, false, false, body.proof)).to.emit(license, "LicenseMinted");
+      expect((await proof(unlisted.address).expect(404)).body.code).to.equal("NOT_ALLOWLISTED");
+      await expect(license.connect(unlisted).openMint("", APP, 0, false, false, body.proof)).to.be.revertedWith("Not allowlisted");
+      await proof("not-an-address").expect(400);
+    });
+
+    it("refuses to serve proofs for a root other than the published one", async function () {
+      await hre.run("allowlist:set-root", { root: ethers.id("another allowlist"), address: await license.getAddress() });
+      expect((await proof(listed.address).expect(503)).body.code).to.equal("ALLOWLIST_STALE");
+    });
+  });
+
+  describe("app gateway", function () {
+    let user;
+
+    before(async function () {
+      [user] = (await ethers.getSigners()).slice(10);
+    });
+
+    // The instance starts after the mint is indexed; the gateway answers 503 until then.
+    async function viaGateway(accessToken, path = "/") {
+      for (let i = 0; i < 100; i++) {
+        const res = await request(app).get(`/app/${GATEWAY_APP}${path}`).set("Authorization", `Bearer ${accessToken}`);
+        if (res.status !== 503) return res;
+        expect(res.body.code).to.equal("INSTANCE_PENDING");
+        await new Promise((resolve) => setTimeout(resolve, 100));
+      }
+      throw new Error("instance never started");
+    }
+
+    it("forwards to the license's dedicated instance with identity headers", async function () {
+      await license.mintTo(user.address, GATEWAY_APP, "", 0);
+      const { tokenId } = await license.checkLicense(user.address, GATEWAY_APP);
+      await indexed();
+      const { body } = await signIn(user, 200, GATEWAY_APP);
+
+      const res = await viaGateway(body.accessToken, "/dashboard?tab=1");
+      expect(res.status).to.equal(200);
+      expect(res.body.instance).to.deep.equal({ appId: GATEWAY_APP, tokenId: tokenId.toString(), chainId: 31337, contract: await license.getAddress() });
+      expect(res.body.path).to.equal("/dashboard?tab=1");
+      expect(res.body.headers).to.include({ "x-appbound-wallet": user.address, "x-appbound-token-id": tokenId.toString(), "x-forwarded-prefix": `/app/${GATEWAY_APP}` });
+      expect((await deployment.instances.get(tokenId)).endpoint).to.match(/^http:\/\/127\.0\.0\.1:/);
+
+      await request(app).get(`/app/${GATEWAY_APP}/`).expect(401);
+      const other = await signIn(alice, 200);
+      expect((await request(app).get(`/app/${GATEWAY_APP}/`).set("Authorization", `Bearer ${other.body.accessToken}`).expect(403)).body.code).to.equal("WRONG_APP");
+      expect((await request(app).get(`/app/${APP}/`).set("Authorization", `Bearer ${other.body.accessToken}`).expect(404)).body.code).to.equal("APP_NOT_ROUTED");
+    });
+
+    it("stops the instance when the license is burned", async function () {
+      const { tokenId } = await license.checkLicense(user.address, GATEWAY_APP);
+      await license.connect(user).burn(tokenId);
+      await indexed();
+      let instance;
+      for (let i = 0; i < 50 && instance?.status !== "stopped"; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        instance = await deployment.instances.get(tokenId);
+      }
+      expect(instance).to.include({ status: "stopped", stopReason: "burned", endpoint: null });
+    });
+  });
+});
+
+async function expectCode(promise, code) {
+  const error = await promise.then(() => null, (e) => e);
+  expect(error?.code).to.equal(code);
+}
@@ -0,0 +1,84 @@
+// backend/indexer.js against the Hardhat network: reorg rollback through
+// evm_snapshot / evm_revert, and resuming from the state file after a restart.
+import hre from "hardhat";
+import { expect } from "chai";
+import { mine } from "@nomicfoundation/hardhat-toolbox/network-helpers.js";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createIndexer } from "../backend/indexer.js";
+
+const { ethers } = hre;
+const APP = "demo-app";
+
+describe("backend indexer", function () {
+  let dir, stateFile, license, alice, bob;
+
+  beforeEach(async function () {
+    let admin;
+    [admin, alice, bob] = await ethers.getSigners();
+    const License = await ethers.getContractFactory("CollectibleLicenseNFT");
+    license = await License.deploy("AppBoundLicense", "ABND", 100, admin.address, 500);
+    await license.registerApp(APP, admin.address, "", 0, 0);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "appbound-indexer-"));
+    stateFile = path.join(dir, "indexer-state.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function indexer() {
+    const startBlock = (await license.deploymentTransaction().wait()).blockNumber;
+    return createIndexer({ provider: ethers.provider, contract: license, stateFile, startBlock });
+  }
+
+  function collect(indexer, name) {
+    const seen = [];
+    indexer.on(name, (event) => seen.push(event));
+    return seen;
+  }
+
+  it("rolls back a reorged-out transfer and revokes the wallet it had moved to", async function () {
+    const idx = await indexer();
+    await license.mintCollectible(alice.address, "", APP, 0, false, false, ethers.ZeroAddress, 0);
+    await idx.sync();
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+
+    await license.connect(alice).transferFrom(alice.address, bob.address, 1);
+    await idx.sync();
+    expect(idx.holderToken(bob.address, APP)).to.equal("1");
+    expect(idx.holderToken(alice.address, APP)).to.equal(undefined);
+    const transferBlock = idx.lastBlock;
+
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await mine(2);
+    const revokes = collect(idx, "revoke");
+    const reorgs = collect(idx, "reorg");
+    await idx.sync();
+
+    expect(revokes).to.deep.equal([{ wallet: bob.address, appId: APP, tokenId: "1", reason: "reorg" }]);
+    expect(reorgs).to.deep.equal([{ fromBlock: transferBlock, toBlock: transferBlock }]);
+    expect(idx.holderToken(alice.address, APP)).to.equal("1");
+    expect(idx.holderToken(bob.address, APP)).to.equal(undefined);
+    expect(idx.getToken(1).owner).to.equal(alice.address);
+  });
+
+  it("resumes from the state file's lastBlock after a restart", async function () {
+    const first = await indexer();
+    await license.mintCollectible(alice.address, "", APP, 0, false, false, ethers.ZeroAddress, 0);
+    await first.sync();
+    const lastBlock = first.lastBlock;
+
+    await license.mintCollectible(bob.address, "", APP, 0, false, false, ethers.ZeroAddress, 0);
+    const restarted = await indexer();
+    expect(restarted.lastBlock).to.equal(lastBlock);
+    expect(restarted.holderToken(alice.address, APP)).to.equal("1");
+
+    const licenses = collect(restarted, "license");
+    await restarted.sync();
+    expect(licenses.map((e) => e.tokenId)).to.deep.equal(["2"]);
+    expect(restarted.holderToken(bob.address, APP)).to.equal("2");
+    expect(restarted.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+  });
+});
@@ -0,0 +1,199 @@
+// App instance provisioning (backend/instances.js) with the local process driver
+// and its stub app, driven by a stand-in indexer; and the gateway's proxy (gateway.js).
+import { expect } from "chai";
+import { EventEmitter } from "events";
+import express from "express";
+import http from "http";
+import request from "supertest";
+import { createMemoryStore } from "../backend/store/memory.js";
+import { createInstanceService, parseAppConfig } from "../backend/instances.js";
+import { createProvisioner } from "../backend/provisioners/index.js";
+import { forward, identityHeaders } from "../backend/gateway.js";
+
+const CONTRACT = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const OWNER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+describe("backend app instances", function () {
+  let store, service, indexer, tokens, instances;
+
+  beforeEach(function () {
+    store = createMemoryStore();
+    tokens = {};
+    indexer = Object.assign(new EventEmitter(), {
+      getToken: (tokenId) => tokens[tokenId],
+      tokens: () => Object.entries(tokens)
+    });
+    service = createInstanceService({
+      store,
+      provisioner: createProvisioner({ driver: "local" }),
+      apps: { "solo-app": { mode: "dedicated" }, "shared-app": { mode: "shared", url: "http://127.0.0.1:9/base" } }
+    });
+    instances = service.watchDeployment({ indexer, chainId: 31337, address: CONTRACT });
+  });
+
+  afterEach(async function () {
+    await service.stop();
+  });
+
+  const session = (tokenId, appId = "solo-app") => ({ appId, tokenId, chainId: 31337, contract: CONTRACT });
+
+  function mint(tokenId, appId, expiry = 0) {
+    tokens[tokenId] = { owner: OWNER, appId, expiry };
+    indexer.emit("license", { tokenId, owner: OWNER, from: null, appId, expiry });
+  }
+
+  // Waits for a start to finish, running or failed.
+  async function started(tokenId) {
+    for (let i = 0; i < 100; i++) {
+      const instance = await store.getInstance({ chainId: 31337, contract: CONTRACT, tokenId });
+      if (instance?.status === "running" || instance?.status === "failed") return instance;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    throw new Error(`#${tokenId} was not provisioned`);
+  }
+
+  it("provisions a dedicated instance when a license is minted and records its endpoint", async function () {
+    mint("1", "solo-app");
+    mint("2", "shared-app");
+    const instance = await started("1");
+    expect(instance).to.include({ appId: "solo-app", driver: "local", status: "running" });
+    expect(instance.endpoint).to.match(/^http:\/\/127\.0\.0\.1:\d+$/);
+    expect(await store.listInstances({})).to.have.length(1);
+
+    const res = await fetch(`${instance.endpoint}/hello`);
+    expect((await res.json()).instance).to.deep.equal({ appId: "solo-app", tokenId: "1", chainId: 31337, contract: CONTRACT });
+    expect(await service.route(session("1"))).to.deep.equal({ mode: "dedicated", endpoint: instance.endpoint });
+    expect(await service.route(session("2", "shared-app"))).to.deep.equal({ mode: "shared", endpoint: "http://127.0.0.1:9/base" });
+    await expectCode(service.route(session("3", "other-app")), "APP_NOT_ROUTED");
+  });
+
+  it("tears the instance down when the license is burned or expires", async function () {
+    mint("1", "solo-app");
+    mint("2", "solo-app", Math.floor(Date.now() / 1000) + 3600);
+    const { endpoint } = await started("1");
+    await started("2");
+
+    delete tokens["1"];
+    indexer.emit("burn", { tokenId: "1", owner: OWNER, appId: "solo-app", expiry: 0 });
+    tokens["2"].expiry = Math.floor(Date.now() / 1000) - 1;
+    await instances.reconcile();
+
+    expect(await instances.get("1")).to.include({ status: "stopped", stopReason: "burned", endpoint: null });
+    expect(await instances.get("2")).to.include({ status: "stopped", stopReason: "expired" });
+    await expectCode(service.route(session("1")), "INSTANCE_UNAVAILABLE");
+    await fetch(endpoint).then(() => expect.fail("instance still answers"), () => {});
+
+    tokens["2"].expiry = 0;
+    indexer.emit("renew", { tokenId: "2", appId: "solo-app", previousExpiry: 1, expiry: 0 });
+    expect(await started("2")).to.include({ status: "running" });
+  });
+
+  it("provisions again an instance that died, and on request", async function () {
+    mint("1", "solo-app");
+    const first = await started("1");
+    process.kill(Number(first.ref));
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    await instances.reconcile();
+    const second = await instances.get("1");
+    expect(second).to.include({ status: "running" });
+    expect(second.ref).to.not.equal(first.ref);
+
+    const third = await instances.reprovision("1");
+    expect(third).to.include({ status: "running" });
+    expect(third.endpoint).to.not.equal(second.endpoint);
+    await expectCode(instances.reprovision("9"), "UNKNOWN_INSTANCE");
+  });
+
+  it("records a failed start and answers pending before the mint is indexed", async function () {
+    await service.stop();
+    indexer.removeAllListeners();
+    service = createInstanceService({
+      store,
+      provisioner: createProvisioner({ startTimeoutMs: 2000 }),
+      apps: { "solo-app": { mode: "dedicated", command: [process.execPath, "-e", "process.exit(3)"] } }
+    });
+    instances = service.watchDeployment({ indexer, chainId: 31337, address: CONTRACT });
+    await expectCode(service.route(session("1")), "INSTANCE_PENDING");
+    mint("1", "solo-app");
+    const instance = await started("1");
+    expect(instance.status).to.equal("failed");
+    expect(instance.error).to.include("exited with code 3");
+  });
+
+  it("rejects invalid APP_INSTANCES entries", function () {
+    expect(() => parseAppConfig({ a: { mode: "cloud" } })).to.throw(/mode must be/);
+    expect(() => parseAppConfig({ a: { mode: "shared" } })).to.throw(/need a url/);
+    expect(() => parseAppConfig({ a: { mode: "dedicated", command: "node app.js" } })).to.throw(/array of strings/);
+  });
+});
+
+describe("backend gateway proxy", function () {
+  let upstream, endpoint, app;
+
+  before(async function () {
+    upstream = http.createServer((req, res) => {
+      const chunks = [];
+      req.on("data", (chunk) => chunks.push(chunk));
+      req.on("end", () => {
+        res.writeHead(201, { "Content-Type": "application/json", "X-Upstream": "yes" });
+        res.end(JSON.stringify({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString("utf8") }));
+      });
+    });
+    await new Promise((resolve) => upstream.listen(0, "127.0.0.1", resolve));
+    endpoint = `http://127.0.0.1:${upstream.address().port}/base/`;
+    app = express();
+    app.use("/app/:appId", (req, res) =>
+      forward(req, res, {
+        endpoint: req.query.down ? "http://127.0.0.1:9" : endpoint,
+        prefix: req.baseUrl,
+        identity: identityHeaders({ wallet: OWNER, appId: "solo-app", tokenId: "7", chainId: 31337, contract: CONTRACT, sid: "s-1" }, 0)
+      }).catch((e) => res.status(e.code === "INVALID_PATH" ? 400 : 502).json({ code: e.code }))
+    );
+  });
+
+  after(async function () {
+    await new Promise((resolve) => upstream.close(resolve));
+  });
+
+  it("streams the request below the prefix with identity headers and no token", async function () {
+    const res = await request(app)
+      .post("/app/solo-app/notes/1?draft=1")
+      .set("Authorization", "Bearer secret-token")
+      .set("X-AppBound-Wallet", "0x0000000000000000000000000000000000000001")
+      .set("Content-Type", "text/plain")
+      .send("hello")
+      .expect(201);
+    expect(res.headers["x-upstream"]).to.equal("yes");
+    const { method, url, headers, body } = res.body;
+    expect({ method, url, body }).to.deep.equal({ method: "POST", url: "/base/notes/1?draft=1", body: "hello" });
+    expect(headers).to.not.have.property("authorization");
+    expect(headers).to.include({
+      "x-appbound-wallet": OWNER,
+      "x-appbound-token-id": "7",
+      "x-appbound-chain-id": "31337",
+      "x-appbound-session-id": "s-1",
+      "x-forwarded-prefix": "/app/solo-app"
+    });
+  });
+
+  it("keeps requests below the instance's base path", async function () {
+    const res = await request(app).get("/app/solo-app/files/v1.2/..notes").expect(201);
+    expect(res.body.url).to.equal("/base/files/v1.2/..notes");
+
+    // Sent as-is by a raw client; URL resolution would otherwise climb out of /base.
+    for (const url of ["/../admin", "/files/%2E%2e/%2e%2E/admin", "/files/..\\..\\admin", "/.%2e/admin?x=1"]) {
+      await expectCode(forward({ url }, {}, { endpoint, prefix: "/app/solo-app", identity: {} }), "INVALID_PATH");
+    }
+    await expectCode(forward({ url: "//evil.example/x" }, {}, { endpoint: "http://127.0.0.1:9", prefix: "/app/solo-app", identity: {} }), "INVALID_PATH");
+  });
+
+  it("reports an unreachable instance", async function () {
+    const res = await request(app).get("/app/solo-app/?down=1").expect(502);
+    expect(res.body.code).to.equal("INSTANCE_UNREACHABLE");
+  });
+});
+
+async function expectCode(promise, code) {
+  const error = await promise.then(() => null, (e) => e);
+  expect(error?.code).to.equal(code);
+}
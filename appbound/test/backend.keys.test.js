@@ -0,0 +1,74 @@
+// Access-token signing keys (backend/keys.js): rotation and the published JWKS.
+import { expect } from "chai";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createKeyStore } from "../backend/keys.js";
+
+function header(token) {
+  return JSON.parse(Buffer.from(token.split(".")[0], "base64url").toString("utf8"));
+}
+
+// What a downstream app does with the JWKS: pick the key by kid and check the ES256 signature.
+function verifiesWithJwks(token, jwks) {
+  const [encodedHeader, payload, signature] = token.split(".");
+  const jwk = jwks.keys.find((k) => k.kid === header(token).kid);
+  if (!jwk) return false;
+  const { kid, alg, use, ...key } = jwk;
+  return crypto.verify(
+    "sha256",
+    Buffer.from(`${encodedHeader}.${payload}`),
+    { key: crypto.createPublicKey({ key, format: "jwk" }), dsaEncoding: "ieee-p1363" },
+    Buffer.from(signature, "base64url")
+  );
+}
+
+describe("backend signing keys", function () {
+  let dir, file;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "appbound-keys-"));
+    file = path.join(dir, "signing-keys.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("signs with the new kid after a rotation and keeps verifying the old one", async function () {
+    const keys = await createKeyStore({ file, alg: "ES256" });
+    const before = await keys.sign({ sub: "0xabc" }, { expiresIn: "15m" });
+    const oldKid = header(before).kid;
+    const [pending] = keys.jwks().keys.filter((k) => k.kid !== oldKid);
+
+    const newKid = await keys.rotate();
+    const after = await keys.sign({ sub: "0xabc" }, { expiresIn: "15m" });
+    expect(newKid).to.equal(pending.kid);
+    expect(header(after)).to.include({ kid: newKid, alg: "ES256" });
+
+    expect((await keys.verify(before)).sub).to.equal("0xabc");
+    expect((await keys.verify(after)).sub).to.equal("0xabc");
+    const jwks = keys.jwks();
+    expect(jwks.keys.map((k) => k.kid)).to.include.members([oldKid, newKid]);
+    expect(jwks.keys.every((k) => k.d === undefined)).to.equal(true);
+    expect(verifiesWithJwks(before, jwks)).to.equal(true);
+    expect(verifiesWithJwks(after, jwks)).to.equal(true);
+  });
+
+  it("keeps the keys across restarts", async function () {
+    const first = await createKeyStore({ file, alg: "ES256" });
+    const token = await first.sign({ sub: "0xabc" }, { expiresIn: "15m" });
+    const second = await createKeyStore({ file, alg: "ES256" });
+    expect((await second.verify(token)).sub).to.equal("0xabc");
+    expect(header(await second.sign({}, { expiresIn: "15m" })).kid).to.equal(header(token).kid);
+  });
+
+  it("refuses tokens signed with an unknown key", async function () {
+    const ours = await createKeyStore({ file, alg: "ES256" });
+    const theirs = await createKeyStore({ file: path.join(dir, "other-keys.json"), alg: "ES256" });
+    const forged = await theirs.sign({ sub: "0xabc" }, { expiresIn: "15m" });
+    const error = await ours.verify(forged).then(() => null, (e) => e);
+    expect(error).to.be.an("error");
+  });
+});
@@ -0,0 +1,70 @@
+// findHolder (backend/license.js) across two stand-in deployments.
+import { expect } from "chai";
+import { ethers } from "ethers";
+import { findHolder } from "../backend/license.js";
+
+const APP = "demo-app";
+const WALLET = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const PAST = Math.floor(Date.now() / 1000) - 60;
+
+// The contract reads checkHolder makes, for a wallet that holds `tokenId` (0 = none).
+function fakeContract({ tokenId = 0n, expiry = 0, unreachable = false } = {}) {
+  const read = (value) => () => (unreachable ? Promise.reject(Object.assign(new Error("connect ECONNREFUSED"), { code: "NETWORK_ERROR" })) : Promise.resolve(value));
+  return {
+    checkLicense: read({ tokenId, expiry: BigInt(expiry), ephemeral: false }),
+    paused: read(false),
+    appSuspended: read(false),
+    userOf: read(ethers.ZeroAddress),
+    userExpires: read(0n)
+  };
+}
+
+function deployment(name, chainId, license) {
+  return { name, chainId, contract: fakeContract(license), indexer: { rentedToken: () => undefined, delegatedToken: () => undefined } };
+}
+
+async function expectCode(promise, code) {
+  const error = await promise.then(() => null, (e) => e);
+  expect(error?.code).to.equal(code);
+}
+
+describe("backend findHolder", function () {
+  it("picks the first deployment, in order, where the wallet holds the license", async function () {
+    const mainnet = deployment("mainnet", 1, { tokenId: 7n });
+    const base = deployment("base", 8453, { tokenId: 3n });
+
+    expect(await findHolder([mainnet, base], WALLET, APP)).to.include({ deployment: mainnet, tokenId: "7", seat: 0 });
+    expect(await findHolder([base, mainnet], WALLET, APP)).to.include({ deployment: base, tokenId: "3" });
+    const onlyBase = await findHolder([deployment("mainnet", 1), base], WALLET, APP);
+    expect(onlyBase.deployment).to.equal(base);
+  });
+
+  it("skips an expired license for a live one on another chain", async function () {
+    const expired = deployment("mainnet", 1, { tokenId: 7n, expiry: PAST });
+    const live = deployment("base", 8453, { tokenId: 3n });
+    expect((await findHolder([expired, live], WALLET, APP)).deployment).to.equal(live);
+  });
+
+  it("throws the most specific refusal when no deployment has a live license", async function () {
+    const expired = deployment("mainnet", 1, { tokenId: 7n, expiry: PAST });
+    const missing = deployment("base", 8453);
+    await expectCode(findHolder([missing, expired], WALLET, APP), "LICENSE_EXPIRED");
+    await expectCode(findHolder([expired, missing], WALLET, APP), "LICENSE_EXPIRED");
+    await expectCode(findHolder([missing, deployment("optimism", 10)], WALLET, APP), "LICENSE_MISSING");
+  });
+
+  it("reports an unreachable chain instead of a missing license", async function () {
+    const down = deployment("mainnet", 1, { unreachable: true });
+    const errors = [];
+    const logError = console.error;
+    console.error = (...args) => errors.push(args);
+    try {
+      await expectCode(findHolder([deployment("base", 8453), down], WALLET, APP), "CHAIN_UNAVAILABLE");
+      const found = await findHolder([down, deployment("base", 8453, { tokenId: 3n })], WALLET, APP);
+      expect(found.tokenId).to.equal("3");
+    } finally {
+      console.error = logError;
+    }
+    expect(errors).to.have.length(1);
+  });
+});
@@ -0,0 +1,72 @@
+// Usage quotas (backend/metering.js) against the memory store, with a fixed clock.
+import { expect } from "chai";
+import { createMemoryStore } from "../backend/store/memory.js";
+import { createMeter, usagePeriod } from "../backend/metering.js";
+
+const APP = "demo-app";
+const NOW = Date.UTC(2026, 9, 19, 12, 0, 10);
+
+async function expectQuotaError(promise, code) {
+  const error = await promise.then(() => null, (e) => e);
+  expect(error?.code).to.equal(code);
+  expect(error.retryAfter).to.be.greaterThan(0);
+  return error;
+}
+
+describe("backend metering", function () {
+  let meter;
+
+  beforeEach(function () {
+    meter = createMeter({ store: createMemoryStore() });
+  });
+
+  it("refuses to issue tokens past a license's requests per minute", async function () {
+    await meter.setQuota(APP, { tokenRpm: 2 });
+    await meter.assertWithinQuota({ tokenId: "1", appId: APP }, NOW);
+    await meter.assertWithinQuota({ tokenId: "1", appId: APP }, NOW);
+    const error = await expectQuotaError(meter.assertWithinQuota({ tokenId: "1", appId: APP }, NOW), "RATE_LIMITED");
+    expect(error.retryAfter).to.equal(50);
+
+    await meter.assertWithinQuota({ tokenId: "2", appId: APP }, NOW);
+    await meter.assertWithinQuota({ tokenId: "1", appId: APP }, NOW + 60_000);
+  });
+
+  it("counts issuances and usage reports against the same windows", async function () {
+    await meter.setQuota(APP, { tokenRpm: 2, appRpm: 3 });
+    await meter.assertWithinQuota({ tokenId: "1", appId: APP }, NOW);
+    await meter.record({ tokenId: "1", appId: APP }, NOW);
+    await expectQuotaError(meter.record({ tokenId: "1", appId: APP }, NOW), "RATE_LIMITED");
+
+    await meter.assertWithinQuota({ tokenId: "2", appId: APP }, NOW);
+    await expectQuotaError(meter.assertWithinQuota({ tokenId: "3", appId: APP }, NOW), "RATE_LIMITED");
+  });
+
+  it("records the report that crosses the monthly limit and refuses the next", async function () {
+    await meter.setQuota(APP, { tokenMonthlyUnits: 10 });
+    expect((await meter.record({ tokenId: "1", appId: APP, units: 8 }, NOW)).remaining).to.equal(2);
+    const crossed = await meter.record({ tokenId: "1", appId: APP, units: 5 }, NOW);
+    expect(crossed).to.include({ units: 13, remaining: 0, period: usagePeriod(NOW) });
+
+    await expectQuotaError(meter.record({ tokenId: "1", appId: APP }, NOW), "QUOTA_EXCEEDED");
+    await expectQuotaError(meter.assertWithinQuota({ tokenId: "1", appId: APP }, NOW), "QUOTA_EXCEEDED");
+    await meter.assertWithinQuota({ tokenId: "2", appId: APP }, NOW);
+    await meter.assertWithinQuota({ tokenId: "1", appId: APP }, Date.UTC(2026, 10, 1));
+  });
+
+  it("sums monthly units over every license of the app", async function () {
+    await meter.setQuota(APP, { appMonthlyUnits: 5 });
+    await meter.record({ tokenId: "1", appId: APP, units: 3 }, NOW);
+    await meter.record({ tokenId: "2", appId: APP, units: 2 }, NOW);
+    await expectQuotaError(meter.assertWithinQuota({ tokenId: "3", appId: APP }, NOW), "QUOTA_EXCEEDED");
+    await meter.assertWithinQuota({ tokenId: "3", appId: "other-app" }, NOW);
+  });
+
+  it("falls back to the defaults and treats 0 as unlimited", async function () {
+    meter = createMeter({ store: createMemoryStore(), defaults: { tokenRpm: 1 } });
+    await meter.assertWithinQuota({ tokenId: "1", appId: APP }, NOW);
+    await expectQuotaError(meter.assertWithinQuota({ tokenId: "1", appId: APP }, NOW), "RATE_LIMITED");
+
+    await meter.setQuota(APP, { tokenRpm: 0 });
+    for (let i = 0; i < 5; i++) await meter.assertWithinQuota({ tokenId: "1", appId: APP }, NOW);
+  });
+});
@@ -0,0 +1,90 @@
+// backend/relayer.js against the Hardhat network: mint vouchers and signed
+// redeems submitted from a relayer key within a daily gas budget.
+import hre from "hardhat";
+import { expect } from "chai";
+import { loadFixture, time } from "@nomicfoundation/hardhat-toolbox/network-helpers.js";
+import { MINT_VOUCHER_TYPES, REDEEM_TYPES, typedDataDomain, vouchersContract } from "../backend/eip712.js";
+import { createRelayer } from "../backend/relayer.js";
+import { createMemoryStore } from "../backend/store/memory.js";
+
+const { ethers } = hre;
+const APP = "demo-app";
+
+async function deployFixture({ budgetGwei = 10_000_000 } = {}) {
+  const [admin, alice, relayerKey] = await ethers.getSigners();
+  const License = await ethers.getContractFactory("CollectibleLicenseNFT");
+  const license = await License.deploy("AppBoundLicense", "ABND", 100, admin.address, 500);
+  await license.registerApp(APP, admin.address, "", 0, 0);
+  const domain = await typedDataDomain(await vouchersContract(license));
+  const relayer = createRelayer({ contract: license, signer: relayerKey, store: createMemoryStore(), budgetGwei });
+  return { license, domain, admin, alice, relayerKey, relayer };
+}
+
+async function voucherFor(to, nonce = 1n) {
+  return { to, appId: APP, tokenURI: "", expiry: 0, soulbound: false, ephemeral: false, nonce, deadline: (await time.latest()) + 3600 };
+}
+
+describe("backend relayer", function () {
+  it("submits a voucher mint and charges the recipient's budget", async function () {
+    const { license, domain, admin, alice, relayer } = await loadFixture(deployFixture);
+    const voucher = await voucherFor(alice.address);
+    const signature = await admin.signTypedData(domain, MINT_VOUCHER_TYPES, voucher);
+
+    const result = await relayer.relay({ type: "mint", voucher, signature });
+    expect(result).to.include({ wallet: alice.address, tokenId: "1" });
+    expect(result.costGwei).to.be.greaterThan(0);
+    expect(result.budget.spentGwei).to.equal(result.costGwei);
+    expect(await license.ownerOf(1)).to.equal(alice.address);
+
+    await expect(relayer.relay({ type: "mint", voucher, signature })).to.be.revertedWith("Voucher used");
+  });
+
+  it("sends one transaction for a voucher relayed twice at once and charges it once", async function () {
+    const { license, domain, admin, alice, relayerKey, relayer } = await loadFixture(deployFixture);
+    const voucher = await voucherFor(alice.address);
+    const signature = await admin.signTypedData(domain, MINT_VOUCHER_TYPES, voucher);
+    const sent = await ethers.provider.getTransactionCount(relayerKey.address);
+    const { spentGwei } = await relayer.budget(alice.address);
+
+    const [first, second] = await Promise.allSettled([
+      relayer.relay({ type: "mint", voucher, signature }),
+      relayer.relay({ type: "mint", voucher, signature })
+    ]);
+    expect(first.status).to.equal("fulfilled");
+    expect(second.status).to.equal("rejected");
+    expect(second.reason.message).to.include("Voucher used");
+    expect(await ethers.provider.getTransactionCount(relayerKey.address)).to.equal(sent + 1);
+    expect((await relayer.budget(alice.address)).spentGwei).to.equal(spentGwei + first.value.costGwei);
+    expect(await license.balanceOf(alice.address)).to.equal(1n);
+  });
+
+  it("submits a signed redeem on the owner's behalf", async function () {
+    const { license, domain, alice, relayer } = await loadFixture(deployFixture);
+    await license.mintCollectible(alice.address, "", APP, 0, false, true, ethers.ZeroAddress, 0);
+    const deadline = (await time.latest()) + 3600;
+    const signature = await alice.signTypedData(domain, REDEEM_TYPES, { tokenId: 1n, owner: alice.address, nonce: 0n, deadline });
+
+    expect((await relayer.relay({ type: "redeem", tokenId: 1, deadline, signature })).wallet).to.equal(alice.address);
+    expect(await license.redeemed(1)).to.equal(true);
+  });
+
+  it("refuses malformed requests and requests over the daily budget", async function () {
+    const { relayer, domain, admin, alice } = await deployFixture({ budgetGwei: 1 });
+    const voucher = await voucherFor(alice.address);
+    const signature = await admin.signTypedData(domain, MINT_VOUCHER_TYPES, voucher);
+
+    await expectCode(relayer.relay({ type: "mint", voucher }), "INVALID_REQUEST");
+    await expectCode(relayer.relay({ type: "burn", signature }), "INVALID_REQUEST");
+    await expectCode(relayer.relay({ type: "mint", voucher: { appId: APP }, signature }), "INVALID_REQUEST");
+    await expectCode(relayer.relay({ type: "mint", voucher: { ...voucher, nonce: "abc" }, signature }), "INVALID_REQUEST");
+    await expectCode(relayer.relay({ type: "mint", voucher: { ...voucher, expiry: 1.5 }, signature }), "INVALID_REQUEST");
+    await expectCode(relayer.relay({ type: "redeem", tokenId: "abc", deadline: voucher.deadline, signature }), "INVALID_REQUEST");
+    await expectCode(relayer.relay({ type: "redeem", tokenId: 1, deadline: -1, signature }), "INVALID_REQUEST");
+    await expectCode(relayer.relay({ type: "mint", voucher, signature }), "BUDGET_EXCEEDED");
+  });
+});
+
+async function expectCode(promise, code) {
+  const error = await promise.then(() => null, (e) => e);
+  expect(error?.code).to.equal(code);
+}
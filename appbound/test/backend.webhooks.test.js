@@ -0,0 +1,159 @@
+// Publisher webhooks (backend/webhooks.js) against the memory store, a stand-in
+// indexer and a local HTTP receiver that verifies signatures with the SDK.
+import { expect } from "chai";
+import { EventEmitter } from "events";
+import http from "http";
+import { createMemoryStore } from "../backend/store/memory.js";
+import { createWebhookService, WebhookError } from "../backend/webhooks.js";
+import { verifyWebhook } from "../sdk/webhooks.js";
+import { WebhookSignatureError } from "../sdk/errors.js";
+
+const APP = "demo-app";
+const CONTRACT = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const OWNER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+describe("backend publisher webhooks", function () {
+  let server, url, received, failures, store, service;
+
+  before(async function () {
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on("data", (chunk) => chunks.push(chunk));
+      req.on("end", () => {
+        received.push({ headers: req.headers, body: Buffer.concat(chunks).toString("utf8") });
+        res.writeHead(failures-- > 0 ? 500 : 204).end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}/hooks`;
+  });
+
+  after(async function () {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(function () {
+    received = [];
+    failures = 0;
+    store = createMemoryStore();
+    service = createWebhookService({ store, maxAttempts: 3, retryBaseSeconds: 0 });
+  });
+
+  // A stand-in for one deployment: the indexer's events and the contract's licenses().
+  function deployment(tokens = {}) {
+    const indexer = Object.assign(new EventEmitter(), {
+      getToken: (tokenId) => tokens[tokenId],
+      tokens: () => Object.entries(tokens)
+    });
+    const contract = {
+      async licenses(tokenId) {
+        const t = tokens[tokenId];
+        if (!t) return { appId: "" };
+        return { appId: t.appId, expiry: BigInt(t.expiry), soulbound: false, ephemeral: false, seats: 1n };
+      }
+    };
+    return { indexer, contract, chainId: 31337, address: CONTRACT };
+  }
+
+  async function settle() {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await service.processDue();
+  }
+
+  it("delivers a signed event the SDK verifies", async function () {
+    const { secret } = await service.register({ appId: APP, url });
+    expect(secret).to.match(/^whsec_/);
+    expect(await service.emit(APP, "license.minted", { tokenId: "1", owner: OWNER }, "evt-1")).to.equal(1);
+    await settle();
+
+    expect(received).to.have.length(1);
+    const [{ headers, body }] = received;
+    expect(headers["appbound-event"]).to.equal("license.minted");
+    const event = verifyWebhook(body, headers["appbound-signature"], secret);
+    expect(event).to.include({ type: "license.minted", appId: APP });
+    expect(event.data).to.deep.equal({ tokenId: "1", owner: OWNER });
+    expect(headers["appbound-delivery"]).to.equal(event.id);
+
+    expect(() => verifyWebhook(body, headers["appbound-signature"], "whsec_other")).to.throw(WebhookSignatureError);
+    expect(() => verifyWebhook(body, headers["appbound-signature"], secret, { now: Date.now() + 3600_000 })).to.throw(WebhookSignatureError);
+    const [delivery] = await service.deliveries({ appId: APP });
+    expect(delivery).to.include({ status: "delivered", attempts: 1, lastStatus: 204 });
+  });
+
+  it("only sends subscribed events of the webhook's app", async function () {
+    await service.register({ appId: APP, url, events: ["license.burned"] });
+    await service.register({ appId: "other-app", url });
+    await service.emit(APP, "license.minted", {}, "evt-1");
+    await service.emit(APP, "license.burned", {}, "evt-2");
+    await settle();
+    expect(received.map((r) => r.headers["appbound-event"])).to.deep.equal(["license.burned"]);
+  });
+
+  it("retries failed deliveries, then dead-letters them", async function () {
+    await service.register({ appId: APP, url });
+    failures = 1;
+    await service.emit(APP, "license.renewed", {}, "evt-1");
+    await settle();
+    const [retried] = await service.deliveries();
+    expect(retried).to.include({ status: "delivered", attempts: 2 });
+    expect(retried.log.map((l) => l.status)).to.deep.equal([500, 204]);
+
+    failures = 3;
+    await service.emit(APP, "license.renewed", {}, "evt-2");
+    await settle();
+    const dead = await service.deliveries({ status: "dead" });
+    expect(dead).to.have.length(1);
+    expect(dead[0]).to.include({ attempts: 3, lastStatus: 500, lastError: "HTTP 500" });
+
+    const redelivered = await service.redeliver(dead[0].id);
+    expect(redelivered).to.include({ status: "delivered", attempts: 1 });
+    expect(redelivered.log).to.have.length(4);
+  });
+
+  it("sends each event once per webhook", async function () {
+    await service.register({ appId: APP, url });
+    expect(await service.emit(APP, "license.minted", {}, "evt-1")).to.equal(1);
+    expect(await service.emit(APP, "license.minted", {}, "evt-1")).to.equal(0);
+    await settle();
+    expect(received).to.have.length(1);
+  });
+
+  it("turns indexer events and expiries into webhooks", async function () {
+    const now = Math.floor(Date.now() / 1000);
+    const tokens = { 1: { appId: APP, owner: OWNER, expiry: now + 3600 }, 2: { appId: APP, owner: OWNER, expiry: now - 60 } };
+    const d = deployment(tokens);
+    const { secret } = await service.register({ appId: APP, url });
+    // Registered after token 2 expired: the scan only reports later expiries.
+    await store.updateWebhook((await service.list())[0].id, { createdAt: (now - 120) * 1000 });
+    const scanExpiries = service.watchDeployment(d);
+
+    d.indexer.emit("license", { tokenId: "1", owner: OWNER, from: null, appId: APP, txHash: "0xaa", blockNumber: 5, logIndex: 0 });
+    d.indexer.emit("license", { tokenId: "1", owner: OWNER, from: null, appId: APP, txHash: "0xaa", blockNumber: 5, logIndex: 0 });
+    await scanExpiries();
+    await scanExpiries();
+    await settle();
+
+    const events = received.map((r) => verifyWebhook(r.body, r.headers["appbound-signature"], secret));
+    expect(events.map((e) => e.type).sort()).to.deep.equal(["license.expired", "license.minted"]);
+    const minted = events.find((e) => e.type === "license.minted");
+    expect(minted.data).to.include({ tokenId: "1", appId: APP, owner: OWNER, expiry: now + 3600, chainId: 31337, contract: CONTRACT, txHash: "0xaa" });
+    expect(events.find((e) => e.type === "license.expired").data).to.include({ tokenId: "2", expiry: now - 60 });
+  });
+
+  it("validates registrations", async function () {
+    const error = async (promise) => promise.then(() => null, (e) => e);
+    expect(await error(service.register({ appId: APP, url: "ftp://example.com" }))).to.be.instanceOf(WebhookError).with.property("code", "INVALID_URL");
+    expect((await error(service.register({ appId: APP, url, events: ["license.stolen"] }))).code).to.equal("INVALID_EVENTS");
+    expect((await error(service.register({ url }))).code).to.equal("APP_ID_REQUIRED");
+    expect((await error(service.get("nope"))).code).to.equal("UNKNOWN_WEBHOOK");
+
+    const { id, secret } = await service.register({ appId: APP, url });
+    expect(await service.get(id)).to.not.have.property("secret");
+    const rotated = await service.rotateSecret(id);
+    expect(rotated.secret).to.not.equal(secret);
+    expect(await service.update(id, { active: false })).to.include({ active: false });
+    expect(await service.emit(APP, "license.minted", {}, "evt-1")).to.equal(0);
+    await service.remove(id);
+    expect(await service.list()).to.deep.equal([]);
+  });
+});
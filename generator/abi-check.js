@@ -0,0 +1,139 @@
+/**
+ * generator/abi-check.js
+ * Post-generation check that the generated pieces agree on one contract
+ * interface. The contract's external surface is read from the generated
+ * Solidity (declared functions, public state getters, events, and what the
+ * OpenZeppelin bases it inherits contribute), then checked against:
+ * - contract names passed to getContractFactory / getContractAt and
+ *   CONTRACT_NAME defaults,
+ * - the constructor arguments scripts/deploy.js passes to deploy(),
+ * - human-readable ABI fragments ("function openMint(...)") in JS, which must
+ *   match a declared function or event exactly,
+ * - methods called on contract objects (contract.x(), license.x(),
+ *   license.connect(signer).x(), transact("x")), which must exist on the
+ *   contract.
+ * Works on a { path: content } map, so a dry run can be checked too.
+ */
+
+// Functions each OpenZeppelin base adds to the ABI (only the names are checked).
+const INHERITED = {
+  ERC721: ["balanceOf", "ownerOf", "name", "symbol", "tokenURI", "approve", "getApproved", "setApprovalForAll", "isApprovedForAll", "transferFrom", "safeTransferFrom", "supportsInterface"],
+  ERC721Enumerable: ["totalSupply", "tokenOfOwnerByIndex", "tokenByIndex"],
+  ERC2981: ["royaltyInfo"],
+  Ownable: ["owner", "transferOwnership", "renounceOwnership"],
+  AccessControl: ["DEFAULT_ADMIN_ROLE", "hasRole", "getRoleAdmin", "grantRole", "revokeRole", "renounceRole"],
+  Pausable: ["paused"],
+  EIP712: ["eip712Domain"]
+};
+INHERITED.ERC721URIStorage = INHERITED.ERC721;
+INHERITED.ERC721Burnable = [...INHERITED.ERC721, "burn"];
+
+// ethers.Contract / Hardhat helpers that are not contract functions.
+const CONTRACT_OBJECT_METHODS = new Set([
+  "getAddress", "connect", "attach", "waitForDeployment", "deploymentTransaction", "getFunction", "getEvent",
+  "queryFilter", "on", "once", "off", "removeAllListeners", "listeners", "listenerCount", "emit"
+]);
+
+// Blanks comments but keeps line breaks, so reported line numbers stay right.
+function stripComments(source) {
+  return source.replace(/\/\*[\s\S]*?\*\//g, (c) => c.replace(/[^\n]/g, " ")).replace(/(^|[^:])\/\/.*$/gm, "$1");
+}
+
+function paramTypes(params) {
+  return params
+    .split(",")
+    .map((p) => p.trim())
+    .filter(Boolean)
+    .map((p) => p.split(/\s+/)[0].replace(/^uint(?=$|\[)/, "uint256").replace(/^int(?=$|\[)/, "int256"));
+}
+
+/** External interface of the first contract declared in `source`. */
+export function parseContract(source) {
+  const code = stripComments(source);
+  const decl = code.match(/\bcontract\s+(\w+)(?:\s+is\s+([^{]+))?\{/);
+  if (!decl) return null;
+  const bases = (decl[2] || "").split(",").map((b) => b.trim().split(/[\s(]/)[0]).filter(Boolean);
+
+  const functions = new Map(); // name => [types[]]
+  const add = (name, types) => functions.set(name, [...(functions.get(name) || []), types]);
+  for (const [, name, params, attributes] of code.matchAll(/\bfunction\s+(\w+)\s*\(([^)]*)\)([^{;]*)[{;]/g)) {
+    if (/\b(external|public)\b/.test(attributes)) add(name, paramTypes(params));
+  }
+  for (const [, name] of code.matchAll(/^\s*(?:mapping\s*\(.*\)|[\w.]+(?:\[\d*\])*)\s+(?:(?:constant|immutable|override)\s+)*public\b[^;=(]*?(\w+)\s*[;=]/gm)) {
+    add(name, null); // getter; arguments depend on the mapping
+  }
+  for (const base of bases) for (const name of INHERITED[base] || []) if (!functions.has(name)) add(name, null);
+
+  const events = new Map();
+  for (const [, name, params] of code.matchAll(/\bevent\s+(\w+)\s*\(([^)]*)\)/g)) {
+    events.set(name, paramTypes(params.replace(/\bindexed\b/g, "")));
+  }
+  const ctor = code.match(/\bconstructor\s*\(([^)]*)\)/);
+  return { name: decl[1], bases, functions, events, constructorArgs: ctor ? paramTypes(ctor[1]).length : 0 };
+}
+
+function lineOf(text, index) {
+  return text.slice(0, index).split("\n").length;
+}
+
+/**
+ * Checks every .js file in `files` against the contract under contracts/.
+ * Returns { contract, checked, problems: ["path:line message"] }.
+ */
+export function checkAbis(files) {
+  const sources = Object.entries(files).filter(([file]) => file.startsWith("contracts/") && file.endsWith(".sol"));
+  const contracts = sources.map(([, content]) => parseContract(content)).filter(Boolean);
+  if (!contracts.length) return { contract: null, checked: 0, problems: ["contracts/: no contract found"] };
+  const byName = new Map(contracts.map((c) => [c.name, c]));
+  const [primary] = contracts;
+  const problems = [];
+  let checked = 0;
+
+  for (const [file, text] of Object.entries(files)) {
+    if (!file.endsWith(".js") && !file.endsWith(".cjs")) continue;
+    const code = stripComments(text);
+    const report = (index, message) => problems.push(`${file}:${lineOf(code, index)} ${message}`);
+    let target; // the first contract this file loads by name, if any; its calls are checked against it
+
+    for (const m of code.matchAll(/getContract(?:Factory|At)\(\s*(?:process\.env\.CONTRACT_NAME\s*\|\|\s*)?"(\w+)"/g)) {
+      checked++;
+      if (!byName.has(m[1])) report(m.index, `references contract ${m[1]}, but contracts/ declares ${[...byName.keys()].join(", ")}`);
+      else target ??= byName.get(m[1]);
+    }
+    target ??= primary;
+    for (const m of code.matchAll(/CONTRACT_NAME\s*\|\|\s*"(\w+)"/g)) {
+      if (!byName.has(m[1])) report(m.index, `defaults CONTRACT_NAME to ${m[1]}, but contracts/ declares ${[...byName.keys()].join(", ")}`);
+    }
+
+    if (file === "scripts/deploy.js") {
+      for (const m of code.matchAll(/\.deploy\(([^)]*)\)/g)) {
+        checked++;
+        const args = m[1].split(",").map((a) => a.trim()).filter(Boolean).length;
+        if (args !== target.constructorArgs) report(m.index, `deploys ${target.name} with ${args} argument(s); its constructor takes ${target.constructorArgs}`);
+      }
+    }
+
+    for (const m of code.matchAll(/["'`]\s*(function|event)\s+(\w+)\s*\(([^)]*)\)/g)) {
+      checked++;
+      const [, kind, name, params] = m;
+      const types = paramTypes(params.replace(/\bindexed\b/g, "")).join(",");
+      const owner = contracts.find((c) => (kind === "event" ? c.events.has(name) : c.functions.has(name)));
+      if (!owner) {
+        report(m.index, `ABI fragment ${kind} ${name}(${types}) is not in ${primary.name}`);
+        continue;
+      }
+      const declared = kind === "event" ? [owner.events.get(name)] : owner.functions.get(name);
+      if (!declared.some((d) => d === null || d.join(",") === types)) {
+        report(m.index, `ABI fragment ${kind} ${name}(${types}) does not match ${owner.name}: ${declared.map((d) => `${name}(${d.join(",")})`).join(" / ")}`);
+      }
+    }
+
+    for (const m of code.matchAll(/\b(?:contract|license)(?:\.connect\([^)]*\))?\.(\w+)\s*\(|\btransact\(\s*"(\w+)"/g)) {
+      const name = m[1] || m[2];
+      if (CONTRACT_OBJECT_METHODS.has(name)) continue;
+      checked++;
+      if (!target.functions.has(name)) report(m.index, `calls ${name}(), which ${target.name} does not expose`);
+    }
+  }
+  return { contract: primary.name, checked, problems };
+}
@@ -0,0 +1,80 @@
+/**
+ * generator/diff.js
+ * Line-based unified diff (LCS) for bootstrap-mvp.js --diff: shows how an
+ * existing file differs from the template before it is skipped or overwritten.
+ */
+
+const CONTEXT = 3;
+
+function lines(text) {
+  const out = text.split("\n");
+  if (out[out.length - 1] === "") out.pop();
+  return out;
+}
+
+/** Edit script: [{ op: " " | "-" | "+", line }], oldText to newText. */
+function editScript(a, b) {
+  // Trim the common head and tail so the LCS table only covers the changed middle.
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+  const x = a.slice(head, a.length - tail);
+  const y = b.slice(head, b.length - tail);
+
+  const width = y.length + 1;
+  const lcs = new Uint32Array((x.length + 1) * width);
+  for (let i = x.length - 1; i >= 0; i--) {
+    for (let j = y.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = x[i] === y[j] ? lcs[(i + 1) * width + j + 1] + 1 : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, head).map((line) => ({ op: " ", line }));
+  let i = 0;
+  let j = 0;
+  while (i < x.length || j < y.length) {
+    if (i < x.length && j < y.length && x[i] === y[j]) {
+      ops.push({ op: " ", line: x[i++] });
+      j++;
+    } else if (i < x.length && (j === y.length || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+      ops.push({ op: "-", line: x[i++] });
+    } else {
+      ops.push({ op: "+", line: y[j++] });
+    }
+  }
+  return ops.concat(a.slice(a.length - tail).map((line) => ({ op: " ", line })));
+}
+
+/** Unified diff of two texts with 3 lines of context; "" when they are equal. */
+export function unifiedDiff(oldText, newText, { oldLabel = "a", newLabel = "b" } = {}) {
+  const ops = editScript(lines(oldText), lines(newText));
+  const changed = ops.map((o, k) => (o.op === " " ? -1 : k)).filter((k) => k >= 0);
+  if (!changed.length) return "";
+
+  // Group changes whose context windows touch into hunks.
+  const hunks = [];
+  for (const k of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && k - last.end <= CONTEXT * 2 + 1) last.end = k;
+    else hunks.push({ start: k, end: k });
+  }
+
+  const out = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (const { start, end } of hunks) {
+    const from = Math.max(0, start - CONTEXT);
+    const to = Math.min(ops.length, end + CONTEXT + 1);
+    let oldLine = 1;
+    let newLine = 1;
+    for (const o of ops.slice(0, from)) {
+      if (o.op !== "+") oldLine++;
+      if (o.op !== "-") newLine++;
+    }
+    const body = ops.slice(from, to);
+    const oldCount = body.filter((o) => o.op !== "+").length;
+    const newCount = body.filter((o) => o.op !== "-").length;
+    out.push(`@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`);
+    for (const o of body) out.push(o.op + o.line);
+  }
+  return out.join("\n") + "\n";
+}
@@ -0,0 +1,120 @@
+/**
+ * generator/templates.js
+ * Loads a contract variant for bootstrap-mvp.js. Each variant is described
+ * by templates/<variant>.json:
+ *   templates  directory of template files, relative to templates/, or
+ *   source     directory of project files copied as they are
+ *   overlay    optional template directory rendered over the files above
+ *   rename     output paths for template files that can't be stored under
+ *              their own name (an ignored .env)
+ *   exclude    paths never generated
+ *   parts      optional parts: paths only generated when the part is selected
+ *   scripts    root package.json scripts that belong to an optional part
+ * Paths are prefixes of the relative path; a trailing / matches a directory
+ * at any depth. {{projectName}}, {{tokenName}} and {{tokenSymbol}} are
+ * substituted in template files, and the root package.json is renamed.
+ * The simple variant is templates/simple. The collectible variant's source is
+ * appbound/ itself, so it always generates the current contract, backend and
+ * frontend instead of a copy that can drift.
+ */
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+export const TEMPLATES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "templates");
+export const OPTIONAL_PARTS = ["backend", "frontend"];
+
+export class TemplateError extends Error {
+  /** code: UNKNOWN_VARIANT | INVALID_OPTION */
+  constructor(message, code) {
+    super(message);
+    this.name = "TemplateError";
+    this.code = code;
+  }
+}
+
+export function listVariants() {
+  return fs
+    .readdirSync(TEMPLATES_DIR)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => ({ name: path.basename(f, ".json"), ...JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, f), "utf8")) }));
+}
+
+export function loadVariant(name) {
+  const variant = listVariants().find((v) => v.name === name);
+  if (!variant) throw new TemplateError(`Unknown variant "${name}" (available: ${listVariants().map((v) => v.name).join(", ")})`, "UNKNOWN_VARIANT");
+  return variant;
+}
+
+/** A trailing / matches that directory at any depth; anything else is a path prefix. */
+function matches(file, patterns = []) {
+  return patterns.some((p) => (p.endsWith("/") ? file.startsWith(p) || file.includes(`/${p}`) : file.startsWith(p)));
+}
+
+function walk(dir, exclude, base = dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const file = path.relative(base, path.join(dir, entry.name)).split(path.sep).join("/");
+    if (entry.isDirectory()) return matches(`${file}/`, exclude) ? [] : walk(path.join(dir, entry.name), exclude, base);
+    return matches(file, exclude) ? [] : [file];
+  });
+}
+
+function render(content, vars) {
+  return content.replace(/\{\{(\w+)\}\}/g, (placeholder, key) => (key in vars ? vars[key] : placeholder));
+}
+
+/** Names the root package, and drops scripts for parts that were not generated. */
+function rootPackageJson(content, variant, { projectName, parts }) {
+  const pkg = JSON.parse(content);
+  pkg.name = projectName;
+  const excluded = OPTIONAL_PARTS.filter((part) => !parts.includes(part));
+  for (const part of excluded) for (const script of variant.scripts?.[part] || []) delete pkg.scripts[script];
+  if (pkg.scripts["install:all"]) {
+    pkg.scripts["install:all"] = ["npm install", ...parts.map((part) => `(cd ${part} && npm install)`)].join(" && ");
+  }
+  if (pkg.scripts["dev:all"]) {
+    const processes = ["npx hardhat node", parts.includes("backend") && "node backend/index.js", parts.includes("frontend") && "cd frontend && npm run dev"];
+    pkg.scripts["dev:all"] = `concurrently ${processes.filter(Boolean).map((p) => `"${p}"`).join(" ")}`;
+  }
+  return JSON.stringify(pkg, null, 2) + "\n";
+}
+
+export function validateOptions({ projectName, tokenName, tokenSymbol, parts }) {
+  if (!/^(?:@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/.test(projectName)) {
+    throw new TemplateError(`Invalid project name "${projectName}": use a lowercase npm package name`, "INVALID_OPTION");
+  }
+  // Both end up inside a Solidity string literal (simple) or a .env value (collectible).
+  if (!tokenName || /["\\\n\r]/.test(tokenName)) throw new TemplateError(`Invalid token name "${tokenName}"`, "INVALID_OPTION");
+  if (!/^[A-Za-z0-9]{1,11}$/.test(tokenSymbol)) throw new TemplateError(`Invalid token symbol "${tokenSymbol}": 1-11 letters or digits`, "INVALID_OPTION");
+  for (const part of parts) {
+    if (!OPTIONAL_PARTS.includes(part)) throw new TemplateError(`Unknown part "${part}" (available: ${OPTIONAL_PARTS.join(", ")})`, "INVALID_OPTION");
+  }
+}
+
+/**
+ * Renders a variant: { "relative/path": content } in a stable order.
+ * options: { projectName, tokenName, tokenSymbol, parts: ["backend", "frontend"] }
+ */
+export function renderVariant(variant, options) {
+  validateOptions(options);
+  const vars = { projectName: options.projectName, tokenName: options.tokenName, tokenSymbol: options.tokenSymbol };
+  const selected = (file) => OPTIONAL_PARTS.every((part) => options.parts.includes(part) || !matches(file, variant.parts?.[part]));
+  const files = {};
+
+  const sourceDir = path.join(TEMPLATES_DIR, variant.templates ?? variant.source);
+  for (const file of walk(sourceDir, variant.exclude).sort()) {
+    if (!selected(file)) continue;
+    const content = fs.readFileSync(path.join(sourceDir, file), "utf8");
+    files[file] = variant.templates ? render(content, vars) : content;
+  }
+  if (variant.overlay) {
+    const overlayDir = path.join(TEMPLATES_DIR, variant.overlay);
+    for (const file of walk(overlayDir, []).sort()) {
+      const target = variant.rename?.[file] ?? file;
+      if (selected(target)) files[target] = render(fs.readFileSync(path.join(overlayDir, file), "utf8"), vars);
+    }
+  }
+  if (files["package.json"]) files["package.json"] = rootPackageJson(files["package.json"], variant, options);
+  return files;
+}
@@ -1,5 +1,6 @@
+// CommonJS on purpose: Hardhat loads its config with require() in ESM projects.
+require("@nomicfoundation/hardhat-toolbox");
 
-import "@nomicfoundation/hardhat-toolbox";
 module.exports = {
   solidity: "0.8.21",
   networks: {
@@ -0,0 +1,17 @@
+import hre from "hardhat";
+import fs from "fs";
+const { ethers, artifacts } = hre;
+
+async function main() {
+  console.log("Compiling + deploying...");
+  const License = await ethers.getContractFactory("AppBoundLicense");
+  const license = await License.deploy();
+  await license.waitForDeployment();
+  const address = await license.getAddress();
+  console.log("✅ Deployed AppBoundLicense at:", address);
+  const artifact = await artifacts.readArtifact("AppBoundLicense");
+  fs.mkdirSync("./backend", { recursive: true });
+  fs.writeFileSync("./backend/AppBoundLicenseABI.json", JSON.stringify(artifact.abi, null, 2));
+  console.log("\nAdd to your backend/.env: CONTRACT_ADDRESS=" + address);
+}
+main().catch((e) => { console.error(e); process.exit(1); });